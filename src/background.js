@@ -1,4 +1,44 @@
 // Background script for Sticky Bear extension
+import {
+  NOTE_KEY_PREFIX,
+  migrateLegacyStorage,
+  noteKey,
+  purgeExpiredTrash,
+  readIframeData,
+  readNoteMetas,
+  readNotes,
+  updateNoteMeta,
+  writeIframeData,
+} from './shared/note-store.js';
+import { SETTINGS_KEY, readSettings } from './shared/settings.js';
+import {
+  ACTIVE_BOARD_KEY,
+  BOARD_BINDINGS_KEY,
+  BOARDS_KEY,
+  boardPanelQuery,
+  noteBoardId,
+  readActiveBoardId,
+  readBoardBindings,
+  readBoards,
+  tabBoardBinding,
+  writeBoardBindings,
+} from './shared/boards.js';
+import { siteMatches } from './shared/site-match.js';
+import { buildQuoteNote } from './shared/quote-note.js';
+import {
+  markMatches,
+  matchNotes,
+  noteSuggestionContent,
+  suggestedNoteId,
+} from './shared/omnibox.js';
+import {
+  REMINDER_ALARM_PREFIX,
+  describeReminder,
+  nextOccurrence,
+  reminderAlarmName,
+  reminderNoteId,
+  reminderTime,
+} from './shared/reminders.js';
 
 // Queue for pending messages to side panel
 let pendingMessages = [];
@@ -23,6 +63,13 @@ function createContextMenus() {
       title: 'Add link as sticky note',
       contexts: ['link'],
     });
+
+    // Context menu for selected text
+    chrome.contextMenus.create({
+      id: 'sticky-bear-add-selection',
+      title: 'Add selection as sticky note',
+      contexts: ['selection'],
+    });
   } catch (error) {
     console.error('Error creating context menus:', error);
   }
@@ -49,7 +96,10 @@ function sendToSidePanelWithFallback(message) {
   // This handles the case where side panel is open but ready signal was missed
   setTimeout(() => {
     const messageIndex = pendingMessages.findIndex(
-      (msg) => msg.action === message.action && msg.url === message.url,
+      (msg) =>
+        msg.action === message.action &&
+        msg.url === message.url &&
+        msg.dedupeKey === message.dedupeKey,
     );
 
     if (messageIndex !== -1) {
@@ -64,10 +114,51 @@ function sendToSidePanelWithFallback(message) {
   }, 500);
 }
 
+// Function to send a note quoting the selected text to the side panel
+function sendQuoteNote(tab, text, pageUrl) {
+  const url = pageUrl || tab.url || '';
+  sendToSidePanelWithFallback({
+    action: 'add-quote-note',
+    windowId: tab.windowId,
+    url,
+    // Lets the fallback tell different quotes from the same page apart
+    dedupeKey: text,
+    content: buildQuoteNote({ text, title: tab.title, url }),
+  });
+}
+
+// Function to read the text selected in a tab (in any of its frames)
+async function readSelection(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => {
+      const selection = window.getSelection();
+      return {
+        text: selection ? selection.toString() : '',
+        url: location.href,
+      };
+    },
+  });
+  // Prefer the top frame, then any frame with a selection
+  const withText = results
+    .filter((result) => result.result && result.result.text.trim())
+    .sort((a, b) => (a.frameId === 0 ? -1 : b.frameId === 0 ? 1 : 0));
+  return withText.length > 0 ? withText[0].result : null;
+}
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (!tab) return;
 
+  if (info.menuItemId === 'sticky-bear-add-selection') {
+    const text = info.selectionText || '';
+    if (!text.trim()) return;
+    chrome.sidePanel.open({ windowId: tab.windowId }).then(() => {
+      sendQuoteNote(tab, text, info.frameUrl || info.pageUrl);
+    });
+    return;
+  }
+
   let url = '';
   if (info.menuItemId === 'sticky-bear-add-page') {
     url = info.pageUrl || tab.url || '';
@@ -81,17 +172,43 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
       // Send the message with fallback for when panel is already open
       sendToSidePanelWithFallback({
         action: 'add-url-note-with-url',
+        windowId: tab.windowId,
         url: url,
       });
     });
   }
 });
 
+const BADGE_COLOR = '#4CAF50';
+const SITE_BADGE_COLOR = '#F59E0B';
+const DEFAULT_ACTION_TITLE = 'Open Sticky Bear Panel';
+
+// Function to read the notes that count for the badge (trash doesn't count)
+async function readActiveNoteMetas() {
+  return (await readNoteMetas()).filter((note) => !note.deletedAt);
+}
+
+// Function to read the notes the badge counts: all of them, or only the
+// board shown for the tab (or the active board) when the badge is set to
+// count per board
+async function readBadgeNoteMetas(tab) {
+  const notes = await readActiveNoteMetas();
+  const { badgeCountsActiveBoard } = await readSettings();
+  if (!badgeCountsActiveBoard) return notes;
+
+  const boards = await readBoards();
+  const binding = tab && tabBoardBinding(await readBoardBindings(), tab);
+  const boardId = noteBoardId(
+    { boardId: binding ? binding.boardId : await readActiveBoardId() },
+    boards,
+  );
+  return notes.filter((note) => noteBoardId(note, boards) === boardId);
+}
+
 // Function to update the badge with the number of notes
 async function updateBadge() {
   try {
-    const result = await chrome.storage.sync.get(['stickyNotes']);
-    const notes = result.stickyNotes || [];
+    const notes = await readBadgeNoteMetas();
     const noteCount = notes.length;
 
     // Set badge text
@@ -99,29 +216,524 @@ async function updateBadge() {
     await chrome.action.setBadgeText({ text: badgeText });
 
     // Set badge background color
-    await chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+
+    // Refresh the per-tab count for the tab shown in each window
+    const activeTabs = await chrome.tabs.query({ active: true });
+    await Promise.all(activeTabs.map((tab) => updateTabBadge(tab)));
   } catch (error) {
     console.error('Error updating badge:', error);
   }
 }
 
+// Function to show how many notes are attached to the site open in a tab
+async function updateTabBadge(tab) {
+  if (!tab || typeof tab.id !== 'number') return;
+  const tabId = tab.id;
+
+  try {
+    const activeNotes = await readBadgeNoteMetas(tab);
+    const siteCount = activeNotes.filter((note) =>
+      siteMatches(note.site, tab.url || ''),
+    ).length;
+
+    if (siteCount > 0) {
+      await chrome.action.setBadgeText({ tabId, text: siteCount.toString() });
+      await chrome.action.setBadgeBackgroundColor({
+        tabId,
+        color: SITE_BADGE_COLOR,
+      });
+      await chrome.action.setTitle({
+        tabId,
+        title: `${siteCount} sticky note${
+          siteCount === 1 ? '' : 's'
+        } for this site (${activeNotes.length} total)`,
+      });
+    } else {
+      const total = activeNotes.length;
+      await chrome.action.setBadgeText({
+        tabId,
+        text: total > 0 ? total.toString() : '',
+      });
+      await chrome.action.setBadgeBackgroundColor({
+        tabId,
+        color: BADGE_COLOR,
+      });
+      await chrome.action.setTitle({ tabId, title: DEFAULT_ACTION_TITLE });
+    }
+  } catch (_e) {
+    // The tab may have been closed in the meantime
+  }
+}
+
+// Update the per-tab badge when the user switches tabs or a tab navigates
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs
+    .get(tabId)
+    .then((tab) => {
+      updateTabBadge(tab);
+      applyPanelOptions([tab]);
+    })
+    .catch(() => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (tab.active && (changeInfo.url || changeInfo.status === 'complete')) {
+    updateTabBadge(tab);
+  }
+  if ('groupId' in changeInfo) {
+    applyPanelOptions([tab]);
+    if (tab.active) updateTabBadge(tab);
+  }
+});
+
+const PANEL_PATH = 'src/sidepanel/index.html';
+
+// Panel page last set for each tab, to skip redundant setOptions calls
+const panelPaths = new Map();
+
+// Function to pick the panel page for a tab. A board bound to the tab's
+// group or window is passed in the URL; the panel reads it on load.
+function panelPathFor(tab, bindings) {
+  const binding = tabBoardBinding(bindings, tab);
+  return binding ? `${PANEL_PATH}?${boardPanelQuery(binding)}` : PANEL_PATH;
+}
+
+// Function to point the side panel of the given tabs at their board
+async function applyPanelOptions(tabs) {
+  try {
+    const bindings = await readBoardBindings();
+    await Promise.all(
+      tabs.map(async (tab) => {
+        const path = panelPathFor(tab, bindings);
+        if (typeof tab.id !== 'number' || panelPaths.get(tab.id) === path) {
+          return;
+        }
+        panelPaths.set(tab.id, path);
+        await chrome.sidePanel.setOptions({ tabId: tab.id, path });
+      }),
+    );
+  } catch (error) {
+    console.error('Error updating side panel options:', error);
+  }
+}
+
+// Function to keep a board in a window or tab group (boardId null unbinds)
+async function bindBoard(scope, id, boardId) {
+  const key = scope === 'group' ? 'groups' : 'windows';
+  const bindings = await readBoardBindings();
+  if (boardId) {
+    bindings[key][id] = boardId;
+  } else {
+    delete bindings[key][id];
+  }
+  await writeBoardBindings(bindings);
+
+  const tabs = await chrome.tabs.query(
+    scope === 'group' ? { groupId: id } : { windowId: id },
+  );
+  await applyPanelOptions(tabs);
+}
+
+chrome.tabs.onCreated.addListener((tab) => applyPanelOptions([tab]));
+
+chrome.tabs.onAttached.addListener((tabId) => {
+  // Moved to another window, which may be bound to another board
+  chrome.tabs
+    .get(tabId)
+    .then((tab) => applyPanelOptions([tab]))
+    .catch(() => {});
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => panelPaths.delete(tabId));
+
+// panelPaths is lost whenever the service worker stops, so when it starts
+// again every open tab is pointed at its board from the bindings kept in
+// session storage, which also fills the cache back in
+chrome.tabs
+  .query({})
+  .then((tabs) => applyPanelOptions(tabs))
+  .catch((error) =>
+    console.error('Error restoring side panel options:', error),
+  );
+
+// Ids of closed windows and groups are never reused, so drop their bindings
+chrome.windows.onRemoved.addListener((windowId) => {
+  readBoardBindings().then((bindings) => {
+    if (!bindings.windows[windowId]) return;
+    delete bindings.windows[windowId];
+    return writeBoardBindings(bindings);
+  });
+});
+
+chrome.tabGroups.onRemoved.addListener((group) => {
+  readBoardBindings().then((bindings) => {
+    if (!bindings.groups[group.id]) return;
+    delete bindings.groups[group.id];
+    return writeBoardBindings(bindings);
+  });
+});
+
+// Headers that stop pages from being shown in a URL note's iframe
+const FRAME_BLOCKING_HEADERS = [
+  'X-Frame-Options',
+  'Content-Security-Policy',
+  'Content-Security-Policy-Report-Only',
+];
+
+let frameRulesQueue = Promise.resolve();
+
+// Function to get the domain a URL note's frame rule is keyed by
+function frameDomain(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol === 'http:' || protocol === 'https:') {
+      // requestDomains also matches subdomains, so www. can be dropped
+      return hostname.toLowerCase().replace(/^www\./, '');
+    }
+  } catch (_e) {}
+  return '';
+}
+
+// Function to build a rule stripping the frame-blocking headers for a domain
+// in frames outside any tab, which is where the side panel's frames load
+function frameRule(id, domain) {
+  return {
+    id,
+    condition: {
+      requestDomains: [domain],
+      resourceTypes: ['sub_frame'],
+      tabIds: [chrome.tabs.TAB_ID_NONE],
+    },
+    action: {
+      type: 'modifyHeaders',
+      responseHeaders: FRAME_BLOCKING_HEADERS.map((header) => ({
+        header,
+        operation: 'remove',
+      })),
+    },
+  };
+}
+
+// Function to make the header rules match the domains of the URL notes.
+// Headers are only stripped for those domains and only outside tabs, so web
+// pages can't frame those sites through the extension. The rules match the
+// frame's own domain rather than who started the load, so links followed
+// inside a note keep working. Session rules don't outlive the browser and are
+// set again on startup; the dynamic rules older versions installed are removed.
+function syncFrameRules(extraUrls = []) {
+  const run = frameRulesQueue.then(async () => {
+    const domains = new Set(
+      [
+        ...(await readActiveNoteMetas()).map((note) => note.url || ''),
+        ...extraUrls,
+      ]
+        .map(frameDomain)
+        .filter(Boolean),
+    );
+
+    const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+    if (dynamicRules.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: dynamicRules.map((rule) => rule.id),
+      });
+    }
+
+    // Keep existing rules for domains still in use; drop everything else,
+    // including rules older versions limited to the extension's own loads
+    const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+    const ruleIds = new Map();
+    const staleRuleIds = [];
+    sessionRules.forEach((rule) => {
+      const [domain] = rule.condition.requestDomains || [];
+      if (
+        domain &&
+        domains.has(domain) &&
+        !ruleIds.has(domain) &&
+        !rule.condition.initiatorDomains
+      ) {
+        ruleIds.set(domain, rule.id);
+      } else {
+        staleRuleIds.push(rule.id);
+      }
+    });
+
+    // New rules take the lowest free ids, including those of removed rules
+    const usedIds = new Set(ruleIds.values());
+    let nextId = 1;
+    const addRules = [];
+    domains.forEach((domain) => {
+      if (ruleIds.has(domain)) return;
+      while (usedIds.has(nextId)) nextId++;
+      usedIds.add(nextId);
+      addRules.push(frameRule(nextId, domain));
+    });
+    if (staleRuleIds.length > 0 || addRules.length > 0) {
+      await chrome.declarativeNetRequest.updateSessionRules({
+        removeRuleIds: staleRuleIds,
+        addRules,
+      });
+    }
+  });
+  frameRulesQueue = run.catch((error) =>
+    console.error('Error updating frame rules:', error),
+  );
+  return frameRulesQueue;
+}
+
+// Snooze choices offered as notification buttons (at most two are shown)
+const SNOOZE_OPTIONS = [
+  { title: 'Snooze 10 minutes', minutes: 10 },
+  { title: 'Snooze 1 hour', minutes: 60 },
+];
+
+// Function to make the scheduled alarms match the reminders on the notes
+async function syncReminderAlarms() {
+  try {
+    const wanted = new Map();
+    (await readActiveNoteMetas()).forEach((note) => {
+      const when = reminderTime(note.reminder);
+      if (when) wanted.set(reminderAlarmName(note.id), when);
+    });
+
+    const alarms = (await chrome.alarms.getAll()).filter((alarm) =>
+      alarm.name.startsWith(REMINDER_ALARM_PREFIX),
+    );
+    const scheduled = new Map(
+      alarms.map((alarm) => [alarm.name, alarm.scheduledTime]),
+    );
+
+    for (const alarm of alarms) {
+      if (!wanted.has(alarm.name)) await chrome.alarms.clear(alarm.name);
+    }
+    for (const [name, when] of wanted) {
+      if (scheduled.get(name) !== when) {
+        await chrome.alarms.create(name, { when });
+      }
+    }
+  } catch (error) {
+    console.error('Error scheduling reminders:', error);
+  }
+}
+
+// Function to store a note's reminder and let an open side panel know
+async function saveReminder(noteId, reminder) {
+  const updated = await updateNoteMeta(noteId, { reminder });
+  if (!updated) return;
+  // The storage change reschedules the alarm via syncReminderAlarms()
+  chrome.runtime
+    .sendMessage({ action: 'reminder-updated', noteId, reminder })
+    .catch(() => {});
+}
+
+// Function to pick a short line of text describing a note
+function noteLabel(note, iframeData) {
+  if (note.url) {
+    return iframeData[note.id]?.title || note.url;
+  }
+  const firstLine = (note.content || '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*(?:[#>*-]+|\d+\.)\s*/, '').trim())
+    .find((line) => line.length > 0);
+  return firstLine ? firstLine.slice(0, 120) : 'Sticky note';
+}
+
+// Function to show the notification for a due reminder
+async function fireReminder(noteId) {
+  try {
+    const note = (await readNotes()).find((n) => n.id === noteId);
+    if (!note || note.deletedAt || !note.reminder) return;
+
+    await chrome.notifications.create(reminderAlarmName(noteId), {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128x128.png'),
+      title: 'Sticky note reminder',
+      message: noteLabel(note, await readIframeData()),
+      contextMessage: describeReminder({ ...note.reminder, snoozedUntil: 0 }),
+      buttons: SNOOZE_OPTIONS.map(({ title }) => ({ title })),
+      requireInteraction: true,
+      priority: 2,
+    });
+
+    // Repeating reminders move on to their next occurrence
+    const { snoozedUntil, ...reminder } = note.reminder;
+    const next = nextOccurrence(reminder.dueAt, reminder.repeat);
+    await saveReminder(
+      noteId,
+      next ? { ...reminder, dueAt: next } : { ...reminder, notified: true },
+    );
+  } catch (error) {
+    console.error('Error showing reminder:', error);
+  }
+}
+
+// Function to fire a reminder again after a while
+async function snoozeReminder(noteId, minutes) {
+  const key = noteKey(noteId);
+  const meta = (await chrome.storage.sync.get(key))[key];
+  if (!meta || !meta.reminder) return;
+
+  const { notified, ...reminder } = meta.reminder;
+  await saveReminder(noteId, {
+    ...reminder,
+    snoozedUntil: Date.now() + minutes * 60 * 1000,
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const noteId = reminderNoteId(alarm.name);
+  if (noteId) fireReminder(noteId);
+});
+
+// Last focused normal window. sidePanel.open() only works while handling a
+// user gesture, so it has to be called before anything is awaited; keeping
+// the window id at hand lets notification and omnibox handlers do that.
+let focusedWindowId = null;
+
+// Function to look up the last focused window, when the service worker starts
+// or the remembered window is closed
+function refreshFocusedWindow() {
+  return chrome.windows
+    .getLastFocused({ windowTypes: ['normal'] })
+    .then((focused) => {
+      focusedWindowId = focused.id;
+      return focused.id;
+    });
+}
+
+chrome.windows.onFocusChanged.addListener(
+  (windowId) => {
+    // Focus leaving the browser keeps the last window
+    if (windowId !== chrome.windows.WINDOW_ID_NONE) focusedWindowId = windowId;
+  },
+  { windowTypes: ['normal'] },
+);
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  if (windowId !== focusedWindowId) return;
+  focusedWindowId = null;
+  refreshFocusedWindow().catch(() => {});
+});
+
+refreshFocusedWindow().catch(() => {});
+
+// Function to open the side panel of the last focused window and send the
+// message to it; call it synchronously from the user gesture's handler
+function sendToFocusedSidePanel(message) {
+  const send = (windowId) =>
+    sendToSidePanelWithFallback({ ...message, windowId });
+
+  if (focusedWindowId === null) {
+    // Not known yet: the lookup ends the gesture, so the panel only gets the
+    // message if it is already open
+    refreshFocusedWindow()
+      .then(send)
+      .catch((error) => console.log('Could not find a window:', error));
+    return;
+  }
+
+  const windowId = focusedWindowId;
+  chrome.sidePanel
+    .open({ windowId })
+    .catch((error) => console.log('Could not open the side panel:', error))
+    .then(() => send(windowId));
+}
+
+// Clicking the notification opens the panel scrolled to the note
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const noteId = reminderNoteId(notificationId);
+  if (!noteId) return;
+  chrome.notifications.clear(notificationId);
+
+  sendToFocusedSidePanel({ action: 'focus-note', noteId });
+});
+
+chrome.notifications.onButtonClicked.addListener(
+  (notificationId, buttonIndex) => {
+    const noteId = reminderNoteId(notificationId);
+    const option = SNOOZE_OPTIONS[buttonIndex];
+    if (!noteId || !option) return;
+    chrome.notifications.clear(notificationId);
+    snoozeReminder(noteId, option.minutes).catch((error) =>
+      console.error('Error snoozing reminder:', error),
+    );
+  },
+);
+
+// Function to drop trashed notes past the configured retention period
+async function purgeTrash() {
+  try {
+    const { trashRetentionDays } = await readSettings();
+    await purgeExpiredTrash(trashRetentionDays);
+  } catch (error) {
+    console.error('Error purging trash:', error);
+  }
+}
+
+// Pages kept in a note's Back/Forward history
+const FRAME_HISTORY_LIMIT = 50;
+
+// Updates of the iframe data run one at a time, each reading the last one's
+let iframeDataQueue = Promise.resolve();
+
+// Function to record the page a note's frame shows in the note's own history.
+// The frames of all notes share the panel's session history, so the Back and
+// Forward buttons move through this one instead of calling history.back().
+function recordFrameUrl(noteIframeData, url) {
+  const history = Array.isArray(noteIframeData.history)
+    ? noteIframeData.history
+    : [];
+  let index = Number.isInteger(noteIframeData.historyIndex)
+    ? noteIframeData.historyIndex
+    : history.length - 1;
+
+  if (noteIframeData.historyStep) {
+    // The page Back or Forward loaded, possibly after a redirect
+    history[index] = url;
+  } else if (history[index] !== url) {
+    // A link followed inside the frame drops the pages ahead
+    history.splice(index + 1, history.length, url);
+    index = history.length - 1;
+    if (history.length > FRAME_HISTORY_LIMIT) {
+      history.splice(0, history.length - FRAME_HISTORY_LIMIT);
+      index = history.length - 1;
+    }
+  }
+
+  noteIframeData.history = history;
+  noteIframeData.historyIndex = index;
+  delete noteIframeData.historyStep;
+}
+
+// Function to move a note's frame history back (-1) or forward (1); answers
+// with the page to load, which the panel navigates the frame to
+async function stepFrameHistory(noteId, step) {
+  const iframeData = await readIframeData();
+  const noteIframeData = iframeData[noteId];
+  const history = noteIframeData?.history || [];
+  const index = (noteIframeData?.historyIndex ?? history.length - 1) + step;
+  if (!noteIframeData || index < 0 || index >= history.length) return null;
+
+  noteIframeData.historyIndex = index;
+  noteIframeData.historyStep = true;
+  await writeIframeData(iframeData);
+  return { url: history[index], data: noteIframeData };
+}
+
 // Function to handle iframe data updates from content scripts
 async function handleIframeDataUpdate(message) {
   try {
     const { noteId, url, data } = message;
 
-    // Get current notes from storage
-    const result = await chrome.storage.sync.get(['stickyNotes', 'iframeData']);
-    const notes = result.stickyNotes || [];
-    const iframeData = result.iframeData || {};
-
     // Find the note that this iframe belongs to
-    const note = notes.find((n) => n.id === noteId);
-    if (!note) {
+    const result = await chrome.storage.sync.get([noteKey(noteId)]);
+    if (!result[noteKey(noteId)]) {
       console.warn('Note not found for iframe data update:', noteId);
       return;
     }
 
+    const iframeData = await readIframeData();
+
     // Ensure the iframe data object exists for this note
     if (!iframeData[noteId]) {
       iframeData[noteId] = {};
@@ -132,36 +744,61 @@ async function handleIframeDataUpdate(message) {
 
     switch (data.type) {
       case 'page-load':
+        // A different page: the saved position belonged to the previous one
+        if (data.url !== noteIframeData.lastUrl) {
+          noteIframeData.scrollX = data.scrollX;
+          noteIframeData.scrollY = data.scrollY;
+          noteIframeData.anchor = null;
+          noteIframeData.media = null;
+        }
+        noteIframeData.title = data.title;
+        noteIframeData.lastUrl = data.url;
+        noteIframeData.lastUpdated = data.timestamp;
+        recordFrameUrl(noteIframeData, data.url);
+        break;
+
       case 'title-change':
         noteIframeData.title = data.title;
         noteIframeData.lastUrl = data.url;
         noteIframeData.lastUpdated = data.timestamp;
+        recordFrameUrl(noteIframeData, data.url);
         break;
 
       case 'scroll-change':
         noteIframeData.scrollX = data.scrollX;
         noteIframeData.scrollY = data.scrollY;
+        noteIframeData.anchor = data.anchor || null;
         noteIframeData.lastScrollUpdate = data.timestamp;
         break;
 
+      case 'media-change':
+        noteIframeData.media = { ...data.media, url: data.url };
+        noteIframeData.lastMediaUpdate = data.timestamp;
+        break;
+
       case 'url-change':
         noteIframeData.lastUrl = data.url;
         noteIframeData.title = data.title;
         noteIframeData.lastUpdated = data.timestamp;
+        recordFrameUrl(noteIframeData, data.url);
         break;
 
       case 'page-unload':
         // Save final state on unload
         noteIframeData.scrollX = data.scrollX;
         noteIframeData.scrollY = data.scrollY;
+        noteIframeData.anchor = data.anchor || null;
+        if (data.media) {
+          noteIframeData.media = { ...data.media, url: data.url };
+        }
         noteIframeData.lastUrl = data.url;
         noteIframeData.title = data.title;
         noteIframeData.lastUpdated = data.timestamp;
         break;
     }
 
-    // Save updated iframe data
-    await chrome.storage.sync.set({ iframeData });
+    // Save updated iframe data (per-device, so kept out of the sync quota)
+    await writeIframeData(iframeData);
 
     // Forward the update to the side panel if it's ready
     if (sidePanelReady) {
@@ -186,8 +823,7 @@ async function handleGetIframeState(message, sendResponse) {
     const { noteId } = message;
 
     // Get iframe data from storage
-    const result = await chrome.storage.sync.get(['iframeData']);
-    const iframeData = result.iframeData || {};
+    const iframeData = await readIframeData();
 
     const noteIframeData = iframeData[noteId] || {};
 
@@ -217,17 +853,98 @@ chrome.commands.onCommand.addListener((command, tab) => {
     // Open the side panel and send a message to add a new note
     chrome.sidePanel.open({ windowId: tab.windowId }).then(() => {
       // Send message to the side panel to add a new note
-      sendToSidePanelWithFallback({ action: 'add-note' });
+      sendToSidePanelWithFallback({
+        action: 'add-note',
+        windowId: tab.windowId,
+      });
     });
   } else if (command === 'add-url-note') {
     // Open the side panel and send a message to add a new URL note
     chrome.sidePanel.open({ windowId: tab.windowId }).then(() => {
       // Send message to the side panel to add a new URL note
-      sendToSidePanelWithFallback({ action: 'add-url-note' });
+      sendToSidePanelWithFallback({
+        action: 'add-url-note',
+        windowId: tab.windowId,
+      });
+    });
+  } else if (command === 'add-selection-note') {
+    // Open the panel right away: it must happen within the key press gesture
+    chrome.sidePanel.open({ windowId: tab.windowId }).then(async () => {
+      try {
+        const selection = await readSelection(tab.id);
+        if (selection) {
+          sendQuoteNote(tab, selection.text, selection.url);
+        }
+      } catch (error) {
+        // Pages like chrome:// can't be scripted
+        console.log('Could not read the selection:', error);
+      }
     });
   }
 });
 
+// Notes searched from the address bar, read once per omnibox session
+let omniboxNotes = null;
+
+// Function to read the notes and page titles the address bar searches
+function readOmniboxNotes() {
+  if (!omniboxNotes) {
+    omniboxNotes = Promise.all([readNotes(), readIframeData()]).then(
+      ([notes, iframeData]) => ({
+        notes: notes.filter((note) => !note.deletedAt),
+        iframeData,
+      }),
+    );
+    // Read again next time if this failed
+    omniboxNotes.catch(() => {
+      omniboxNotes = null;
+    });
+  }
+  return omniboxNotes;
+}
+
+// Function to describe a note in the address bar, with the typed words marked
+function omniboxDescription(note, iframeData, text) {
+  if (!note.url) return markMatches(noteLabel(note, iframeData), text);
+
+  const url = `<url>${markMatches(note.url, text)}</url>`;
+  const title = iframeData[note.id]?.title;
+  return title ? `${markMatches(title, text)} ${url}` : url;
+}
+
+// Pressing Enter without picking a note adds the typed text as a new note
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Add a sticky note: <match>%s</match>',
+});
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  omniboxNotes = null;
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  readOmniboxNotes()
+    .then(({ notes, iframeData }) => {
+      suggest(
+        matchNotes(notes, iframeData, text).map((note) => ({
+          content: noteSuggestionContent(note.id),
+          description: omniboxDescription(note, iframeData, text),
+        })),
+      );
+    })
+    .catch((error) => console.error('Error searching notes:', error));
+});
+
+chrome.omnibox.onInputEntered.addListener((text) => {
+  omniboxNotes = null;
+
+  const noteId = suggestedNoteId(text);
+  if (noteId) {
+    sendToFocusedSidePanel({ action: 'focus-note', noteId });
+  } else if (text.trim()) {
+    sendToFocusedSidePanel({ action: 'add-note', content: text.trim() });
+  }
+});
+
 // Handle messages from the side panel and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'update-badge') {
@@ -235,9 +952,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'sidepanel-ready') {
     sidePanelReady = true;
 
-    // Send all pending messages
-    const messagesToSend = [...pendingMessages];
-    pendingMessages = [];
+    // Send the pending messages meant for this panel's window (panels
+    // ignore messages for other windows)
+    const messagesToSend = pendingMessages.filter(
+      (pending) => !pending.windowId || pending.windowId === message.windowId,
+    );
+    pendingMessages = pendingMessages.filter(
+      (pending) => !messagesToSend.includes(pending),
+    );
 
     for (const pendingMessage of messagesToSend) {
       chrome.runtime.sendMessage(pendingMessage).catch((error) => {
@@ -250,17 +972,55 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
   } else if (message.action === 'iframe-data-update') {
     // Handle iframe data updates from content scripts
-    handleIframeDataUpdate(message);
+    iframeDataQueue = iframeDataQueue.then(() =>
+      handleIframeDataUpdate(message),
+    );
+  } else if (message.action === 'step-frame-history') {
+    const run = iframeDataQueue.then(() =>
+      stepFrameHistory(message.noteId, message.step),
+    );
+    iframeDataQueue = run.catch(() => {});
+    run
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((error) => {
+        console.error('Error moving through frame history:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
   } else if (message.action === 'get-iframe-state') {
     // Handle requests for iframe state restoration
     handleGetIframeState(message, sendResponse);
     return true; // Keep the message channel open for async response
+  } else if (message.action === 'bind-board') {
+    bindBoard(message.scope, message.id, message.boardId)
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) => {
+        console.error('Error binding board:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === 'allow-frame-url') {
+    // The panel waits for the rule before loading a URL note's frame
+    syncFrameRules([message.url]).then(() => sendResponse({ ok: true }));
+    return true;
   }
 });
 
 // Listen for storage changes to update badge
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'sync' && changes.stickyNotes) {
+  if (
+    namespace === 'sync' &&
+    Object.keys(changes).some((key) => key.startsWith(NOTE_KEY_PREFIX))
+  ) {
+    updateBadge();
+    syncReminderAlarms();
+    syncFrameRules();
+  } else if (
+    (namespace === 'sync' && (changes[SETTINGS_KEY] || changes[BOARDS_KEY])) ||
+    (namespace === 'local' && changes[ACTIVE_BOARD_KEY]) ||
+    (namespace === 'session' && changes[BOARD_BINDINGS_KEY])
+  ) {
+    // The badge may count the active board only
     updateBadge();
   }
 });
@@ -270,50 +1030,32 @@ chrome.runtime.onInstalled.addListener(() => {
   // Enable the side panel on all sites
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
-  // Initialize badge on installation
-  updateBadge();
+  // Move notes saved in the old single-key layout, then initialize badge
+  migrateLegacyStorage()
+    .catch((error) => console.error('Error migrating notes:', error))
+    .then(() => purgeTrash())
+    .finally(() => {
+      updateBadge();
+      syncReminderAlarms();
+    });
 
   // Create context menus
   createContextMenus();
 
-  // Install header modification rules to allow most pages in iframes
-  chrome.declarativeNetRequest
-    .updateDynamicRules({
-      removeRuleIds: [1],
-      addRules: [
-        {
-          id: 1,
-          condition: {
-            urlFilter: '*',
-            resourceTypes: [
-              'sub_frame',
-              'xmlhttprequest',
-              'websocket',
-              'main_frame',
-              'other',
-            ],
-          },
-          action: {
-            type: 'modifyHeaders',
-            responseHeaders: [
-              { header: 'X-Frame-Options', operation: 'remove' },
-              { header: 'Frame-Options', operation: 'remove' },
-              { header: 'Content-Security-Policy', operation: 'remove' },
-              {
-                header: 'Content-Security-Policy-Report-Only',
-                operation: 'remove',
-              },
-            ],
-          },
-        },
-      ],
-    })
-    .catch((_e) => {});
+  // Replace the old catch-all header rule with per-domain rules
+  syncFrameRules();
 });
 
-// Update badge when extension starts up
+// Purge expired trash and update badge when extension starts up
 chrome.runtime.onStartup.addListener(() => {
-  updateBadge();
+  // Session rules don't survive a browser restart
+  syncFrameRules();
+
+  purgeTrash().finally(() => {
+    updateBadge();
+    // Alarms aren't guaranteed to survive a browser restart
+    syncReminderAlarms();
+  });
 });
 
 // Inject small spoofing to reduce some blockers within frames
@@ -1,4 +1,4 @@
-// Content script for monitoring page title and scroll position in iframes
+// Content script for monitoring page title, scroll and media position in iframes
 // This script gets injected into iframe pages to track their state
 
 (function () {
@@ -15,11 +15,33 @@
   }
   window['__STICKY_BEAR_CONTENT_SCRIPT_LOADED'] = true;
 
+  // The side panel page that hosts the note iframes
+  const EXTENSION_ORIGIN = `chrome-extension://${chrome.runtime.id}`;
+
+  // Where in the viewport the reading position is taken from
+  const ANCHOR_PROBE_Y_RATIO = 0.25;
+  // Anchors need enough text to be found again
+  const MIN_ANCHOR_TEXT = 20;
+  const MAX_ANCHOR_TEXT = 120;
+  // Restore keeps re-applying the position while the layout still changes
+  const RESTORE_INTERVAL = 100;
+  const RESTORE_STABLE_TIME = 700;
+  const RESTORE_TIMEOUT = 8000;
+  // Playback position is reported at most this often while media plays
+  const MEDIA_REPORT_INTERVAL = 5000;
+  // Players often create their media element well after the page loads
+  const MEDIA_RESTORE_TIMEOUT = 15000;
+
   let noteId = null;
+  let isRestoring = false;
   let lastTitle = '';
   let lastScrollY = 0;
   let lastScrollX = 0;
   let isThrottling = false;
+  // Until the panel has answered the ready message, playback reports would
+  // overwrite the saved position with an autoplay from the start
+  let awaitingRestore = false;
+  let lastMediaReport = 0;
 
   // Function to get the note ID from the iframe's name attribute
   function getNoteId() {
@@ -80,9 +102,226 @@
     }
   }
 
+  // The page's main player: the one playing, else the largest video, else
+  // any audio with a known duration
+  function findMainMedia() {
+    const media = Array.from(document.querySelectorAll('video, audio'));
+    const playing = media.find((el) => !el.paused && !el.ended);
+    if (playing) return playing;
+
+    let best = null;
+    let bestArea = 0;
+    media.forEach((el) => {
+      if (el.localName !== 'video') return;
+      const rect = el.getBoundingClientRect();
+      const area = rect.width * rect.height;
+      if (area > bestArea) {
+        best = el;
+        bestArea = area;
+      }
+    });
+    return best || media.find((el) => el.duration > 0) || null;
+  }
+
+  function getMediaState() {
+    const media = findMainMedia();
+    if (!media || !(media.duration > 0)) return null;
+
+    return {
+      kind: media.localName,
+      currentTime: Math.round(media.currentTime * 10) / 10,
+      duration: Number.isFinite(media.duration)
+        ? Math.round(media.duration)
+        : null,
+      playbackRate: media.playbackRate,
+      paused: media.paused,
+    };
+  }
+
+  function reportMedia() {
+    if (awaitingRestore) return;
+    const media = getMediaState();
+    if (!media) return;
+
+    lastMediaReport = Date.now();
+    sendToExtension({
+      type: 'media-change',
+      ...getCurrentPageData(),
+      media,
+    });
+  }
+
+  // Media events don't bubble, but capturing listeners on the document see
+  // them for every player, including ones added after load
+  function handleMediaEvent(event) {
+    if (event.type !== 'timeupdate') {
+      reportMedia();
+    } else if (Date.now() - lastMediaReport >= MEDIA_REPORT_INTERVAL) {
+      reportMedia();
+    }
+  }
+
+  function applyMedia(media, state) {
+    if (
+      state.currentTime > 0 &&
+      (!Number.isFinite(media.duration) || state.currentTime < media.duration)
+    ) {
+      media.currentTime = state.currentTime;
+    }
+    if (state.playbackRate > 0) {
+      media.playbackRate = state.playbackRate;
+    }
+    if (state.paused) {
+      media.pause();
+    } else {
+      // Autoplay policy may refuse; the position is restored either way
+      media.play().catch(() => {});
+    }
+  }
+
+  // Wait for the player to have metadata, then seek to the saved position
+  function restoreMedia(state) {
+    const startedAt = Date.now();
+
+    const finish = () => {
+      document.removeEventListener('loadedmetadata', attempt, true);
+      clearTimeout(timer);
+      awaitingRestore = false;
+    };
+
+    const attempt = () => {
+      const media = findMainMedia();
+      if (media && media.readyState >= HTMLMediaElement.HAVE_METADATA) {
+        applyMedia(media, state);
+        finish();
+      } else if (Date.now() - startedAt >= MEDIA_RESTORE_TIMEOUT) {
+        finish();
+      }
+    };
+
+    document.addEventListener('loadedmetadata', attempt, true);
+    const timer = setTimeout(finish, MEDIA_RESTORE_TIMEOUT);
+    attempt();
+  }
+
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function isFixed(element) {
+    for (let el = element; el && el !== document.body; el = el.parentElement) {
+      const position = getComputedStyle(el).position;
+      if (position === 'fixed' || position === 'sticky') return true;
+    }
+    return false;
+  }
+
+  // Describe the reading position as an element plus an offset, so it can be
+  // found again even if content above it loads later and shifts the page
+  function captureAnchor() {
+    let element = document.elementFromPoint(
+      window.innerWidth / 2,
+      window.innerHeight * ANCHOR_PROBE_Y_RATIO,
+    );
+    while (
+      element &&
+      element !== document.body &&
+      element !== document.documentElement &&
+      normalizeText(element.textContent).length < MIN_ANCHOR_TEXT
+    ) {
+      element = element.parentElement;
+    }
+    if (
+      !element ||
+      element === document.body ||
+      element === document.documentElement ||
+      isFixed(element)
+    ) {
+      return null;
+    }
+
+    return {
+      tag: element.localName,
+      id: element.id || undefined,
+      text: normalizeText(element.textContent).slice(0, MAX_ANCHOR_TEXT),
+      offset: Math.round(element.getBoundingClientRect().top),
+    };
+  }
+
+  function findAnchorElement(anchor) {
+    if (anchor.id) {
+      const element = document.getElementById(anchor.id);
+      if (element) return element;
+    }
+    if (!anchor.text) return null;
+
+    // Ancestors come before their descendants; keep the innermost match
+    let match = null;
+    for (const element of document.getElementsByTagName(anchor.tag || '*')) {
+      if (!normalizeText(element.textContent).startsWith(anchor.text)) {
+        continue;
+      }
+      if (match && !match.contains(element)) break;
+      match = element;
+    }
+    return match;
+  }
+
+  function applyPosition(position) {
+    const element = position.anchor && findAnchorElement(position.anchor);
+    const top = element
+      ? element.getBoundingClientRect().top +
+        window.scrollY -
+        position.anchor.offset
+      : position.scrollY;
+    window.scrollTo(position.scrollX || 0, Math.max(0, Math.round(top || 0)));
+  }
+
+  // Re-apply the saved position until the page height stops changing, the
+  // user scrolls on their own, or it takes too long
+  function restorePosition(position) {
+    const startedAt = Date.now();
+    let lastHeight = -1;
+    let stableSince = startedAt;
+    let timer = 0;
+
+    const stop = () => {
+      clearTimeout(timer);
+      isRestoring = false;
+      ['wheel', 'touchstart', 'keydown', 'mousedown'].forEach((type) =>
+        window.removeEventListener(type, stop, true),
+      );
+    };
+    ['wheel', 'touchstart', 'keydown', 'mousedown'].forEach((type) =>
+      window.addEventListener(type, stop, { capture: true, passive: true }),
+    );
+
+    const step = () => {
+      applyPosition(position);
+      const now = Date.now();
+      const height = document.documentElement.scrollHeight;
+      if (height !== lastHeight) {
+        lastHeight = height;
+        stableSince = now;
+      }
+      if (
+        now - stableSince >= RESTORE_STABLE_TIME ||
+        now - startedAt >= RESTORE_TIMEOUT
+      ) {
+        stop();
+        return;
+      }
+      timer = setTimeout(step, RESTORE_INTERVAL);
+    };
+
+    isRestoring = true;
+    step();
+  }
+
   // Throttled scroll handler
   function handleScroll() {
-    if (isThrottling) return;
+    // Positions passed through while restoring aren't the user's
+    if (isThrottling || isRestoring) return;
 
     isThrottling = true;
     requestAnimationFrame(() => {
@@ -104,6 +343,7 @@
         sendToExtension({
           type: 'scroll-change',
           ...getCurrentPageData(),
+          anchor: captureAnchor(),
         });
       }
 
@@ -111,17 +351,6 @@
     });
   }
 
-  // Function to restore scroll position
-  function restoreScrollPosition(scrollData) {
-    if (
-      scrollData &&
-      typeof scrollData.scrollX === 'number' &&
-      typeof scrollData.scrollY === 'number'
-    ) {
-      window.scrollTo(scrollData.scrollX, scrollData.scrollY);
-    }
-  }
-
   // Initialize monitoring
   function initializeMonitoring() {
     // Send initial page data
@@ -157,6 +386,11 @@
       { passive: true },
     );
 
+    // Monitor media playback
+    ['play', 'pause', 'ratechange', 'seeked', 'timeupdate'].forEach((type) =>
+      document.addEventListener(type, handleMediaEvent, true),
+    );
+
     // Monitor hash changes (for SPAs)
     window.addEventListener('hashchange', () => {
       sendToExtension({
@@ -173,19 +407,46 @@
       });
     });
 
-    // Listen for messages from the extension to restore state
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (
-        message.action === 'restore-iframe-state' &&
-        message.noteId === getNoteId()
-      ) {
-        if (message.scrollData) {
-          restoreScrollPosition(message.scrollData);
+    // Messages from the side panel hosting this frame: reloads from the URL
+    // note toolbar and the saved position to restore
+    window.addEventListener('message', (event) => {
+      if (event.source !== window.parent || event.origin !== EXTENSION_ORIGIN) {
+        return;
+      }
+      const message = event.data;
+      if (!message) return;
+
+      if (message.type === 'sticky-bear-restore') {
+        const position = message.position;
+        if (position && (position.anchor || position.scrollY)) {
+          restorePosition(position);
         }
-        sendResponse({ success: true });
+        if (position && position.media) {
+          restoreMedia(position.media);
+        } else {
+          awaitingRestore = false;
+        }
+      } else if (
+        message.type === 'sticky-bear-navigate' &&
+        message.command === 'reload'
+      ) {
+        location.reload();
       }
     });
 
+    // Tell the panel this frame can receive its saved position now
+    if (getNoteId()) {
+      awaitingRestore = true;
+      // Don't hold back playback reports forever if the panel never answers
+      setTimeout(() => {
+        awaitingRestore = false;
+      }, RESTORE_TIMEOUT);
+      window.parent.postMessage(
+        { type: 'sticky-bear-frame-ready', url: window.location.href },
+        EXTENSION_ORIGIN,
+      );
+    }
+
     console.debug(
       'Sticky Bear content script initialized for note:',
       getNoteId(),
@@ -204,6 +465,8 @@
     sendToExtension({
       type: 'page-unload',
       ...getCurrentPageData(),
+      anchor: captureAnchor(),
+      media: awaitingRestore ? null : getMediaState(),
     });
   });
 })();
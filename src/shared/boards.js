@@ -0,0 +1,176 @@
+// Sticky Bear - Boards
+//
+// Boards split the notes into separate sets, each with its own ordering.
+//   chrome.storage.sync   `boards`       [{ id, name }] in display order
+//   chrome.storage.local  `activeBoard`  id of the board shown on this device
+//   chrome.storage.session `boardBindings` boards kept in a window or tab
+//     group: { windows: {<windowId>: boardId}, groups: {<groupId>: boardId} }
+//     (session storage, since window and group ids don't outlive the browser)
+// A note's `boardId` names its board; notes without one (created before
+// boards existed) and notes whose board is unknown belong to the default
+// board, which always exists.
+
+export const BOARDS_KEY = 'boards';
+export const ACTIVE_BOARD_KEY = 'activeBoard';
+export const BOARD_BINDINGS_KEY = 'boardBindings';
+
+export const DEFAULT_BOARD_ID = 'default';
+const DEFAULT_BOARD_NAME = 'Notes';
+
+export const MAX_BOARD_NAME_LENGTH = 40;
+
+/**
+ * @param {{boardId?:string}} note
+ * @param {Array<{id:string}>} [boards] when given, unknown boards map to the
+ *   default board
+ * @returns {string}
+ */
+export function noteBoardId(note, boards) {
+  const boardId = note.boardId || DEFAULT_BOARD_ID;
+  if (boards && !boards.some((board) => board.id === boardId)) {
+    return DEFAULT_BOARD_ID;
+  }
+  return boardId;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} the name trimmed to a single line of limited length
+ */
+export function normalizeBoardName(name) {
+  return String(name || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_BOARD_NAME_LENGTH);
+}
+
+/**
+ * Keep well-formed boards only, with the default board first.
+ * @param {unknown} boards
+ * @returns {Array<{id:string,name:string}>}
+ */
+export function normalizeBoards(boards) {
+  const result = [];
+  const seen = new Set();
+  (Array.isArray(boards) ? boards : []).forEach((board) => {
+    if (!board || typeof board.id !== 'string' || seen.has(board.id)) return;
+    const name = normalizeBoardName(board.name);
+    if (!name) return;
+    seen.add(board.id);
+    result.push({ id: board.id, name });
+  });
+
+  const defaultIndex = result.findIndex(
+    (board) => board.id === DEFAULT_BOARD_ID,
+  );
+  const [defaultBoard] =
+    defaultIndex === -1
+      ? [{ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME }]
+      : result.splice(defaultIndex, 1);
+  return [defaultBoard, ...result];
+}
+
+/**
+ * @returns {Promise<Array<{id:string,name:string}>>}
+ */
+export async function readBoards() {
+  const result = await chrome.storage.sync.get([BOARDS_KEY]);
+  return normalizeBoards(result[BOARDS_KEY]);
+}
+
+/**
+ * @param {Array<{id:string,name:string}>} boards
+ */
+export async function writeBoards(boards) {
+  await chrome.storage.sync.set({ [BOARDS_KEY]: normalizeBoards(boards) });
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+export async function readActiveBoardId() {
+  const result = await chrome.storage.local.get([ACTIVE_BOARD_KEY]);
+  return typeof result[ACTIVE_BOARD_KEY] === 'string'
+    ? result[ACTIVE_BOARD_KEY]
+    : DEFAULT_BOARD_ID;
+}
+
+/**
+ * @param {string} boardId
+ */
+export async function writeActiveBoardId(boardId) {
+  await chrome.storage.local.set({ [ACTIVE_BOARD_KEY]: boardId });
+}
+
+/**
+ * @returns {Promise<{windows:Record<string,string>,groups:Record<string,string>}>}
+ */
+export async function readBoardBindings() {
+  const result = await chrome.storage.session.get([BOARD_BINDINGS_KEY]);
+  const bindings = result[BOARD_BINDINGS_KEY] || {};
+  return { windows: bindings.windows || {}, groups: bindings.groups || {} };
+}
+
+/**
+ * @param {{windows:Record<string,string>,groups:Record<string,string>}} bindings
+ */
+export async function writeBoardBindings(bindings) {
+  await chrome.storage.session.set({ [BOARD_BINDINGS_KEY]: bindings });
+}
+
+/**
+ * Board bound to a tab's group, else to its window.
+ * @param {{windows:Record<string,string>,groups:Record<string,string>}} bindings
+ * @param {{windowId:number, groupId?:number}} tab
+ * @returns {{boardId:string, scope:'group'|'window', id:number}|null}
+ */
+export function tabBoardBinding(bindings, tab) {
+  if (typeof tab.groupId === 'number' && bindings.groups[tab.groupId]) {
+    return {
+      boardId: bindings.groups[tab.groupId],
+      scope: 'group',
+      id: tab.groupId,
+    };
+  }
+  if (bindings.windows[tab.windowId]) {
+    return {
+      boardId: bindings.windows[tab.windowId],
+      scope: 'window',
+      id: tab.windowId,
+    };
+  }
+  return null;
+}
+
+/**
+ * Query string of the panel page for a board binding; the panel reads it
+ * back with panelBoardBinding().
+ * @param {{boardId:string, scope:'group'|'window', id:number}} binding
+ * @returns {string}
+ */
+export function boardPanelQuery(binding) {
+  const params = new URLSearchParams({
+    board: binding.boardId,
+    scope: binding.scope,
+  });
+  if (binding.scope === 'group') params.set('group', String(binding.id));
+  return params.toString();
+}
+
+/**
+ * @param {string} search the panel page's location.search
+ * @returns {{boardId:string, scope:'group'|'window', groupId:number|null}|null}
+ *   null when no board is kept in the panel's window or tab group
+ */
+export function panelBoardBinding(search) {
+  const params = new URLSearchParams(search);
+  const boardId = params.get('board');
+  if (!boardId) return null;
+
+  const scope = params.get('scope') === 'group' ? 'group' : 'window';
+  return {
+    boardId,
+    scope,
+    groupId: scope === 'group' ? Number(params.get('group')) : null,
+  };
+}
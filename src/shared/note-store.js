@@ -0,0 +1,537 @@
+// Sticky Bear - Note storage layer
+// Shared by the background service worker and the side panel.
+//
+// Layout:
+//   chrome.storage.sync   `note:<id>`       note metadata (+ body when small)
+//   chrome.storage.local  `note-body:<id>`  bodies too large for a sync item,
+//                                           as { content, rev, updatedAt }
+//   chrome.storage.local  `note-history:<id>` bounded list of past revisions
+//   chrome.storage.local  `iframeData`      per-device iframe state
+//
+// Keeping every note under its own key means one long note can no longer push
+// the whole collection over chrome.storage.sync's 8 KB per-item limit.
+//
+// Every write bumps the note's `rev` and `updatedAt`, so a panel that sees a
+// stored note change can tell a newer revision from one it already had. When
+// only the local body of a large note changed, the new revision is kept with
+// that body and the sync record isn't written at all.
+
+export const NOTE_KEY_PREFIX = 'note:';
+export const NOTE_BODY_KEY_PREFIX = 'note-body:';
+export const NOTE_HISTORY_KEY_PREFIX = 'note-history:';
+export const IFRAME_DATA_KEY = 'iframeData';
+
+// Original layout: every note in one array under a single sync key
+const LEGACY_NOTES_KEY = 'stickyNotes';
+// Copy of the legacy array kept until migration has fully succeeded
+const LEGACY_BACKUP_KEY = 'stickyNotesMigrationBackup';
+// Web Lock held while migrating, shared by the background and the panels
+const MIGRATION_LOCK = 'sticky-bear-migration';
+
+// Revisions kept per note; the oldest are dropped first
+const MAX_REVISIONS = 50;
+
+// Leave headroom under chrome.storage.sync.QUOTA_BYTES_PER_ITEM (8192)
+const MAX_INLINE_ITEM_BYTES = 6144;
+
+const SYNC_QUOTA_BYTES = 102400;
+const LOCAL_QUOTA_BYTES = 10485760;
+
+// chrome.storage.sync.MAX_ITEMS: every note, trashed ones included, takes an
+// item of its own, next to the settings and boards
+const SYNC_MAX_ITEMS = 512;
+
+// chrome.storage.sync.MAX_WRITE_OPERATIONS_PER_HOUR is 1800 for the whole
+// extension; a context keeps to a share of it, leaving room for the
+// background and the panels of other windows
+const SYNC_WRITES_PER_HOUR = 1200;
+const HOUR_MS = 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+
+// Serialized records last written for each note id, used to skip unchanged notes
+const writtenRecords = new Map();
+
+// Sync items other than notes, counted when the notes are read
+let otherSyncItemCount = 0;
+
+// Times of this context's sync writes during the last hour
+const syncWriteTimes = [];
+
+// Writes are chained so overlapping saves can't interleave
+let writeQueue = Promise.resolve();
+let historyQueue = Promise.resolve();
+
+export const noteKey = (noteId) => `${NOTE_KEY_PREFIX}${noteId}`;
+export const noteBodyKey = (noteId) => `${NOTE_BODY_KEY_PREFIX}${noteId}`;
+export const noteHistoryKey = (noteId) =>
+  `${NOTE_HISTORY_KEY_PREFIX}${noteId}`;
+
+// Size of an item the way chrome.storage.sync measures it (key + JSON value)
+function itemBytes(key, value) {
+  return encoder.encode(key + JSON.stringify(value)).length;
+}
+
+// Serialized sync record without the revision fields
+function syncFields({ rev, updatedAt, ...fields }) {
+  return JSON.stringify(fields);
+}
+
+// Split a note into its sync record and, if needed, a separate local body.
+// Edit mode belongs to the panel showing the note and is never stored.
+// `previous` are the records last written: a large note's sync record keeps
+// their revision while none of its own fields change.
+function toRecords(note, previous = null) {
+  const { content = '', isEditing, ...meta } = note;
+  const inline = { ...meta, content };
+  if (itemBytes(noteKey(note.id), inline) <= MAX_INLINE_ITEM_BYTES) {
+    return { sync: inline, body: null };
+  }
+
+  const sync = { ...meta, bodyInLocal: true };
+  const previousSync = previous?.sync;
+  if (
+    previousSync?.bodyInLocal &&
+    syncFields(previousSync) === syncFields(sync)
+  ) {
+    sync.rev = previousSync.rev;
+    sync.updatedAt = previousSync.updatedAt;
+  }
+  return {
+    sync,
+    body: { content, rev: note.rev, updatedAt: note.updatedAt },
+  };
+}
+
+// Records last written for a note, null when unknown or marked stale
+function writtenRecordsOf(noteId) {
+  const written = writtenRecords.get(noteId);
+  return written ? JSON.parse(written) : null;
+}
+
+function countSyncWrite() {
+  syncWriteTimes.push(Date.now());
+}
+
+/**
+ * @returns {number} milliseconds to wait before the next sync write keeps
+ *   within this context's share of the hourly write limit
+ */
+export function syncWriteDelay() {
+  const now = Date.now();
+  while (syncWriteTimes.length > 0 && syncWriteTimes[0] <= now - HOUR_MS) {
+    syncWriteTimes.shift();
+  }
+  if (syncWriteTimes.length < SYNC_WRITES_PER_HOUR) return 0;
+  const oldest = syncWriteTimes[syncWriteTimes.length - SYNC_WRITES_PER_HOUR];
+  return oldest + HOUR_MS - now;
+}
+
+function fromRecords(meta, body) {
+  const { bodyInLocal, isEditing, ...rest } = meta;
+  if (!bodyInLocal) return { ...rest, content: meta.content || '' };
+
+  // Bodies written by older versions are plain strings
+  const local = typeof body === 'string' ? { content: body } : body || {};
+  const note = { ...rest, content: local.content || '' };
+  if ((local.rev || 0) > (rest.rev || 0)) {
+    note.rev = local.rev;
+    note.updatedAt = local.updatedAt;
+  }
+  return note;
+}
+
+/**
+ * Read note metadata only (no large bodies). Cheap enough for badge updates.
+ * @returns {Promise<Array<object>>}
+ */
+export async function readNoteMetas() {
+  const all = await chrome.storage.sync.get(null);
+  const noteKeys = Object.keys(all).filter((key) =>
+    key.startsWith(NOTE_KEY_PREFIX),
+  );
+  otherSyncItemCount = Object.keys(all).length - noteKeys.length;
+  return noteKeys.map((key) => all[key]);
+}
+
+/**
+ * Read all notes with their bodies, migrating the legacy layout first.
+ * @returns {Promise<Array<object>>}
+ */
+export async function readNotes() {
+  await migrateLegacyStorage();
+
+  const metas = await readNoteMetas();
+  const bodyKeys = metas
+    .filter((meta) => meta.bodyInLocal)
+    .map((meta) => noteBodyKey(meta.id));
+  const bodies =
+    bodyKeys.length > 0 ? await chrome.storage.local.get(bodyKeys) : {};
+
+  writtenRecords.clear();
+  return metas.map((meta) => {
+    const note = fromRecords(meta, bodies[noteBodyKey(meta.id)]);
+    writtenRecords.set(
+      note.id,
+      JSON.stringify(toRecords(note, { sync: meta })),
+    );
+    return note;
+  });
+}
+
+/**
+ * Persist the given notes. Only notes that changed since the last read/write
+ * are written, and notes that are no longer present are removed.
+ * @param {Array<object>} notes
+ * @returns {Promise<void>}
+ */
+export function writeNotes(notes) {
+  const run = writeQueue.then(() => writeChangedNotes(notes));
+  // Keep the queue alive even if this write fails
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+async function writeChangedNotes(notes) {
+  const syncItems = {};
+  const localItems = {};
+  const syncRemovals = [];
+  const localRemovals = [];
+  const nextRecords = new Map();
+
+  for (const note of notes) {
+    const previous = writtenRecordsOf(note.id);
+    let records = toRecords(note, previous);
+    let serialized = JSON.stringify(records);
+    if (writtenRecords.get(note.id) !== serialized) {
+      note.rev = (note.rev || 0) + 1;
+      note.updatedAt = new Date().toISOString();
+      records = toRecords(note, previous);
+      serialized = JSON.stringify(records);
+    }
+    nextRecords.set(note.id, serialized);
+    if (writtenRecords.get(note.id) === serialized) continue;
+
+    // Only the records that changed are written
+    if (
+      !previous ||
+      JSON.stringify(records.sync) !== JSON.stringify(previous.sync)
+    ) {
+      syncItems[noteKey(note.id)] = records.sync;
+    }
+    if (records.body !== null) {
+      localItems[noteBodyKey(note.id)] = records.body;
+    } else {
+      localRemovals.push(noteBodyKey(note.id));
+    }
+  }
+
+  for (const noteId of writtenRecords.keys()) {
+    if (!nextRecords.has(noteId)) {
+      syncRemovals.push(noteKey(noteId));
+      localRemovals.push(noteBodyKey(noteId), noteHistoryKey(noteId));
+    }
+  }
+
+  // Fail with a clear message rather than chrome's quota error; edits to
+  // notes that are stored already still go through
+  const maxItems = chrome.storage.sync.MAX_ITEMS || SYNC_MAX_ITEMS;
+  const itemCount = nextRecords.size + otherSyncItemCount;
+  const addsItems = Object.keys(syncItems).some(
+    (key) => !writtenRecords.has(key.slice(NOTE_KEY_PREFIX.length)),
+  );
+  if (addsItems && itemCount > maxItems) {
+    throw new Error(
+      `Chrome syncs at most ${maxItems} items and every note, including those in the trash, is one. Empty the trash or delete notes to add more.`,
+    );
+  }
+
+  // Write bodies before the metadata that points at them
+  if (Object.keys(localItems).length > 0) {
+    await chrome.storage.local.set(localItems);
+  }
+  if (Object.keys(syncItems).length > 0) {
+    await chrome.storage.sync.set(syncItems);
+    countSyncWrite();
+  }
+  if (syncRemovals.length > 0) {
+    await chrome.storage.sync.remove(syncRemovals);
+    countSyncWrite();
+  }
+  if (localRemovals.length > 0) {
+    await chrome.storage.local.remove(localRemovals);
+  }
+
+  writtenRecords.clear();
+  nextRecords.forEach((serialized, noteId) =>
+    writtenRecords.set(noteId, serialized),
+  );
+}
+
+/**
+ * Change fields of a single stored note without touching the others. Used by
+ * the background, which doesn't keep the full list of notes in memory.
+ * Fields set to undefined are removed.
+ * @param {string} noteId
+ * @param {object} changes
+ * @returns {Promise<object|null>} the updated metadata, or null if the note
+ *   no longer exists
+ */
+export function updateNoteMeta(noteId, changes) {
+  const run = writeQueue.then(async () => {
+    const key = noteKey(noteId);
+    const meta = (await chrome.storage.sync.get(key))[key];
+    if (!meta) return null;
+
+    const updated = JSON.parse(
+      JSON.stringify({
+        ...meta,
+        ...changes,
+        rev: (meta.rev || 0) + 1,
+        updatedAt: new Date().toISOString(),
+      }),
+    );
+    await chrome.storage.sync.set({ [key]: updated });
+    countSyncWrite();
+    // The cached record is stale now; rewrite the note on the next save
+    if (writtenRecords.has(noteId)) writtenRecords.set(noteId, '');
+    return updated;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read the stored state of notes that changed in storage since this context
+ * last read or wrote them, e.g. because another panel saved them. Runs after
+ * pending writes, so echoes of this context's own writes are skipped.
+ * @param {string[]} noteIds
+ * @returns {Promise<Array<{noteId:string,stored:object|null,base:object|null}>>}
+ *   `stored` is null for removed notes; `base` is the note as this context
+ *   last read or wrote it, null if it didn't know the note
+ */
+export function readChangedNotes(noteIds) {
+  const run = writeQueue.then(async () => {
+    const metas = await chrome.storage.sync.get(noteIds.map(noteKey));
+    const bodyKeys = noteIds
+      .filter((noteId) => metas[noteKey(noteId)]?.bodyInLocal)
+      .map(noteBodyKey);
+    const bodies =
+      bodyKeys.length > 0 ? await chrome.storage.local.get(bodyKeys) : {};
+
+    const changes = [];
+    noteIds.forEach((noteId) => {
+      const meta = metas[noteKey(noteId)];
+      const stored = meta
+        ? fromRecords(meta, bodies[noteBodyKey(noteId)])
+        : null;
+      const written = writtenRecords.get(noteId);
+      const records = writtenRecordsOf(noteId);
+      const serialized = stored
+        ? JSON.stringify(toRecords(stored, records))
+        : undefined;
+      if (serialized === written) return;
+
+      changes.push({
+        noteId,
+        stored,
+        base: records ? fromRecords(records.sync, records.body) : null,
+      });
+    });
+    return changes;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Record a stored note as known, so the next save only writes it if it
+ * changes again.
+ * @param {string} noteId
+ * @param {object|null} note the stored note, null if it was removed
+ */
+export function acceptStoredNote(noteId, note) {
+  if (note) {
+    writtenRecords.set(
+      noteId,
+      JSON.stringify(toRecords(note, writtenRecordsOf(noteId))),
+    );
+  } else {
+    writtenRecords.delete(noteId);
+  }
+}
+
+/**
+ * @param {object} note
+ * @returns {boolean} whether the note has changes that aren't saved yet
+ */
+export function hasUnsavedChanges(note) {
+  return (
+    writtenRecords.get(note.id) !==
+    JSON.stringify(toRecords(note, writtenRecordsOf(note.id)))
+  );
+}
+
+/**
+ * Permanently remove trashed notes deleted more than retentionDays ago,
+ * together with their bodies and iframe data.
+ * @param {number} retentionDays 0 disables automatic purging
+ * @returns {Promise<string[]>} ids of the purged notes
+ */
+export async function purgeExpiredTrash(retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return [];
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expiredIds = (await readNoteMetas())
+    .filter(
+      (meta) => meta.deletedAt && new Date(meta.deletedAt).getTime() < cutoff,
+    )
+    .map((meta) => meta.id);
+  if (expiredIds.length === 0) return [];
+
+  await chrome.storage.sync.remove(expiredIds.map(noteKey));
+  await chrome.storage.local.remove([
+    ...expiredIds.map(noteBodyKey),
+    ...expiredIds.map(noteHistoryKey),
+  ]);
+  expiredIds.forEach((noteId) => writtenRecords.delete(noteId));
+
+  const iframeData = await readIframeData();
+  if (expiredIds.some((noteId) => iframeData[noteId])) {
+    expiredIds.forEach((noteId) => delete iframeData[noteId]);
+    await writeIframeData(iframeData);
+  }
+
+  return expiredIds;
+}
+
+/**
+ * Read a note's saved revisions, oldest first.
+ * @param {string} noteId
+ * @returns {Promise<Array<{content:string,savedAt:number}>>}
+ */
+export async function readNoteHistory(noteId) {
+  const key = noteHistoryKey(noteId);
+  const result = await chrome.storage.local.get([key]);
+  return Array.isArray(result[key]) ? result[key] : [];
+}
+
+/**
+ * Append a revision unless it matches the latest one. History is kept in
+ * chrome.storage.local so it never counts against the sync quota.
+ * @param {string} noteId
+ * @param {string} content
+ * @returns {Promise<boolean>} whether a revision was added
+ */
+export function appendNoteRevision(noteId, content) {
+  const run = historyQueue.then(() => addRevision(noteId, content));
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+async function addRevision(noteId, content) {
+  const history = await readNoteHistory(noteId);
+  const latest = history[history.length - 1];
+  if (latest ? latest.content === content : !content) return false;
+
+  history.push({ content, savedAt: Date.now() });
+  await chrome.storage.local.set({
+    [noteHistoryKey(noteId)]: history.slice(-MAX_REVISIONS),
+  });
+  return true;
+}
+
+/**
+ * Read the per-device iframe monitoring data.
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function readIframeData() {
+  const result = await chrome.storage.local.get([IFRAME_DATA_KEY]);
+  return result[IFRAME_DATA_KEY] || {};
+}
+
+/**
+ * @param {Record<string, object>} iframeData
+ */
+export async function writeIframeData(iframeData) {
+  await chrome.storage.local.set({ [IFRAME_DATA_KEY]: iframeData });
+}
+
+/**
+ * Report bytes used against the sync and local quotas.
+ * @returns {Promise<{syncBytes:number,syncQuota:number,localBytes:number,localQuota:number}>}
+ */
+export async function getStorageUsage() {
+  const [syncBytes, localBytes] = await Promise.all([
+    chrome.storage.sync.getBytesInUse(null),
+    chrome.storage.local.getBytesInUse(null),
+  ]);
+  return {
+    syncBytes,
+    syncQuota: chrome.storage.sync.QUOTA_BYTES || SYNC_QUOTA_BYTES,
+    syncItems: writtenRecords.size + otherSyncItemCount,
+    syncMaxItems: chrome.storage.sync.MAX_ITEMS || SYNC_MAX_ITEMS,
+    localBytes,
+    localQuota: chrome.storage.local.QUOTA_BYTES || LOCAL_QUOTA_BYTES,
+  };
+}
+
+/**
+ * Move data from the single-array layout into per-note keys. Safe to call
+ * repeatedly; does nothing once the legacy keys are gone.
+ * @returns {Promise<void>}
+ */
+export function migrateLegacyStorage() {
+  // The background and an open panel both migrate when the extension is
+  // updated. The lock keeps one from writing legacy notes it read before the
+  // other finished and the panel saved newer edits; the queue keeps this
+  // context's own saves out of the way.
+  const run = writeQueue.then(() =>
+    navigator.locks.request(MIGRATION_LOCK, migrateLegacyLayout),
+  );
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+async function migrateLegacyLayout() {
+  const legacy = await chrome.storage.sync.get([
+    LEGACY_NOTES_KEY,
+    IFRAME_DATA_KEY,
+  ]);
+
+  let legacyNotes = legacy[LEGACY_NOTES_KEY];
+  if (Array.isArray(legacyNotes)) {
+    // Stash a local copy first so the notes survive a failed migration
+    await chrome.storage.local.set({ [LEGACY_BACKUP_KEY]: legacyNotes });
+    await chrome.storage.sync.remove(LEGACY_NOTES_KEY);
+  } else {
+    const backup = await chrome.storage.local.get([LEGACY_BACKUP_KEY]);
+    legacyNotes = backup[LEGACY_BACKUP_KEY];
+  }
+
+  if (Array.isArray(legacyNotes)) {
+    const syncItems = {};
+    const localItems = {};
+    legacyNotes.forEach((note, index) => {
+      if (!note || !note.id) return;
+      const records = toRecords({
+        ...note,
+        order: typeof note.order === 'number' ? note.order : index,
+      });
+      syncItems[noteKey(note.id)] = records.sync;
+      if (records.body !== null) {
+        localItems[noteBodyKey(note.id)] = records.body;
+      }
+    });
+    await chrome.storage.local.set(localItems);
+    await chrome.storage.sync.set(syncItems);
+    await chrome.storage.local.remove(LEGACY_BACKUP_KEY);
+  }
+
+  const legacyIframeData = legacy[IFRAME_DATA_KEY];
+  if (legacyIframeData && typeof legacyIframeData === 'object') {
+    const current = await readIframeData();
+    await writeIframeData({ ...legacyIframeData, ...current });
+    await chrome.storage.sync.remove(IFRAME_DATA_KEY);
+  }
+}
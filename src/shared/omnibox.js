@@ -0,0 +1,99 @@
+// Sticky Bear - Address bar (omnibox) search
+//
+// After the `sb` keyword, the typed text is matched against the notes. The
+// text entered is then either a suggestion's content, naming a note to show,
+// or the text of a new note.
+
+const NOTE_SUGGESTION_PREFIX = 'sb-note:';
+
+// Chrome shows only a handful of suggestions below the default one
+export const MAX_SUGGESTIONS = 5;
+
+/**
+ * @param {string} noteId
+ * @returns {string} suggestion content standing for the note
+ */
+export const noteSuggestionContent = (noteId) =>
+  `${NOTE_SUGGESTION_PREFIX}${noteId}`;
+
+/**
+ * @param {string} text the entered text
+ * @returns {string|null} the note id, or null for text typed by the user
+ */
+export function suggestedNoteId(text) {
+  return text.startsWith(NOTE_SUGGESTION_PREFIX)
+    ? text.slice(NOTE_SUGGESTION_PREFIX.length)
+    : null;
+}
+
+/**
+ * Notes whose content, URL or page title contain every typed word, most
+ * recently changed first.
+ * @param {Array<object>} notes
+ * @param {Record<string, {title?:string}>} iframeData
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+export function matchNotes(notes, iframeData, text) {
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const changedAt = (note) =>
+    new Date(note.updatedAt || note.createdAt || 0).getTime() || 0;
+
+  return notes
+    .filter((note) => {
+      const haystack = [
+        note.content || '',
+        note.url || '',
+        iframeData[note.id]?.title || '',
+      ]
+        .join('\n')
+        .toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    })
+    .sort((a, b) => changedAt(b) - changedAt(a))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Escape text for a suggestion description, which is parsed as XML.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeDescription(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Escaped text with the typed words wrapped in <match>.
+ * @param {string} text
+ * @param {string} typed
+ * @returns {string}
+ */
+export function markMatches(text, typed) {
+  const terms = typed
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (terms.length === 0) return escapeDescription(text);
+
+  // Longer words first, so "note" doesn't cut "notes" short
+  const pattern = new RegExp(
+    `(${terms.sort((a, b) => b.length - a.length).join('|')})`,
+    'gi',
+  );
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      // split() puts the captured matches at the odd indexes
+      index % 2 === 1
+        ? `<match>${escapeDescription(part)}</match>`
+        : escapeDescription(part),
+    )
+    .join('');
+}
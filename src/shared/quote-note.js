@@ -0,0 +1,59 @@
+// Sticky Bear - Building quote notes from text selected on a page
+
+// Selections longer than this many words are linked by their first and last
+// words (textStart,textEnd) instead of the whole passage
+const FRAGMENT_MAX_WORDS = 10;
+const FRAGMENT_EDGE_WORDS = 4;
+
+// encodeURIComponent leaves "-" alone, but it is the prefix/suffix marker in
+// text directives, so it has to be escaped as well
+function encodeFragmentText(text) {
+  return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+/**
+ * Link to a page that scrolls to and highlights the given text.
+ * @param {string} url
+ * @param {string} text
+ * @returns {string}
+ */
+export function textFragmentUrl(url, text) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return url;
+
+  let directive;
+  if (words.length > FRAGMENT_MAX_WORDS) {
+    const start = words.slice(0, FRAGMENT_EDGE_WORDS).join(' ');
+    const end = words.slice(-FRAGMENT_EDGE_WORDS).join(' ');
+    directive = `${encodeFragmentText(start)},${encodeFragmentText(end)}`;
+  } else {
+    directive = encodeFragmentText(words.join(' '));
+  }
+
+  // Keep the page's own #hash, but drop any fragment directive already there
+  const [base, hash = ''] = url.split('#');
+  const pageHash = hash.split(':~:')[0];
+  return `${base}#${pageHash}:~:text=${directive}`;
+}
+
+/**
+ * Markdown for a note quoting text from a page.
+ * @param {{text:string, title?:string, url?:string}} source
+ * @returns {string}
+ */
+export function buildQuoteNote({ text, title = '', url = '' }) {
+  const quote = text
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => (line.trim() ? `> ${line.trimEnd()}` : '>'))
+    .join('\n');
+
+  if (!url) return quote;
+
+  const label = (title.trim() || url).replace(/([[\]\\])/g, '\\$1');
+  // Parentheses would end the markdown link target early
+  const href = textFragmentUrl(url, text)
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29');
+  return `${quote}\n\n— [${label}](${href})`;
+}
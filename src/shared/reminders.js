@@ -0,0 +1,118 @@
+// Sticky Bear - Note reminders
+//
+// A note's `reminder` is { dueAt, repeat, snoozedUntil?, notified? }:
+//   dueAt         next due time (ms since epoch)
+//   repeat        one of REPEAT_RULES
+//   snoozedUntil  set while a fired reminder is snoozed
+//   notified      set once a one-off reminder has fired
+
+export const REMINDER_ALARM_PREFIX = 'reminder:';
+
+export const REPEAT_RULES = ['none', 'daily', 'weekdays', 'weekly', 'monthly'];
+
+const REPEAT_LABELS = {
+  daily: 'every day',
+  weekdays: 'every weekday',
+  weekly: 'every week',
+  monthly: 'every month',
+};
+
+// Alarm and notification ids are both `reminder:<noteId>`
+export const reminderAlarmName = (noteId) =>
+  `${REMINDER_ALARM_PREFIX}${noteId}`;
+
+/**
+ * @param {string} name alarm or notification id
+ * @returns {string|null} the note id, or null for other alarms
+ */
+export function reminderNoteId(name) {
+  return name.startsWith(REMINDER_ALARM_PREFIX)
+    ? name.slice(REMINDER_ALARM_PREFIX.length)
+    : null;
+}
+
+/**
+ * When the reminder should fire next.
+ * @param {object|undefined} reminder
+ * @returns {number|null} null when nothing is pending
+ */
+export function reminderTime(reminder) {
+  if (!reminder || reminder.notified) return null;
+  return reminder.snoozedUntil || reminder.dueAt || null;
+}
+
+function addMonths(time, months) {
+  const date = new Date(time);
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  // Clamp to the end of shorter months (Jan 31 -> Feb 28)
+  const lastDay = new Date(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    0,
+  ).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date.getTime();
+}
+
+function addDays(time, days) {
+  // Calendar days rather than 24h, so the time of day survives DST changes
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+function isWeekend(time) {
+  const day = new Date(time).getDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * First occurrence of a repeating reminder that is later than `now`.
+ * @param {number} dueAt
+ * @param {string} repeat
+ * @param {number} [now]
+ * @returns {number|null} null for reminders that don't repeat
+ */
+export function nextOccurrence(dueAt, repeat, now = Date.now()) {
+  if (!REPEAT_LABELS[repeat]) return null;
+
+  let next = dueAt;
+  let months = 0;
+  while (next <= now || (repeat === 'weekdays' && isWeekend(next))) {
+    if (repeat === 'monthly') {
+      months++;
+      next = addMonths(dueAt, months);
+    } else {
+      next = addDays(next, repeat === 'weekly' ? 7 : 1);
+    }
+  }
+  return next;
+}
+
+/**
+ * Human readable description used in tooltips and notifications.
+ * @param {object} reminder
+ * @returns {string}
+ */
+export function describeReminder(reminder) {
+  const when = new Date(reminderTime(reminder) || reminder.dueAt);
+  const formatted = when.toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  let text = reminder.snoozedUntil
+    ? `Snoozed until ${formatted}`
+    : reminder.notified
+    ? `Was due ${formatted}`
+    : `Due ${formatted}`;
+  if (REPEAT_LABELS[reminder.repeat]) {
+    text += `, repeats ${REPEAT_LABELS[reminder.repeat]}`;
+  }
+  return text;
+}
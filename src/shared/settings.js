@@ -0,0 +1,38 @@
+// Sticky Bear - User settings
+// Small preferences synced across devices under a single sync key.
+
+export const SETTINGS_KEY = 'settings';
+
+export const DEFAULT_SETTINGS = {
+  // Days a deleted note stays in the trash; 0 keeps it until emptied by hand
+  trashRetentionDays: 30,
+  // Move a task list item below the unchecked ones when it gets checked
+  moveCheckedTasksDown: false,
+  // Count only the notes on the active board in the toolbar badge
+  badgeCountsActiveBoard: false,
+  // Formatting buttons above the note editor
+  formattingToolbar: false,
+  // Rendered preview below the note editor, updated while typing
+  livePreview: false,
+  // Convert formatted text pasted from web pages to markdown
+  pasteAsMarkdown: true,
+};
+
+/**
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function readSettings() {
+  const result = await chrome.storage.sync.get([SETTINGS_KEY]);
+  return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Merge the given values into the stored settings.
+ * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+ * @returns {Promise<typeof DEFAULT_SETTINGS>} the updated settings
+ */
+export async function writeSettings(changes) {
+  const settings = { ...(await readSettings()), ...changes };
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
@@ -0,0 +1,103 @@
+// Sticky Bear - Matching notes attached to a site against page URLs
+//
+// A note's `site` is { mode, pattern } where mode is one of:
+//   exact   pattern is a full URL; matches that page (ignoring #hash)
+//   prefix  pattern is host + path, e.g. "example.com/docs/"
+//   domain  pattern is a host; matches it and its subdomains
+
+export const SITE_MODES = ['exact', 'prefix', 'domain'];
+
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      return parsed;
+    }
+  } catch (_e) {}
+  return null;
+}
+
+// "www.example.com" and "example.com" are treated as the same site
+const stripWww = (host) => host.toLowerCase().replace(/^www\./, '');
+
+function hostWithPort(parsed) {
+  return `${stripWww(parsed.hostname)}${parsed.port ? `:${parsed.port}` : ''}`;
+}
+
+// Scheme-, hash- and trailing-slash-insensitive key for exact matches
+function exactKey(parsed) {
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  return `${hostWithPort(parsed)}${path}${parsed.search}`;
+}
+
+/**
+ * Build the default pattern for a mode from a page URL.
+ * @param {string} mode
+ * @param {string} url
+ * @returns {string} '' when the URL can't be attached to
+ */
+export function sitePatternFor(mode, url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return '';
+
+  if (mode === 'exact') {
+    return `${parsed.origin}${parsed.pathname}${parsed.search}`;
+  }
+  if (mode === 'prefix') {
+    // Directory of the current page, e.g. /docs/guide/intro -> /docs/guide/
+    const directory = parsed.pathname.slice(
+      0,
+      parsed.pathname.lastIndexOf('/') + 1,
+    );
+    return `${hostWithPort(parsed)}${directory || '/'}`;
+  }
+  if (mode === 'domain') {
+    return stripWww(parsed.hostname);
+  }
+  return '';
+}
+
+/**
+ * @param {{mode:string,pattern:string}|null|undefined} site
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function siteMatches(site, url) {
+  if (!site || !site.pattern) return false;
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return false;
+
+  if (site.mode === 'exact') {
+    const pattern = parseHttpUrl(site.pattern);
+    return Boolean(pattern) && exactKey(pattern) === exactKey(parsed);
+  }
+
+  if (site.mode === 'prefix') {
+    const prefix = stripWww(site.pattern.trim().replace(/^https?:\/\//i, ''));
+    const target = `${hostWithPort(parsed)}${parsed.pathname}`;
+    if (!target.toLowerCase().startsWith(prefix.toLowerCase())) return false;
+    // Only match on path segment boundaries ("/doc" must not match "/docs")
+    const next = target.charAt(prefix.length);
+    return prefix.endsWith('/') || next === '' || next === '/';
+  }
+
+  if (site.mode === 'domain') {
+    const domain = stripWww(site.pattern.trim());
+    const host = stripWww(parsed.hostname);
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  return false;
+}
+
+/**
+ * Human readable description used in tooltips.
+ * @param {{mode:string,pattern:string}} site
+ * @returns {string}
+ */
+export function describeSite(site) {
+  if (site.mode === 'exact') return `Page: ${site.pattern}`;
+  if (site.mode === 'prefix') return `Pages under: ${site.pattern}`;
+  if (site.mode === 'domain') return `Site: ${site.pattern}`;
+  return '';
+}
@@ -0,0 +1,240 @@
+// Sticky Bear Panel - Image attachments
+//
+// Images pasted or dropped into a note are far too large for
+// chrome.storage.sync, so they stay on this device in IndexedDB:
+//   database `sticky-bear`, store `attachments`
+//     { id, type, name, size, blob, thumbnail, createdAt }
+// A note's markdown refers to an image as ![name](attachment:<id>), and
+// renderMarkdown() shows the thumbnail in its place. On other devices the
+// synced note shows the image's name instead.
+
+const DB_NAME = 'sticky-bear';
+const DB_VERSION = 1;
+const STORE_NAME = 'attachments';
+
+const ATTACHMENT_SCHEME = 'attachment:';
+
+const ATTACHMENT_REFERENCE = /attachment:([\w-]+)/g;
+
+// Raster formats a canvas can draw; SVG is left out since it can carry script
+const IMAGE_TYPES = new Set([
+  'image/avif',
+  'image/bmp',
+  'image/gif',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+]);
+
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+// Longest side of a thumbnail: the width of a wide panel on a high-DPI screen
+const THUMBNAIL_SIZE = 800;
+
+// Unreferenced attachments younger than this are kept: the note referring to
+// one may not have been saved yet, here or in another window
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+let databasePromise = null;
+
+// Object URLs by `<field>:<id>`, created once and kept while the panel is open
+const urlPromises = new Map();
+const loadedUrls = new Map();
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Open again next time instead of keeping the failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run requests in a transaction and wait for it to complete.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} run
+ * @returns {Promise<any>} the result of the request run returns
+ */
+async function withStore(mode, run) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<Blob>} the image scaled down to THUMBNAIL_SIZE
+ */
+async function createThumbnail(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(
+    1,
+    THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height),
+  );
+  // Small images, and animations a canvas would stop, are their own thumbnail
+  if (scale === 1 || blob.type === 'image/gif') {
+    bitmap.close();
+    return blob;
+  }
+
+  const canvas = new OffscreenCanvas(
+    Math.round(bitmap.width * scale),
+    Math.round(bitmap.height * scale),
+  );
+  const context = /** @type {OffscreenCanvasRenderingContext2D} */ (
+    canvas.getContext('2d')
+  );
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.convertToBlob({ type: 'image/webp', quality: 0.85 });
+}
+
+/**
+ * @param {DataTransfer|null} dataTransfer of a paste or drop
+ * @returns {File[]} the images in it that can be attached
+ */
+export function attachableImages(dataTransfer) {
+  return Array.from(dataTransfer?.files || []).filter((file) =>
+    IMAGE_TYPES.has(file.type),
+  );
+}
+
+/**
+ * Whether a drag carries images; while dragging, only the types of the
+ * files can be seen.
+ * @param {DataTransfer|null} dataTransfer
+ * @returns {boolean}
+ */
+export function hasAttachableImages(dataTransfer) {
+  return Array.from(dataTransfer?.items || []).some(
+    (item) => item.kind === 'file' && IMAGE_TYPES.has(item.type),
+  );
+}
+
+/**
+ * Store an image together with its thumbnail.
+ * @param {File} file
+ * @returns {Promise<string>} the attachment id
+ */
+export async function saveAttachment(file) {
+  if (!IMAGE_TYPES.has(file.type)) {
+    throw new Error(`${file.type || 'This file type'} is not supported`);
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error('Images larger than 20 MB cannot be attached');
+  }
+
+  const thumbnail = await createThumbnail(file);
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await withStore('readwrite', (store) =>
+    store.put({
+      id,
+      type: file.type,
+      name: file.name || '',
+      size: file.size,
+      blob: file,
+      thumbnail,
+      createdAt: Date.now(),
+    }),
+  );
+  return id;
+}
+
+/**
+ * @param {string} id
+ * @param {string} name shown where the image isn't available
+ * @returns {string} markdown showing the attachment
+ */
+export function attachmentMarkdown(id, name) {
+  const alt = name.replace(/\.[^.]+$/, '').replace(/[[\]\\]/g, '') || 'image';
+  return `![${alt}](${ATTACHMENT_SCHEME}${id})`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} ids of the attachments the text refers to
+ */
+export function referencedAttachmentIds(text) {
+  return Array.from(text.matchAll(ATTACHMENT_REFERENCE), (match) => match[1]);
+}
+
+/**
+ * Object URL of an attachment's thumbnail or full image.
+ * @param {string} id
+ * @param {'thumbnail'|'blob'} [field]
+ * @returns {Promise<string|null>} null when the attachment isn't on this device
+ */
+export function loadAttachmentUrl(id, field = 'thumbnail') {
+  const key = `${field}:${id}`;
+  if (!urlPromises.has(key)) {
+    const promise = withStore('readonly', (store) => store.get(id)).then(
+      (record) => {
+        const url = record ? URL.createObjectURL(record[field]) : null;
+        loadedUrls.set(key, url);
+        return url;
+      },
+    );
+    // Failed reads are tried again next time
+    promise.catch(() => urlPromises.delete(key));
+    urlPromises.set(key, promise);
+  }
+  return urlPromises.get(key);
+}
+
+/**
+ * @param {string} id
+ * @returns {string|null|undefined} the thumbnail URL once loaded, null when
+ *   the attachment isn't on this device, undefined when not loaded yet
+ */
+export function loadedThumbnailUrl(id) {
+  return loadedUrls.get(`thumbnail:${id}`);
+}
+
+/**
+ * Delete the attachments none of the given texts refer to.
+ * @param {Iterable<string>} texts contents and past revisions of all notes
+ * @returns {Promise<string[]>} ids of the deleted attachments
+ */
+export async function deleteOrphanedAttachments(texts) {
+  const referenced = new Set();
+  for (const text of texts) {
+    referencedAttachmentIds(text).forEach((id) => referenced.add(id));
+  }
+
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  const records = await withStore('readonly', (store) => store.getAll());
+  const orphanIds = records
+    .filter(
+      (record) => !referenced.has(record.id) && record.createdAt < cutoff,
+    )
+    .map((record) => record.id);
+  if (orphanIds.length === 0) return [];
+
+  await withStore('readwrite', (store) => {
+    orphanIds.forEach((id) => store.delete(id));
+  });
+  orphanIds.forEach((id) => {
+    ['thumbnail', 'blob'].forEach((field) => {
+      const url = loadedUrls.get(`${field}:${id}`);
+      if (url) URL.revokeObjectURL(url);
+      loadedUrls.delete(`${field}:${id}`);
+      urlPromises.delete(`${field}:${id}`);
+    });
+  });
+  return orphanIds;
+}
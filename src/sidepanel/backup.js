@@ -0,0 +1,422 @@
+// Sticky Bear Panel - Backup export/import helpers
+import { extractTags } from './tags.js';
+import { ORDER_GAP } from './ordering.js';
+import { SITE_MODES } from '../shared/site-match.js';
+import { REPEAT_RULES } from '../shared/reminders.js';
+import { noteBoardId, normalizeBoards } from '../shared/boards.js';
+
+export const BACKUP_FORMAT = 'sticky-bear-backup';
+export const BACKUP_VERSION = 1;
+
+const NOTE_COLORS = ['yellow', 'green', 'blue', 'red', 'gray'];
+
+// Ids end up in HTML attributes and storage keys; anything else is rejected
+const SAFE_ID_PATTERN = /^[\w-]+$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHttpUrl(url) {
+  let protocol = '';
+  try {
+    protocol = new URL(url).protocol;
+  } catch (_e) {}
+  return protocol === 'http:' || protocol === 'https:';
+}
+
+// Timestamps are kept as ISO strings; ones Date can't read are dropped
+function validDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    ? value
+    : undefined;
+}
+
+// Drop site attachments that this version can't match against
+function validSite(site) {
+  if (
+    site &&
+    typeof site === 'object' &&
+    SITE_MODES.includes(site.mode) &&
+    typeof site.pattern === 'string' &&
+    site.pattern.trim()
+  ) {
+    return { mode: site.mode, pattern: site.pattern.trim() };
+  }
+  return undefined;
+}
+
+function validReminder(reminder) {
+  if (
+    reminder &&
+    typeof reminder === 'object' &&
+    Number.isFinite(reminder.dueAt)
+  ) {
+    return {
+      dueAt: reminder.dueAt,
+      repeat: REPEAT_RULES.includes(reminder.repeat) ? reminder.repeat : 'none',
+      ...(Number.isFinite(reminder.snoozedUntil)
+        ? { snoozedUntil: reminder.snoozedUntil }
+        : {}),
+      ...(reminder.notified ? { notified: true } : {}),
+    };
+  }
+  return undefined;
+}
+
+// Copy the given fields that hold a value of the expected type
+function pickTyped(source, fields, type) {
+  const picked = {};
+  fields.forEach((field) => {
+    const value = source[field];
+    if (type === 'number' ? Number.isFinite(value) : typeof value === type) {
+      picked[field] = value;
+    }
+  });
+  return picked;
+}
+
+// Keep only what the panel stores about a web note's page: its title, last
+// URL, reading position and media playback
+function validIframeData(entry) {
+  const data = {
+    ...pickTyped(entry, ['title'], 'string'),
+    ...pickTyped(
+      entry,
+      [
+        'lastUpdated',
+        'scrollX',
+        'scrollY',
+        'lastScrollUpdate',
+        'lastMediaUpdate',
+      ],
+      'number',
+    ),
+  };
+  if (typeof entry.lastUrl === 'string' && isHttpUrl(entry.lastUrl)) {
+    data.lastUrl = entry.lastUrl;
+  }
+  // The note's Back/Forward history
+  if (
+    Array.isArray(entry.history) &&
+    entry.history.every((url) => typeof url === 'string' && isHttpUrl(url)) &&
+    Number.isInteger(entry.historyIndex) &&
+    entry.historyIndex >= 0 &&
+    entry.historyIndex < entry.history.length
+  ) {
+    data.history = entry.history;
+    data.historyIndex = entry.historyIndex;
+  }
+  if (isPlainObject(entry.anchor) && Number.isFinite(entry.anchor.offset)) {
+    data.anchor = {
+      ...pickTyped(entry.anchor, ['tag', 'id', 'text'], 'string'),
+      offset: entry.anchor.offset,
+    };
+  }
+  if (isPlainObject(entry.media)) {
+    data.media = {
+      ...pickTyped(entry.media, ['kind', 'url'], 'string'),
+      ...pickTyped(
+        entry.media,
+        ['currentTime', 'duration', 'playbackRate'],
+        'number',
+      ),
+      ...pickTyped(entry.media, ['paused'], 'boolean'),
+    };
+  }
+  return data;
+}
+
+/**
+ * Build the JSON backup document.
+ * @param {Array<object>} notes
+ * @param {Record<string, object>} iframeData
+ * @param {Array<{id:string,name:string}>} boards
+ * @returns {object}
+ */
+export function createBackup(notes, iframeData, boards) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    stickyNotes: notes.map(({ isEditing, ...note }) => note),
+    boards,
+    iframeData,
+  };
+}
+
+/**
+ * Validate and normalize a backup file. Throws an Error describing the first
+ * problem found.
+ * @param {string} text
+ * @returns {{notes: Array<object>, boards: Array<{id:string,name:string}>,
+ *   iframeData: Record<string, object>}}
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_e) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file is not a Sticky Bear backup.');
+  }
+  if (data.format !== undefined && data.format !== BACKUP_FORMAT) {
+    throw new Error('The file is not a Sticky Bear backup.');
+  }
+  if (typeof data.version === 'number' && data.version > BACKUP_VERSION) {
+    throw new Error(
+      `This backup was made by a newer version (format ${data.version}).`,
+    );
+  }
+  if (!Array.isArray(data.stickyNotes)) {
+    throw new Error('The backup has no "stickyNotes" list.');
+  }
+
+  const notes = data.stickyNotes.map((note, index) =>
+    validateNote(note, index),
+  );
+
+  // Page data is only kept for the notes being imported
+  const noteIds = new Set(notes.map((note) => note.id));
+  const iframeData = {};
+  if (isPlainObject(data.iframeData)) {
+    Object.keys(data.iframeData).forEach((noteId) => {
+      const entry = data.iframeData[noteId];
+      if (noteIds.has(noteId) && isPlainObject(entry)) {
+        iframeData[noteId] = validIframeData(entry);
+      }
+    });
+  }
+
+  // Backups made before boards existed have none; their notes have no board
+  const boards = Array.isArray(data.boards)
+    ? normalizeBoards(
+        data.boards.filter(
+          (board) => board && SAFE_ID_PATTERN.test(String(board.id)),
+        ),
+      )
+    : [];
+
+  return { notes, boards, iframeData };
+}
+
+function validateNote(note, index) {
+  const label = `Note ${index + 1}`;
+  if (!isPlainObject(note)) {
+    throw new Error(`${label} is not an object.`);
+  }
+  if (typeof note.id !== 'string' && typeof note.id !== 'number') {
+    throw new Error(`${label} has no id.`);
+  }
+  if (!SAFE_ID_PATTERN.test(String(note.id))) {
+    throw new Error(`${label} has an invalid id.`);
+  }
+  if (note.content !== undefined && typeof note.content !== 'string') {
+    throw new Error(`${label} has non-text content.`);
+  }
+  if (note.url !== undefined && typeof note.url !== 'string') {
+    throw new Error(`${label} has an invalid url.`);
+  }
+  if (note.url && !isHttpUrl(note.url)) {
+    throw new Error(`${label} has an unsupported url: ${note.url}`);
+  }
+  if (note.order !== undefined && typeof note.order !== 'number') {
+    throw new Error(`${label} has a non-numeric order.`);
+  }
+
+  // Only the fields below are imported: storage bookkeeping such as revisions
+  // and conflict markers belongs to the device that made the backup. Trashed
+  // notes keep their deletedAt so they return to the trash.
+  const content = note.content || '';
+  return {
+    id: String(note.id),
+    content,
+    color: NOTE_COLORS.includes(note.color) ? note.color : 'yellow',
+    url: note.url || '',
+    order: typeof note.order === 'number' ? note.order : index,
+    createdAt:
+      typeof note.createdAt === 'string'
+        ? note.createdAt
+        : new Date().toISOString(),
+    iframeHeight:
+      typeof note.iframeHeight === 'number' ? note.iframeHeight : undefined,
+    boardId:
+      typeof note.boardId === 'string' && SAFE_ID_PATTERN.test(note.boardId)
+        ? note.boardId
+        : undefined,
+    site: validSite(note.site),
+    reminder: validReminder(note.reminder),
+    pinned: note.pinned === true ? true : undefined,
+    collapsed: note.collapsed === true ? true : undefined,
+    deletedAt: validDate(note.deletedAt),
+    tags: extractTags(content),
+    manualTags: Array.isArray(note.manualTags)
+      ? note.manualTags.filter((tag) => typeof tag === 'string')
+      : [],
+    isEditing: false,
+  };
+}
+
+/**
+ * Combine imported notes with the current ones. Imported ids that collide
+ * with existing (or other imported) ids get fresh ids, and their iframe data
+ * follows them. Imported boards are
+ * added unless a board with the same id exists; notes whose board is missing
+ * go to the default board.
+ * @param {Array<object>} currentNotes
+ * @param {Record<string, object>} currentIframeData
+ * @param {Array<{id:string,name:string}>} currentBoards
+ * @param {{notes: Array<object>, boards: Array<{id:string,name:string}>,
+ *   iframeData: Record<string, object>}} backup
+ * @param {'merge'|'replace'} mode
+ * @returns {{notes: Array<object>, boards: Array<{id:string,name:string}>,
+ *   iframeData: Record<string, object>, remapped: number}}
+ */
+export function applyBackup(
+  currentNotes,
+  currentIframeData,
+  currentBoards,
+  backup,
+  mode,
+) {
+  const keptNotes = mode === 'merge' ? currentNotes : [];
+  const iframeData = mode === 'merge' ? { ...currentIframeData } : {};
+  const usedIds = new Set(keptNotes.map((note) => note.id));
+
+  const keptBoards = mode === 'merge' ? currentBoards : [];
+  const boards = normalizeBoards([
+    ...keptBoards,
+    ...backup.boards.filter(
+      (board) => !keptBoards.some((kept) => kept.id === board.id),
+    ),
+  ]);
+
+  // Imported notes go after the kept ones, preserving their relative order
+  const orderOffset =
+    keptNotes.length > 0
+      ? Math.max(...keptNotes.map((note) => note.order || 0)) + ORDER_GAP
+      : 0;
+  const sortedImports = [...backup.notes].sort(
+    (a, b) => (a.order || 0) - (b.order || 0),
+  );
+
+  let nextId = Date.now();
+  let remapped = 0;
+  const importedNotes = sortedImports.map((note, index) => {
+    let id = note.id;
+    if (usedIds.has(id)) {
+      while (usedIds.has(String(nextId))) nextId++;
+      id = String(nextId);
+      remapped++;
+    }
+    usedIds.add(id);
+
+    if (backup.iframeData[note.id]) {
+      iframeData[id] = backup.iframeData[note.id];
+    }
+
+    return {
+      ...note,
+      id,
+      boardId: noteBoardId(note, boards),
+      order: orderOffset + index * ORDER_GAP,
+    };
+  });
+
+  return {
+    notes: [...keptNotes, ...importedNotes],
+    boards,
+    iframeData,
+    remapped,
+  };
+}
+
+// YAML-safe scalar: JSON strings are valid double-quoted YAML
+function yamlValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(yamlValue).join(', ')}]`;
+  }
+  return JSON.stringify(value ?? '');
+}
+
+function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'note'
+  );
+}
+
+function noteFileTitle(note) {
+  if (note.url) {
+    try {
+      return new URL(note.url).hostname;
+    } catch (_e) {}
+  }
+  const firstLine = (note.content || '')
+    .split('\n')
+    .find((line) => line.trim().length > 0);
+  return firstLine ? firstLine.replace(/^#+\s*/, '') : 'note';
+}
+
+/**
+ * Convert notes into markdown files with YAML front-matter.
+ * @param {Array<object>} notes
+ * @param {Array<{id:string,name:string}>} [boards] board names are added to
+ *   the front-matter when there is more than one board
+ * @returns {Array<{name:string,content:string}>}
+ */
+export function notesToMarkdownFiles(notes, boards = []) {
+  const sorted = [...notes].sort((a, b) => (a.order || 0) - (b.order || 0));
+  const usedNames = new Set();
+  const width = String(sorted.length).length;
+
+  return sorted.map((note, index) => {
+    const prefix = String(index + 1).padStart(width, '0');
+    let name = `${prefix}-${slugify(noteFileTitle(note))}.md`;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${prefix}-${slugify(noteFileTitle(note))}-${n}.md`;
+    }
+    usedNames.add(name);
+
+    const frontMatter = [
+      '---',
+      `id: ${yamlValue(note.id)}`,
+      `color: ${yamlValue(note.color || 'yellow')}`,
+      `url: ${yamlValue(note.url || '')}`,
+      `order: ${yamlValue(note.order || 0)}`,
+      `createdAt: ${yamlValue(note.createdAt || '')}`,
+    ];
+    if (boards.length > 1) {
+      const boardId = noteBoardId(note, boards);
+      const board = boards.find((b) => b.id === boardId);
+      frontMatter.push(`board: ${yamlValue(board ? board.name : '')}`);
+    }
+    if (note.pinned) {
+      frontMatter.push('pinned: true');
+    }
+    if (note.site) {
+      frontMatter.push(
+        `site: ${yamlValue(`${note.site.mode}:${note.site.pattern}`)}`,
+      );
+    }
+    const tags = [...(note.tags || []), ...(note.manualTags || [])];
+    if (tags.length > 0) {
+      frontMatter.push(`tags: ${yamlValue([...new Set(tags)])}`);
+    }
+    frontMatter.push('---', '');
+
+    return {
+      name,
+      content: `${frontMatter.join('\n')}${note.content || ''}\n`,
+    };
+  });
+}
@@ -0,0 +1,90 @@
+// Sticky Bear Panel - Line diff for note revisions
+
+// Above this many line pairs the LCS table gets too large to build
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compute a line-based diff from oldText to newText.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type:'same'|'add'|'remove', text:string}>}
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  // Trim the common prefix and suffix to keep the table small
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const head = oldLines
+    .slice(0, start)
+    .map((text) => ({ type: /** @type {'same'} */ ('same'), text }));
+  const tail = oldLines
+    .slice(oldEnd)
+    .map((text) => ({ type: /** @type {'same'} */ ('same'), text }));
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  return [...head, ...diffMiddle(a, b), ...tail];
+}
+
+function diffMiddle(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    // Too big for an LCS table: show it as a full replacement
+    return [
+      ...a.map((text) => ({ type: 'remove', text })),
+      ...b.map((text) => ({ type: 'add', text })),
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'remove', text: a[i] });
+      i++;
+    } else {
+      result.push({ type: 'add', text: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) result.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) result.push({ type: 'add', text: b[j++] });
+  return result;
+}
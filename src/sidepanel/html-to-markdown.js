@@ -0,0 +1,412 @@
+// Sticky Bear Panel - Converting pasted HTML to markdown
+//
+// Text copied from a web page reaches the clipboard as HTML too. Turning that
+// into markdown keeps links, headings, lists, tables and code, which
+// renderMarkdown() then displays like any other note. Anything without a
+// markdown equivalent (styles, layout, forms) is reduced to its text.
+
+// Removed together with everything inside them
+const DROPPED_TAGS = new Set([
+  'button',
+  'embed',
+  'head',
+  'iframe',
+  'link',
+  'math',
+  'meta',
+  'noscript',
+  'object',
+  'script',
+  'select',
+  'style',
+  'svg',
+  'template',
+  'textarea',
+  'title',
+]);
+
+// Elements that start a block of their own; other unknown elements are
+// treated as inline and replaced by their content
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'aside',
+  'body',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'header',
+  'html',
+  'main',
+  'nav',
+  'p',
+  'section',
+  'summary',
+]);
+
+// Any element that elementBlock() turns into a block of its own
+const BLOCK_SELECTOR = [
+  ...BLOCK_TAGS,
+  'blockquote',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'li',
+  'ol',
+  'pre',
+  'table',
+  'ul',
+].join(',');
+
+const INLINE_MARKERS = {
+  b: '**',
+  strong: '**',
+  em: '_',
+  i: '_',
+  cite: '_',
+  del: '~~',
+  s: '~~',
+  strike: '~~',
+};
+
+// HTML without any of these is just text, and is better pasted as such:
+// code editors, for one, copy their text as styled <div>s and <span>s
+const FORMATTING_SELECTOR = [
+  'a[href]',
+  'b',
+  'blockquote',
+  'code',
+  'del',
+  'em',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'i',
+  'img',
+  'ol',
+  'pre',
+  's',
+  'strong',
+  'table',
+  'ul',
+].join(',');
+
+// Google Docs wraps copied text in <b style="font-weight:normal">
+const NOT_BOLD = /font-weight:\s*(normal|[1-5]00)\b/;
+
+// Only these survive the sanitizer; relative URLs would resolve inside the
+// extension instead of on the page they were copied from
+const LINK_URL = /^(https?:|mailto:)/i;
+const IMAGE_URL = /^https?:/i;
+
+/**
+ * Escape characters that markdown would read as formatting.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text
+    .replace(/[\\`*[\]<]/g, '\\$&')
+    .replace(/(^|\W)_|_(?=\W|$)/g, (match) => match.replace('_', '\\_'));
+}
+
+// A line that would otherwise start a heading, list, quote or rule
+function escapeLineStart(line) {
+  return line
+    .replace(/^(\s*)(#{1,6}(?=\s|$)|[-+](?=\s)|>)/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s)/, '$1\\$2');
+}
+
+// Markdown that has to stay on one line: headings, table cells, link text
+function singleLine(markdown) {
+  return markdown.replace(/\\\n/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {string} code
+ * @param {number} minimum
+ * @returns {string} backticks enough to fence the code
+ */
+function fenceFor(code, minimum) {
+  const longest = Math.max(
+    0,
+    ...(code.match(/`+/g) || []).map((run) => run.length),
+  );
+  return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+/**
+ * Wrap text in an inline marker, keeping surrounding spaces outside of it
+ * (markdown doesn't close "**bold **").
+ * @param {string} text
+ * @param {string} marker
+ * @returns {string}
+ */
+function wrapInline(text, marker) {
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+}
+
+/**
+ * @param {Element} element
+ * @returns {string}
+ */
+function codeLanguage(element) {
+  const code = element.querySelector('code');
+  const className = `${element.className} ${code ? code.className : ''}`;
+  const match = className.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Markdown for the inline content of a node: text with emphasis, links,
+ * images, code and line breaks.
+ * @param {Node} node
+ * @returns {string}
+ */
+function inlineMarkdown(node) {
+  return Array.from(node.childNodes)
+    .map((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        return escapeText((child.textContent || '').replace(/\s+/g, ' '));
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return '';
+
+      const element = /** @type {Element} */ (child);
+      const tag = element.localName;
+      if (DROPPED_TAGS.has(tag)) return '';
+
+      if (tag === 'br') return '\\\n';
+      if (tag === 'img') return imageMarkdown(element);
+      if (tag === 'input') {
+        if (element.getAttribute('type') !== 'checkbox') return '';
+        return element.hasAttribute('checked') ? '[x] ' : '[ ] ';
+      }
+      if (tag === 'code' || tag === 'kbd' || tag === 'samp') {
+        const code = (element.textContent || '').replace(/\s+/g, ' ');
+        if (!code.trim()) return code;
+        const fence = fenceFor(code, 1);
+        // A space keeps a backtick at either end apart from the fence
+        const padding = /^`|`$/.test(code) ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+      }
+
+      const content = inlineMarkdown(element);
+      if (tag === 'a') {
+        const href = (element.getAttribute('href') || '').trim();
+        const text = singleLine(content);
+        // Permalink anchors next to headings ("#", "¶")
+        if (href.startsWith('#') && !/[\p{L}\p{N}]/u.test(text)) return '';
+        if (!LINK_URL.test(href)) return content;
+        if (!text || text === escapeText(href)) return `<${href}>`;
+        const title = element.getAttribute('title');
+        return `[${text}](<${href.replace(/[<>\s]/g, encodeURIComponent)}>${
+          title ? ` "${title.replace(/"/g, '\\"')}"` : ''
+        })`;
+      }
+      const notBold =
+        (tag === 'b' || tag === 'strong') &&
+        NOT_BOLD.test(element.getAttribute('style') || '');
+      if (INLINE_MARKERS[tag] && !notBold) {
+        return wrapInline(content, INLINE_MARKERS[tag]);
+      }
+      return content;
+    })
+    .join('');
+}
+
+/**
+ * @param {Element} element
+ * @returns {string}
+ */
+function imageMarkdown(element) {
+  const src = (element.getAttribute('src') || '').trim();
+  const alt = escapeText(
+    (element.getAttribute('alt') || '').replace(/\s+/g, ' ').trim(),
+  );
+  // data: images are left out, they would fill the note's storage
+  if (!IMAGE_URL.test(src)) return alt;
+  return `![${alt}](<${src.replace(/[<>\s]/g, encodeURIComponent)}>)`;
+}
+
+/**
+ * @param {string} text
+ * @param {string} prefix for the first line
+ * @param {string} indent for the lines after it
+ * @returns {string}
+ */
+function prefixLines(text, prefix, indent) {
+  return text
+    .split('\n')
+    .map((line, index) => {
+      if (index === 0) return `${prefix}${line}`;
+      return line ? `${indent}${line}` : line;
+    })
+    .join('\n');
+}
+
+/**
+ * @param {Element} list
+ * @returns {string}
+ */
+function listMarkdown(list) {
+  const ordered = list.localName === 'ol';
+  let number = Number(list.getAttribute('start')) || 1;
+  return Array.from(list.children)
+    .filter((item) => item.localName === 'li')
+    .map((item) => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      // Tight items: the parts of an item are only a line apart
+      const content = blockMarkdown(item, '\n');
+      return prefixLines(content, marker, ' '.repeat(marker.length));
+    })
+    .join('\n');
+}
+
+/**
+ * @param {Element} table
+ * @returns {string}
+ */
+function tableMarkdown(table) {
+  const rows = Array.from(table.querySelectorAll('tr')).filter(
+    (row) => row.closest('table') === table,
+  );
+  if (rows.length === 0) return '';
+
+  const cells = rows.map((row) =>
+    Array.from(row.children)
+      .filter((cell) => cell.localName === 'td' || cell.localName === 'th')
+      .map((cell) =>
+        singleLine(inlineMarkdown(cell)).replace(/\|/g, '\\|'),
+      ),
+  );
+  const columns = Math.max(1, ...cells.map((row) => row.length));
+  const line = (row) =>
+    `| ${Array.from({ length: columns }, (_, index) => row[index] || '').join(
+      ' | ',
+    )} |`;
+
+  // Markdown tables need a header row; an empty one stands in when the
+  // table has none
+  const hasHeader =
+    rows[0].parentElement?.localName === 'thead' ||
+    Array.from(rows[0].children).every((cell) => cell.localName === 'th');
+  const header = hasHeader ? cells.shift() : [];
+  return [
+    line(header),
+    line(Array(columns).fill('---')),
+    ...cells.map(line),
+  ].join('\n');
+}
+
+/**
+ * Markdown for a node's content, with block elements separated by blank
+ * lines and the inline content between them as paragraphs.
+ * @param {Node} node
+ * @param {string} [separator] between the blocks
+ * @returns {string}
+ */
+function blockMarkdown(node, separator = '\n\n') {
+  const blocks = [];
+  let inline = document.createDocumentFragment();
+
+  const flushInline = () => {
+    const text = inlineMarkdown(inline)
+      .split('\n')
+      .map((line) => escapeLineStart(line.trim().replace(/ {2,}/g, ' ')))
+      .join('\n')
+      .trim();
+    if (text) blocks.push(text);
+    inline = document.createDocumentFragment();
+  };
+
+  Array.from(node.childNodes).forEach((child) => {
+    const element = /** @type {Element} */ (child);
+    const tag = child.nodeType === Node.ELEMENT_NODE ? element.localName : '';
+    const block = tag ? elementBlock(element, tag) : null;
+    if (block === null) {
+      inline.appendChild(child.cloneNode(true));
+      return;
+    }
+    flushInline();
+    if (block) blocks.push(block);
+  });
+  flushInline();
+
+  return blocks.join(separator);
+}
+
+/**
+ * @param {Element} element
+ * @param {string} tag
+ * @returns {string|null} the block's markdown, or null for inline content
+ */
+function elementBlock(element, tag) {
+  if (DROPPED_TAGS.has(tag)) return '';
+
+  const heading = tag.match(/^h([1-6])$/);
+  if (heading) {
+    const text = singleLine(inlineMarkdown(element));
+    return text && `${'#'.repeat(Number(heading[1]))} ${text}`;
+  }
+
+  switch (tag) {
+    case 'ul':
+    case 'ol':
+      return listMarkdown(element);
+    case 'li':
+      // An item outside of a list
+      return prefixLines(blockMarkdown(element, '\n'), '- ', '  ');
+    case 'blockquote': {
+      const content = blockMarkdown(element);
+      return content && prefixLines(content, '> ', '> ').replace(/^$/gm, '>');
+    }
+    case 'pre': {
+      // Some pages break the lines of code with <br>
+      element
+        .querySelectorAll('br')
+        .forEach((br) => br.replaceWith('\n'));
+      const code = (element.textContent || '').replace(/\n$/, '');
+      const fence = fenceFor(code, 3);
+      return `${fence}${codeLanguage(element)}\n${code}\n${fence}`;
+    }
+    case 'hr':
+      return '---';
+    case 'table':
+      return tableMarkdown(element);
+    default:
+      // Inline elements around blocks, like the <b> Google Docs wraps
+      // everything in, are containers too
+      return BLOCK_TAGS.has(tag) || element.querySelector(BLOCK_SELECTOR)
+        ? blockMarkdown(element)
+        : null;
+  }
+}
+
+/**
+ * Convert HTML from the clipboard to markdown.
+ * @param {string} html
+ * @returns {string|null} null when the HTML has no formatting to keep
+ */
+export function htmlToMarkdown(html) {
+  // Content of a <template> is inert: no scripts run and nothing loads
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  if (!template.content.querySelector(FORMATTING_SELECTOR)) return null;
+  return blockMarkdown(template.content);
+}
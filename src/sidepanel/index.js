@@ -1,13 +1,200 @@
 // Sticky Bear Panel - Main JavaScript
 import { HeroIcons } from './heroicons.js';
+import { showToast } from './toast.js';
+import {
+  clearHighlights,
+  highlightMatches,
+  noteMatchesFilter,
+  parseQuery,
+} from './search.js';
+import { extractTags, getNoteTags, normalizeTag } from './tags.js';
+import {
+  applyBackup,
+  createBackup,
+  notesToMarkdownFiles,
+  parseBackup,
+} from './backup.js';
+import { createZip } from './zip.js';
+import { diffLines } from './diff.js';
+import { sanitizeHtml } from './sanitize.js';
+import { moveCheckedToBottom, setTaskChecked, taskProgress } from './tasks.js';
+import {
+  applyEdit,
+  continueList,
+  indentListItems,
+  insertLink,
+  toggleLinePrefix,
+  toggleWrap,
+} from './markdown-editing.js';
+import { htmlToMarkdown } from './html-to-markdown.js';
+import {
+  attachableImages,
+  attachmentMarkdown,
+  deleteOrphanedAttachments,
+  hasAttachableImages,
+  loadAttachmentUrl,
+  loadedThumbnailUrl,
+  saveAttachment,
+} from './attachments.js';
+import {
+  orderBetween,
+  rebalanceOrders,
+  SECTION_BAND,
+  sortByOrder,
+} from './ordering.js';
+import { mergeNote } from './merge.js';
+import {
+  acceptStoredNote,
+  appendNoteRevision,
+  getStorageUsage,
+  hasUnsavedChanges,
+  NOTE_BODY_KEY_PREFIX,
+  NOTE_KEY_PREFIX,
+  purgeExpiredTrash,
+  readChangedNotes,
+  readIframeData,
+  readNoteHistory,
+  readNotes,
+  syncWriteDelay,
+  writeIframeData,
+  writeNotes,
+} from '../shared/note-store.js';
+import {
+  DEFAULT_SETTINGS,
+  readSettings,
+  SETTINGS_KEY,
+  writeSettings,
+} from '../shared/settings.js';
+import { describeReminder } from '../shared/reminders.js';
+import {
+  BOARDS_KEY,
+  DEFAULT_BOARD_ID,
+  noteBoardId,
+  normalizeBoardName,
+  normalizeBoards,
+  panelBoardBinding,
+  readActiveBoardId,
+  readBoards,
+  writeActiveBoardId,
+  writeBoards,
+} from '../shared/boards.js';
+import {
+  describeSite,
+  siteMatches,
+  sitePatternFor,
+} from '../shared/site-match.js';
+
+// Delay before typed content is persisted. chrome.storage.sync accepts 1800
+// writes an hour (one every two seconds on average) and 120 a minute, and
+// every save is a write; typing that doesn't pause is still saved at least
+// every CONTENT_SAVE_MAX_DELAY. note-store's syncWriteDelay() pushes saves
+// back further once this panel nears its share of the hourly limit.
+const CONTENT_SAVE_DELAY = 2500;
+const CONTENT_SAVE_MAX_DELAY = 10000;
+
+// Drag data type used when reordering notes
+const NOTE_DRAG_TYPE = 'application/x-sticky-bear-note';
+
+// Idle time after the last keystroke before a revision snapshot is taken
+const REVISION_IDLE_DELAY = 3000;
+
+// Fraction of the sync quota (bytes or items) at which the storage meter
+// turns to a warning
+const QUOTA_WARNING_RATIO = 0.8;
+
+const EDITOR_PLACEHOLDER =
+  'Write your note here... Markdown works: **bold**, _italic_, - lists, [links](https://...)';
+
+// Buttons of the formatting toolbar (see applyFormat)
+const FORMAT_BUTTONS = [
+  { format: 'bold', label: '<b>B</b>', title: 'Bold (Ctrl+B)' },
+  { format: 'italic', label: '<i>I</i>', title: 'Italic (Ctrl+I)' },
+  { format: 'strike', label: '<s>S</s>', title: 'Strikethrough' },
+  { format: 'code', label: '&lt;/&gt;', title: 'Code' },
+  { format: 'link', label: HeroIcons.link, title: 'Link (Ctrl+K)' },
+  { format: 'bullet', label: '•', title: 'Bulleted list' },
+  { format: 'number', label: '1.', title: 'Numbered list' },
+  { format: 'task', label: '☐', title: 'Task list' },
+  { format: 'quote', label: '❝', title: 'Quote' },
+];
+
+// Single-key actions on the focused note card (see handleNoteKey)
+const NOTE_KEYS = {
+  j: 'next',
+  ArrowDown: 'next',
+  k: 'previous',
+  ArrowUp: 'previous',
+  Enter: 'edit',
+  c: 'color',
+  J: 'move-down',
+  K: 'move-up',
+  l: 'link',
+  x: 'delete',
+  Delete: 'delete',
+};
+
+// Actions on the note itself only apply while the card has focus, not a
+// button or link inside it
+const NOTE_CARD_ACTIONS = new Set(['edit', 'color', 'link', 'delete']);
+
+// Notes saved elsewhere are applied in batches; a note's metadata and body
+// are stored separately and usually change together
+const REMOTE_CHANGE_DELAY = 200;
+
+/**
+ * @param {number} seconds
+ * @returns {string} "m:ss" or "h:mm:ss"
+ */
+function formatMediaTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
 
 class StickyNotesApp {
   constructor() {
-    this.notes = [];
+    this.notes = []; // Notes on the active board
+    this.otherBoardNotes = []; // Notes on the boards not shown
+    this.trashedNotes = []; // Soft-deleted notes (have deletedAt)
+    this.boards = normalizeBoards([]);
+    this.activeBoardId = DEFAULT_BOARD_ID;
+    this.boardNoteId = null; // Note shown in the move-to-board dialog
+    // Set when the background opened this panel for a board kept in a
+    // window ('window') or tab group ('group', with the group's id)
+    this.boardScope = null;
+    this.boardGroupId = null;
+    this.settings = { ...DEFAULT_SETTINGS };
     this.iframeMap = new Map();
     this.iframeResizeObservers = new Map();
     this.iframeResizeTimers = new Map();
     this.iframeData = {}; // Store iframe monitoring data
+    this.saveTimer = 0;
+    this.pendingSaveSince = 0; // First unsaved edit since the last save
+    this.dismissSaveError = null;
+    // Notes changed in storage by other panels, applied in batches
+    this.remoteNoteIds = new Set();
+    this.remoteChangeTimer = 0;
+    this.remoteChanges = Promise.resolve();
+    this.revisionTimers = new Map();
+    this.historyNoteId = null; // Note shown in the history dialog
+    this.historyRevisions = [];
+    this.siteNoteId = null; // Note shown in the site dialog
+    this.reminderNoteId = null; // Note shown in the reminder dialog
+    this.paletteNoteId = null; // Note focused when the palette was opened
+    this.paletteCommands = [];
+    // Tab shown next to this panel; notes attached to its site go first
+    this.windowId = null;
+    this.activeTabUrl = '';
+    this.activeTabGroupId = -1; // chrome.tabGroups.TAB_GROUP_ID_NONE
+    // Active search/filter state; filtering only hides DOM nodes
+    this.filter = {
+      terms: [],
+      colors: new Set(),
+      type: 'all',
+      tags: new Set(),
+    };
     this.colors = [
       'yellow', // default
       'green',
@@ -20,12 +207,21 @@ class StickyNotesApp {
   }
 
   async init() {
+    // Load settings before notes (trash retention is needed to load)
+    await this.loadSettings();
+
+    // Boards decide which notes are shown
+    await this.loadBoards();
+
     // Load notes from storage
     await this.loadNotes();
 
     // Load iframe data from storage
     await this.loadIframeData();
 
+    // Find out which page is open next to the panel
+    await this.loadActiveTab();
+
     // Set up event listeners
     this.setupEventListeners();
 
@@ -35,11 +231,17 @@ class StickyNotesApp {
     // Render initial notes
     this.renderNotes();
 
+    // Show how much of the storage quota is in use
+    this.updateStorageMeter();
+
     // Update badge on initialization
     chrome.runtime.sendMessage({ action: 'update-badge' });
 
     // Signal that side panel is ready to receive messages
-    chrome.runtime.sendMessage({ action: 'sidepanel-ready' });
+    chrome.runtime.sendMessage({
+      action: 'sidepanel-ready',
+      windowId: this.windowId,
+    });
   }
 
   setupEventListeners() {
@@ -55,681 +257,4240 @@ class StickyNotesApp {
     );
     addUrlBtn.addEventListener('click', () => this.addNoteWithUrl());
 
+    // Drag-and-drop reordering
+    this.setupDragAndDrop();
+
+    // Search and filter bar
+    this.setupFilterBar();
+
+    // Toolbar menu (backup export/import)
+    this.setupMenu();
+
+    // Board switcher and move-to-board dialog
+    this.setupBoards();
+
+    // Trash view
+    this.setupTrashView();
+
+    // Revision history dialog
+    this.setupHistoryDialog();
+
+    // Handshake with the content scripts of URL note frames
+    this.setupFrameChannel();
+
+    // Site attachments and tracking of the active tab
+    this.setupSiteDialog();
+    this.setupSiteTracking();
+
+    // Reminder dialog
+    this.setupReminderDialog();
+
+    // Changes saved by panels in other windows or on other devices
+    this.setupLiveSync();
+
+    // Keyboard shortcuts and the command palette
+    this.setupKeyboardNavigation();
+    this.setupCommandPalette();
+
+    // Flush debounced edits as soon as the panel is hidden. A closing panel
+    // is torn down right after pagehide, often before a save started there
+    // reaches storage.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flushPendingEdits();
+    });
+    window.addEventListener('pagehide', () => this.flushPendingEdits());
+
     // Listen for keyboard shortcut messages from background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Every window has its own panel; commands are meant for one of them
+      if (
+        message.windowId !== undefined &&
+        this.windowId !== null &&
+        message.windowId !== this.windowId
+      ) {
+        return;
+      }
+
       if (message.action === 'add-note') {
-        this.addNote();
+        // Notes added from the address bar come with their text
+        this.addNote(message.content);
       } else if (message.action === 'add-url-note') {
         this.addNoteWithUrl();
       } else if (message.action === 'add-url-note-with-url') {
         this.addNoteWithUrl(message.url);
+      } else if (message.action === 'add-quote-note') {
+        this.addNote(message.content);
       } else if (message.action === 'iframe-data-updated') {
         this.handleIframeDataUpdate(message.noteId, message.data);
+      } else if (message.action === 'reminder-updated') {
+        this.handleReminderUpdate(message.noteId, message.reminder);
+      } else if (message.action === 'focus-note') {
+        this.focusNote(message.noteId);
       }
     });
   }
 
-  setupButtonIcons() {
-    // Add plus icon to add note button
-    const addBtn = /** @type {HTMLButtonElement} */ (
-      document.getElementById('add-note-btn')
+  setupDragAndDrop() {
+    const container = /** @type {HTMLDivElement} */ (
+      document.getElementById('notes-container')
     );
-    addBtn.innerHTML = HeroIcons.plus;
+    let draggedId = null;
 
-    // Add globe icon to add URL note button
-    const addUrlBtn = /** @type {HTMLButtonElement} */ (
-      document.getElementById('add-url-note-btn')
-    );
-    addUrlBtn.innerHTML = HeroIcons.link;
-  }
+    const clearDropIndicator = () => {
+      container
+        .querySelectorAll('.drop-before, .drop-after')
+        .forEach((el) => el.classList.remove('drop-before', 'drop-after'));
+    };
 
-  async loadNotes() {
-    try {
-      const result = await chrome.storage.sync.get(['stickyNotes']);
-      this.notes = result.stickyNotes || [];
+    container.addEventListener('dragstart', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const handle = target.closest && target.closest('.drag-handle');
+      const noteElement = /** @type {HTMLElement | null} */ (
+        handle && handle.closest('.sticky-note')
+      );
+      if (!noteElement || !e.dataTransfer) return;
 
-      // Migrate existing notes to have order property
-      let needsSave = false;
-      this.notes.forEach((note, index) => {
-        if (typeof note.order !== 'number') {
-          note.order = index;
-          needsSave = true;
-        }
-      });
+      draggedId = noteElement.dataset.noteId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData(NOTE_DRAG_TYPE, draggedId || '');
+      e.dataTransfer.setDragImage(noteElement, 12, 12);
+      noteElement.classList.add('dragging');
+      // Iframes would swallow dragover events while the pointer is above them
+      container.classList.add('drag-active');
+    });
 
-      if (needsSave) {
-        await this.saveNotes();
+    container.addEventListener('dragover', (e) => {
+      if (!draggedId || !e.dataTransfer) return;
+      const target = /** @type {HTMLElement} */ (e.target);
+      const card = /** @type {HTMLElement | null} */ (
+        target.closest('.sticky-note')
+      );
+
+      if (card && card.dataset.noteId !== draggedId) {
+        const rect = card.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        clearDropIndicator();
+        card.classList.add(after ? 'drop-after' : 'drop-before');
       }
-    } catch (error) {
-      console.error('Error loading notes:', error);
-      this.notes = [];
-    }
-  }
 
-  async loadIframeData() {
-    try {
-      const result = await chrome.storage.sync.get(['iframeData']);
-      this.iframeData = result.iframeData || {};
-    } catch (error) {
-      console.error('Error loading iframe data:', error);
-      this.iframeData = {};
-    }
-  }
+      // Keep accepting the drop in the gaps between cards
+      if (container.querySelector('.drop-before, .drop-after')) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      }
+    });
 
-  async saveNotes() {
-    try {
-      await chrome.storage.sync.set({ stickyNotes: this.notes });
-      // Notify background script to update badge
-      chrome.runtime.sendMessage({ action: 'update-badge' });
-    } catch (error) {
-      console.error('Error saving notes:', error);
-    }
-  }
+    container.addEventListener('drop', (e) => {
+      if (!draggedId) return;
+      const card = /** @type {HTMLElement | null} */ (
+        container.querySelector('.drop-before, .drop-after')
+      );
+      if (card && card.dataset.noteId) {
+        e.preventDefault();
+        this.dropNoteNextTo(
+          draggedId,
+          card.dataset.noteId,
+          card.classList.contains('drop-after'),
+        );
+      }
+      clearDropIndicator();
+    });
 
-  addNote() {
-    const newNote = {
-      id: Date.now().toString(),
-      content: '',
-      color: 'yellow', // Default to yellow
-      createdAt: new Date().toISOString(),
-      isEditing: true,
-      url: '',
-      iframeHeight: undefined,
-      order: 0, // New notes get order 0 (top)
+    // Images dropped on a markdown note are attached to it
+    const imageDropCard = (target) => {
+      const card = /** @type {HTMLElement | null} */ (
+        target.closest && target.closest('.sticky-note')
+      );
+      const note = card && this.notes.find((n) => n.id === card.dataset.noteId);
+      return note && !note.url ? card : null;
+    };
+    const clearImageDrop = () => {
+      container
+        .querySelectorAll('.image-drop-target')
+        .forEach((el) => el.classList.remove('image-drop-target'));
     };
 
-    // Increment order of existing notes
-    this.notes.forEach((note) => {
-      note.order = (note.order || 0) + 1;
+    container.addEventListener('dragover', (e) => {
+      const { dataTransfer } = e;
+      if (draggedId || !dataTransfer || !hasAttachableImages(dataTransfer)) {
+        return;
+      }
+      const card = imageDropCard(e.target);
+      if (!card?.classList.contains('image-drop-target')) clearImageDrop();
+      if (!card) return;
+      e.preventDefault();
+      dataTransfer.dropEffect = 'copy';
+      card.classList.add('image-drop-target');
     });
 
-    this.notes.unshift(newNote);
-    this.saveNotes();
-
-    // Update order of existing DOM elements instead of re-rendering
-    this.updateNotesOrder();
+    container.addEventListener('dragleave', (e) => {
+      const related = /** @type {Node | null} */ (e.relatedTarget);
+      if (!related || !container.contains(related)) clearImageDrop();
+    });
 
-    // Add new note DOM element
-    this.addNoteToDOM(newNote);
+    container.addEventListener('drop', (e) => {
+      if (draggedId) return;
+      clearImageDrop();
+      const card = imageDropCard(e.target);
+      const images = attachableImages(e.dataTransfer);
+      if (!card?.dataset.noteId || images.length === 0) return;
+      e.preventDefault();
+      this.attachImages(card.dataset.noteId, images);
+    });
 
-    // Focus on the new note's textarea
-    setTimeout(() => {
-      const noteElement = document.querySelector(
-        `[data-note-id="${newNote.id}"]`,
-      );
-      const textarea = /** @type {HTMLTextAreaElement | null} */ (
-        noteElement?.querySelector('.note-textarea')
-      );
-      if (textarea) {
-        textarea.focus();
-      }
-    }, 100);
+    container.addEventListener('dragend', () => {
+      draggedId = null;
+      clearDropIndicator();
+      container.classList.remove('drag-active');
+      container
+        .querySelectorAll('.sticky-note.dragging')
+        .forEach((el) => el.classList.remove('dragging'));
+    });
   }
 
-  askForUrl(hint = '', defaultUrl = '') {
-    let urlInput = window.prompt(hint, defaultUrl);
+  /**
+   * Move a note directly before or after another note.
+   * @param {string} noteId
+   * @param {string} targetId
+   * @param {boolean} after
+   */
+  dropNoteNextTo(noteId, targetId, after) {
+    const others = sortByOrder(this.notes.filter((n) => n.id !== noteId));
+    const targetIndex = others.findIndex((n) => n.id === targetId);
+    if (targetIndex === -1) return;
+    this.moveNoteToIndex(noteId, targetIndex + (after ? 1 : 0));
+  }
 
-    if (urlInput === null) return null; // User cancelled
+  setupFilterBar() {
+    const searchInput = /** @type {HTMLInputElement} */ (
+      document.getElementById('search-input')
+    );
+    searchInput.addEventListener('input', () => {
+      this.filter.terms = parseQuery(searchInput.value);
+      this.applyFilter();
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && searchInput.value) {
+        e.stopPropagation();
+        searchInput.value = '';
+        this.filter.terms = [];
+        this.applyFilter();
+      }
+    });
 
-    urlInput = urlInput.trim();
+    const colorFilter = /** @type {HTMLDivElement} */ (
+      document.getElementById('color-filter')
+    );
+    this.colors.forEach((color) => {
+      const colorBtn = document.createElement('button');
+      colorBtn.className = `color-filter-option note-theme-${color}`;
+      colorBtn.title = `Show ${color} notes`;
+      colorBtn.setAttribute('aria-pressed', 'false');
+      colorBtn.addEventListener('click', () => {
+        if (this.filter.colors.has(color)) {
+          this.filter.colors.delete(color);
+        } else {
+          this.filter.colors.add(color);
+        }
+        colorBtn.setAttribute(
+          'aria-pressed',
+          String(this.filter.colors.has(color)),
+        );
+        this.applyFilter();
+      });
+      colorFilter.appendChild(colorBtn);
+    });
 
-    if (!urlInput.startsWith('http')) {
-      urlInput = `https://${urlInput}`;
-    }
+    const typeFilter = /** @type {HTMLSelectElement} */ (
+      document.getElementById('type-filter')
+    );
+    typeFilter.addEventListener('change', () => {
+      this.filter.type = typeFilter.value;
+      this.applyFilter();
+    });
 
-    return urlInput;
+    const tagBar = /** @type {HTMLElement} */ (
+      document.getElementById('tag-bar')
+    );
+    tagBar.addEventListener('click', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const chip = /** @type {HTMLElement | null} */ (
+        target.closest('[data-tag]')
+      );
+      if (chip && chip.dataset.tag) {
+        this.toggleTagFilter(chip.dataset.tag);
+      }
+    });
   }
 
-  addNoteWithUrl(predefinedUrl = '') {
-    let urlInput = predefinedUrl;
+  /**
+   * Add or remove a tag from the active tag filter.
+   * @param {string} tag
+   */
+  toggleTagFilter(tag) {
+    if (this.filter.tags.has(tag)) {
+      this.filter.tags.delete(tag);
+    } else {
+      this.filter.tags.add(tag);
+    }
+    this.renderTagBar();
+    this.notes.forEach((note) => this.updateNoteTagsDisplay(note.id));
+    this.applyFilter();
+  }
 
-    // If no URL was provided, prompt for one
-    if (!urlInput) {
-      const promptResult = this.askForUrl(
-        'Enter a webpage URL to create a sticky note for:',
-        '',
-      );
+  /**
+   * Render the list of all tags in use, with note counts.
+   */
+  renderTagBar() {
+    const tagBar = /** @type {HTMLElement} */ (
+      document.getElementById('tag-bar')
+    );
 
-      if (promptResult === null) return; // User cancelled
+    const counts = new Map();
+    this.notes.forEach((note) => {
+      getNoteTags(note).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
 
-      if (promptResult === '') {
-        alert('Please enter a valid URL.');
-        return;
+    // Drop selected tags that no longer exist on any note
+    let filterChanged = false;
+    this.filter.tags.forEach((tag) => {
+      if (!counts.has(tag)) {
+        this.filter.tags.delete(tag);
+        filterChanged = true;
       }
+    });
 
-      urlInput = promptResult;
+    const tags = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+    tagBar.hidden = tags.length === 0;
+    tagBar.innerHTML = tags
+      .map(
+        (tag) =>
+          `<button class="tag-chip${
+            this.filter.tags.has(tag) ? ' selected' : ''
+          }" data-tag="${this.escapeHtml(tag)}" aria-pressed="${this.filter.tags.has(
+            tag,
+          )}">#${this.escapeHtml(tag)}<span class="tag-count">${counts.get(
+            tag,
+          )}</span></button>`,
+      )
+      .join('');
+
+    if (filterChanged) {
+      this.applyFilter();
     }
+  }
 
-    // Validate URL
-    try {
-      const url = new URL(urlInput);
-      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
-        alert('Only http/https URLs are supported.');
-        return;
-      }
-    } catch (error) {
-      alert('Please enter a valid URL.');
-      return;
+  /**
+   * @param {{tags?:string[],manualTags?:string[]}} note
+   * @returns {string}
+   */
+  renderTagChips(note) {
+    return getNoteTags(note)
+      .map(
+        (tag) =>
+          `<span class="tag-chip${
+            this.filter.tags.has(tag) ? ' selected' : ''
+          }" data-tag="${this.escapeHtml(tag)}" title="Filter by #${this.escapeHtml(
+            tag,
+          )}">#${this.escapeHtml(tag)}</span>`,
+      )
+      .join('');
+  }
+
+  /**
+   * Refresh the tag chips in a note's header.
+   * @param {string} noteId
+   */
+  updateNoteTagsDisplay(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const tagsElement = document.querySelector(
+      `.note-tags[data-note-id="${noteId}"]`,
+    );
+    if (note && tagsElement) {
+      tagsElement.innerHTML = this.renderTagChips(note);
     }
+  }
 
-    const newNote = {
-      id: Date.now().toString(),
-      content: '',
-      color: 'blue', // Default to blue for URL notes
-      createdAt: new Date().toISOString(),
-      isEditing: false, // URL notes start in view mode
-      url: urlInput,
-      iframeHeight: 300, // Default height for iframe
-      order: 0, // New notes get order 0 (top)
-    };
+  /**
+   * Prompt for manual tags (the only way to tag URL notes).
+   * @param {string} noteId
+   */
+  editManualTags(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
 
-    // Increment order of existing notes
-    this.notes.forEach((note) => {
-      note.order = (note.order || 0) + 1;
-    });
+    const input = window.prompt(
+      'Tags for this note (separated by commas or spaces):',
+      (note.manualTags || []).map((tag) => `#${tag}`).join(' '),
+    );
+    if (input === null) return; // User cancelled
 
-    this.notes.unshift(newNote);
+    note.manualTags = [
+      ...new Set(input.split(/[,\s]+/).map(normalizeTag).filter(Boolean)),
+    ];
     this.saveNotes();
+    this.updateNoteTagsDisplay(noteId);
+    this.renderTagBar();
+    this.applyFilter();
+  }
 
-    // Update order of existing DOM elements instead of re-rendering
-    this.updateNotesOrder();
+  isFilterActive() {
+    return (
+      this.filter.terms.length > 0 ||
+      this.filter.colors.size > 0 ||
+      this.filter.tags.size > 0 ||
+      this.filter.type !== 'all'
+    );
+  }
 
-    // Add new note DOM element
-    this.addNoteToDOM(newNote);
+  /**
+   * Show/hide existing note elements according to the filter. Notes are never
+   * re-rendered here so iframes stay loaded.
+   */
+  applyFilter() {
+    this.notes.forEach((note) => this.applyFilterToNote(note.id));
+    this.updateFilterEmptyState();
   }
 
-  deleteNote(noteId) {
-    const index = this.notes.findIndex((note) => note.id === noteId);
-    if (index !== -1) {
-      // Clean up iframe if exists
-      const existing = this.iframeMap.get(noteId);
-      if (existing) {
-        try {
-          existing.remove();
-        } catch (_e) {}
-        this.iframeMap.delete(noteId);
-      }
-      const obs = this.iframeResizeObservers.get(noteId);
-      if (obs) {
-        try {
-          obs.disconnect();
-        } catch (_e) {}
-        this.iframeResizeObservers.delete(noteId);
-      }
-      const timer = this.iframeResizeTimers.get(noteId);
-      if (typeof timer === 'number') {
-        clearTimeout(timer);
-        this.iframeResizeTimers.delete(noteId);
-      }
+  /**
+   * @param {string} noteId
+   * @returns {boolean} whether the note is visible
+   */
+  applyFilterToNote(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const noteElement = document.querySelector(
+      `.sticky-note[data-note-id="${noteId}"]`,
+    );
+    if (!note || !noteElement) return false;
 
-      // Remove note from array
-      this.notes.splice(index, 1);
-      this.saveNotes();
+    // Keep the note being edited visible so it doesn't vanish while typing
+    const visible =
+      note.isEditing ||
+      noteMatchesFilter(note, this.filter, this.iframeData[noteId]?.title);
+    noteElement.classList.toggle('filtered-out', !visible);
 
-      // Remove note DOM element instead of re-rendering everything
-      this.removeNoteFromDOM(noteId);
+    const preview = noteElement.querySelector('.note-preview');
+    if (preview) {
+      if (visible && this.filter.terms.length > 0) {
+        highlightMatches(preview, this.filter.terms);
+      } else {
+        clearHighlights(preview);
+      }
+    }
 
-      // Show empty state if no notes left
-      if (this.notes.length === 0) {
-        const emptyState = /** @type {HTMLDivElement} */ (
-          document.getElementById('empty-state')
-        );
-        emptyState.style.display = 'block';
-      }
-    }
+    return visible;
   }
 
-  updateNoteContent(noteId, content) {
-    const note = this.notes.find((note) => note.id === noteId);
-    if (note) {
-      note.content = content;
-      this.saveNotes();
-    }
+  updateFilterEmptyState() {
+    const noResults = /** @type {HTMLDivElement} */ (
+      document.getElementById('no-results')
+    );
+    const hasVisibleNote = document.querySelector(
+      '.sticky-note:not(.filtered-out)',
+    );
+    noResults.hidden = !(
+      this.isFilterActive() &&
+      this.notes.length > 0 &&
+      !hasVisibleNote
+    );
+    this.updateSectionHeaders();
   }
 
-  updateNoteColor(noteId, color) {
-    const note = this.notes.find((note) => note.id === noteId);
-    if (note) {
-      const previousColor = note.color;
-      note.color = color;
-      this.saveNotes();
-      // Update DOM in place to avoid re-rendering iframe notes
-      const noteElement = document.querySelector(`[data-note-id="${noteId}"]`);
-      if (noteElement) {
-        noteElement.classList.remove(`note-theme-${previousColor}`);
-        noteElement.classList.add(`note-theme-${color}`);
-      }
-    }
+  setupButtonIcons() {
+    // Add plus icon to add note button
+    const addBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('add-note-btn')
+    );
+    addBtn.innerHTML = HeroIcons.plus;
+
+    // Add globe icon to add URL note button
+    const addUrlBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('add-url-note-btn')
+    );
+    addUrlBtn.innerHTML = HeroIcons.link;
+
+    // Add ellipsis icon to toolbar menu button
+    const menuBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('menu-btn')
+    );
+    menuBtn.innerHTML = HeroIcons.ellipsisVertical;
   }
 
-  moveNoteUp(noteId) {
-    const note = this.notes.find((n) => n.id === noteId);
-    if (!note) return;
+  setupMenu() {
+    const menuBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('menu-btn')
+    );
+    const menu = /** @type {HTMLDivElement} */ (
+      document.getElementById('app-menu')
+    );
 
-    // Find the note with the next lower order value (visually above)
-    const sortedNotes = this.notes
-      .filter((n) => n.order < note.order)
-      .sort((a, b) => b.order - a.order);
+    const closeMenu = () => {
+      menu.hidden = true;
+      menuBtn.setAttribute('aria-expanded', 'false');
+    };
 
-    if (sortedNotes.length > 0) {
-      const targetNote = sortedNotes[0];
-      const tempOrder = note.order;
-      note.order = targetNote.order;
-      targetNote.order = tempOrder;
+    menuBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.hidden = !menu.hidden;
+      menuBtn.setAttribute('aria-expanded', String(!menu.hidden));
+    });
 
-      this.saveNotes();
-      this.updateNotesOrder();
-    }
-  }
+    this.updateMenuOptions();
 
-  moveNoteDown(noteId) {
-    const note = this.notes.find((n) => n.id === noteId);
-    if (!note) return;
+    menu.addEventListener('click', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const item = /** @type {HTMLElement | null} */ (
+        target.closest('[data-action]')
+      );
+      if (!item) return;
+      closeMenu();
+      this.handleMenuAction(item.dataset.action || '');
+    });
 
-    // Find the note with the next higher order value (visually below)
-    const sortedNotes = this.notes
-      .filter((n) => n.order > note.order)
-      .sort((a, b) => a.order - b.order);
+    // Close menu when clicking outside or pressing Escape
+    document.addEventListener('click', (e) => {
+      if (!menu.hidden && !menu.contains(/** @type {Node} */ (e.target))) {
+        closeMenu();
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !menu.hidden) {
+        closeMenu();
+        menuBtn.focus();
+      }
+    });
 
-    if (sortedNotes.length > 0) {
-      const targetNote = sortedNotes[0];
-      const tempOrder = note.order;
-      note.order = targetNote.order;
-      targetNote.order = tempOrder;
+    const fileInput = /** @type {HTMLInputElement} */ (
+      document.getElementById('import-file-input')
+    );
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      // Reset so picking the same file again still fires change
+      fileInput.value = '';
+      if (file) {
+        this.importBackupFile(file);
+      }
+    });
+  }
 
-      this.saveNotes();
-      this.updateNotesOrder();
+  /**
+   * @param {string} action
+   */
+  handleMenuAction(action) {
+    if (action === 'export-json') {
+      this.exportJsonBackup();
+    } else if (action === 'export-markdown') {
+      this.exportMarkdownZip();
+    } else if (action === 'open-trash') {
+      this.openTrash();
+    } else if (action === 'toggle-format-toolbar') {
+      this.updateSetting({
+        formattingToolbar: !this.settings.formattingToolbar,
+      });
+    } else if (action === 'toggle-live-preview') {
+      this.updateSetting({ livePreview: !this.settings.livePreview });
+    } else if (action === 'toggle-paste-markdown') {
+      this.updateSetting({ pasteAsMarkdown: !this.settings.pasteAsMarkdown });
+    } else if (action === 'toggle-move-checked') {
+      this.updateSetting({
+        moveCheckedTasksDown: !this.settings.moveCheckedTasksDown,
+      });
+    } else if (action === 'toggle-board-badge') {
+      this.updateSetting({
+        badgeCountsActiveBoard: !this.settings.badgeCountsActiveBoard,
+      });
+    } else if (action === 'toggle-window-board') {
+      this.toggleBoardBinding('window');
+    } else if (action === 'toggle-group-board') {
+      this.toggleBoardBinding('group');
+    } else if (action === 'collapse-all') {
+      this.setAllCollapsed(true);
+    } else if (action === 'expand-all') {
+      this.setAllCollapsed(false);
+    } else if (action === 'new-board') {
+      this.createBoard();
+    } else if (action === 'rename-board') {
+      this.renameBoard();
+    } else if (action === 'delete-board') {
+      this.deleteBoard();
+    } else if (action === 'import') {
+      const fileInput = /** @type {HTMLInputElement} */ (
+        document.getElementById('import-file-input')
+      );
+      fileInput.click();
     }
   }
 
-  updateNotesOrder() {
-    // Update the flex order of existing DOM elements instead of re-rendering
-    this.notes.forEach((note) => {
-      const noteElement = /** @type {HTMLElement | null} */ (
-        document.querySelector(`[data-note-id="${note.id}"]`)
+  // Reflect toggle settings in the menu's checkbox items
+  updateMenuOptions() {
+    const moveChecked = document.querySelector(
+      '[data-action="toggle-move-checked"]',
+    );
+    if (moveChecked) {
+      moveChecked.setAttribute(
+        'aria-checked',
+        String(this.settings.moveCheckedTasksDown),
       );
-      if (noteElement) {
-        noteElement.style.order = note.order.toString();
-      }
-    });
+    }
+    const formatToolbar = document.querySelector(
+      '[data-action="toggle-format-toolbar"]',
+    );
+    if (formatToolbar) {
+      formatToolbar.setAttribute(
+        'aria-checked',
+        String(this.settings.formattingToolbar),
+      );
+    }
+    const livePreview = document.querySelector(
+      '[data-action="toggle-live-preview"]',
+    );
+    if (livePreview) {
+      livePreview.setAttribute(
+        'aria-checked',
+        String(this.settings.livePreview),
+      );
+    }
+    const pasteMarkdown = document.querySelector(
+      '[data-action="toggle-paste-markdown"]',
+    );
+    if (pasteMarkdown) {
+      pasteMarkdown.setAttribute(
+        'aria-checked',
+        String(this.settings.pasteAsMarkdown),
+      );
+    }
+    const windowBoard = document.querySelector(
+      '[data-action="toggle-window-board"]',
+    );
+    if (windowBoard) {
+      windowBoard.setAttribute(
+        'aria-checked',
+        String(this.boardScope === 'window'),
+      );
+    }
+    const groupBoard = /** @type {HTMLButtonElement | null} */ (
+      document.querySelector('[data-action="toggle-group-board"]')
+    );
+    if (groupBoard) {
+      groupBoard.setAttribute(
+        'aria-checked',
+        String(this.boardScope === 'group'),
+      );
+      // Binding needs the active tab to be in a group
+      groupBoard.disabled =
+        this.boardScope !== 'group' && this.activeTabGroupId === -1;
+    }
+    const boardBadge = document.querySelector(
+      '[data-action="toggle-board-badge"]',
+    );
+    if (boardBadge) {
+      boardBadge.setAttribute(
+        'aria-checked',
+        String(this.settings.badgeCountsActiveBoard),
+      );
+    }
   }
 
-  addNoteToDOM(note) {
-    const container = /** @type {HTMLDivElement} */ (
-      document.getElementById('notes-container')
+  /**
+   * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+   */
+  async updateSetting(changes) {
+    let settings = this.settings;
+    try {
+      settings = await writeSettings(changes);
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      showToast(`Setting could not be saved: ${error.message}`, {
+        type: 'error',
+      });
+    }
+    this.applySettings(settings);
+  }
+
+  /**
+   * Take over settings changed in this panel or saved by another one.
+   * @param {typeof DEFAULT_SETTINGS} settings
+   */
+  applySettings(settings) {
+    const previous = this.settings;
+    this.settings = settings;
+    this.updateMenuOptions();
+    if (
+      previous.formattingToolbar !== settings.formattingToolbar ||
+      previous.livePreview !== settings.livePreview
+    ) {
+      this.refreshEditors();
+    }
+  }
+
+  /**
+   * Trigger a download of the given blob.
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  backupFileName(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `sticky-bear-backup-${date}.${extension}`;
+  }
+
+  exportJsonBackup() {
+    // Trashed notes are included so a backup can restore them too
+    const backup = createBackup(
+      [...this.notes, ...this.otherBoardNotes, ...this.trashedNotes],
+      this.iframeData,
+      this.boards,
     );
-    const emptyState = /** @type {HTMLDivElement} */ (
-      document.getElementById('empty-state')
+    const blob = new Blob([JSON.stringify(backup, null, 2)], {
+      type: 'application/json',
+    });
+    this.downloadBlob(blob, this.backupFileName('json'));
+  }
+
+  exportMarkdownZip() {
+    const files = notesToMarkdownFiles(
+      [...this.notes, ...this.otherBoardNotes],
+      this.boards,
     );
+    this.downloadBlob(createZip(files), this.backupFileName('zip'));
+  }
 
-    // Hide empty state if it was showing
-    if (emptyState.style.display !== 'none') {
-      emptyState.style.display = 'none';
+  /**
+   * Validate a backup file, ask whether to merge or replace, then apply it.
+   * @param {File} file
+   */
+  async importBackupFile(file) {
+    let backup;
+    try {
+      backup = parseBackup(await file.text());
+    } catch (error) {
+      showToast(`Import failed: ${error.message}`, { type: 'error' });
+      return;
     }
 
-    // Create new note element
-    const noteElement = document.createElement('div');
-    noteElement.innerHTML = this.renderNote(note);
-    const actualNoteElement = noteElement.firstElementChild;
+    const mode = await this.askImportMode(backup.notes.length);
+    if (mode !== 'merge' && mode !== 'replace') return;
 
-    // Insert the note into the container
-    if (actualNoteElement) {
-      container.appendChild(actualNoteElement);
+    const result = applyBackup(
+      [...this.notes, ...this.otherBoardNotes, ...this.trashedNotes],
+      this.iframeData,
+      this.boards,
+      backup,
+      mode,
+    );
+
+    // Release iframes of notes that are going away
+    if (mode === 'replace') {
+      this.notes.forEach((note) => this.cleanupNoteResources(note.id));
     }
 
-    // Attach event listeners to the new note
-    if (actualNoteElement) {
-      this.attachNoteEventListenersToElement(actualNoteElement);
+    await this.saveBoards(result.boards);
+    // A replace may have removed the board that was shown
+    this.activeBoardId = noteBoardId(
+      { boardId: this.activeBoardId },
+      this.boards,
+    );
+    this.setBoardNotes(result.notes.filter((note) => !note.deletedAt));
+    this.trashedNotes = result.notes.filter((note) => note.deletedAt);
+    this.iframeData = result.iframeData;
+    await this.saveNotes();
+    try {
+      await writeIframeData(this.iframeData);
+    } catch (error) {
+      console.error('Error saving imported iframe data:', error);
+    }
 
-      // If note has a URL, mount its iframe and update info
-      if (note.url && note.url.length > 0) {
-        this.mountIframeForNote(note);
-        this.updateIframeInfo(note.id);
-      }
+    this.renderBoardSelect();
+    this.renderNotes();
+    this.renderTrash();
+
+    let message = `Imported ${backup.notes.length} note${
+      backup.notes.length === 1 ? '' : 's'
+    }.`;
+    if (result.remapped > 0) {
+      message += ` ${result.remapped} duplicate or invalid id${
+        result.remapped === 1 ? ' was' : 's were'
+      } renumbered.`;
     }
+    showToast(message);
   }
 
-  removeNoteFromDOM(noteId) {
-    const noteElement = document.querySelector(`[data-note-id="${noteId}"]`);
-    if (noteElement) {
-      noteElement.remove();
+  /**
+   * @param {number} noteCount
+   * @returns {Promise<string>} 'merge', 'replace' or 'cancel'
+   */
+  askImportMode(noteCount) {
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('import-dialog')
+    );
+    const summary = /** @type {HTMLElement} */ (
+      document.getElementById('import-summary')
+    );
+    const currentCount = this.notes.length + this.otherBoardNotes.length;
+    summary.textContent = `The backup contains ${noteCount} note${
+      noteCount === 1 ? '' : 's'
+    }. Merge them with your ${currentCount} current note${
+      currentCount === 1 ? '' : 's'
+    }, or replace everything?`;
+
+    return new Promise((resolve) => {
+      dialog.addEventListener('close', () => resolve(dialog.returnValue), {
+        once: true,
+      });
+      dialog.returnValue = 'cancel';
+      dialog.showModal();
+    });
+  }
+
+  async loadSettings() {
+    try {
+      this.settings = await readSettings();
+    } catch (error) {
+      console.error('Error loading settings:', error);
     }
   }
 
-  toggleNoteEdit(noteId) {
-    const note = this.notes.find((note) => note.id === noteId);
-    if (note) {
-      // Do not toggle edit mode if showing iframe
-      if (note.url && note.url.length > 0) return;
-      note.isEditing = !note.isEditing;
-      const contentElement = document.querySelector(
-        `.note-content[data-note-id="${noteId}"]`,
-      );
-      if (!contentElement) return;
-      if (note.isEditing) {
-        contentElement.innerHTML = `<textarea class="note-textarea" placeholder="Write your note here... (supports Markdown)" data-note-id="${
-          note.id
-        }">${note.content || ''}</textarea>`;
-        const textarea = /** @type {HTMLTextAreaElement | null} */ (
-          contentElement.querySelector('.note-textarea')
-        );
-        if (textarea) {
-          this.attachTextareaListenersFor(noteId, textarea);
-          // focus after microtask
-          setTimeout(() => textarea.focus(), 0);
+  async loadNotes() {
+    try {
+      // Drop notes that have been in the trash longer than the retention period
+      await purgeExpiredTrash(this.settings.trashRetentionDays);
+
+      const allNotes = await readNotes();
+      this.setBoardNotes(allNotes.filter((note) => !note.deletedAt));
+      this.trashedNotes = allNotes.filter((note) => note.deletedAt);
+
+      // Migrate existing notes to have order and tags properties
+      let needsSave = false;
+      allNotes.forEach((note, index) => {
+        if (typeof note.order !== 'number') {
+          note.order = index;
+          needsSave = true;
         }
-      } else {
-        contentElement.innerHTML = `<div class="note-preview">${this.renderMarkdown(
-          note.content || '',
-        )}</div>`;
+        if (!Array.isArray(note.tags)) {
+          note.tags = extractTags(note.content || '');
+          needsSave = true;
+        }
+      });
+
+      if (needsSave) {
+        await this.saveNotes();
       }
+
+      // Trashed notes purged here or by the background leave their images
+      // behind; deleting them needs no wait
+      this.cleanupAttachments();
+    } catch (error) {
+      console.error('Error loading notes:', error);
+      this.notes = [];
+      this.otherBoardNotes = [];
+      this.trashedNotes = [];
     }
   }
 
-  renderNotes() {
-    const container = /** @type {HTMLDivElement} */ (
-      document.getElementById('notes-container')
-    );
-    const emptyState = /** @type {HTMLDivElement} */ (
-      document.getElementById('empty-state')
-    );
+  async loadIframeData() {
+    try {
+      this.iframeData = await readIframeData();
+    } catch (error) {
+      console.error('Error loading iframe data:', error);
+      this.iframeData = {};
+    }
+  }
 
-    if (this.notes.length === 0) {
-      container.innerHTML = '';
-      emptyState.style.display = 'block';
-      return;
+  async saveNotes() {
+    // Any pending debounced save is covered by this one
+    clearTimeout(this.saveTimer);
+    this.pendingSaveSince = 0;
+
+    try {
+      await writeNotes([
+        ...this.notes,
+        ...this.otherBoardNotes,
+        ...this.trashedNotes,
+      ]);
+      if (this.dismissSaveError) {
+        this.dismissSaveError();
+        this.dismissSaveError = null;
+      }
+      // Notify background script to update badge
+      chrome.runtime.sendMessage({ action: 'update-badge' });
+    } catch (error) {
+      console.error('Error saving notes:', error);
+      if (this.dismissSaveError) this.dismissSaveError();
+      this.dismissSaveError = showToast(
+        `Notes could not be saved: ${error.message || error}`,
+        { type: 'error', duration: 10000 },
+      );
     }
 
-    emptyState.style.display = 'none';
+    this.updateStorageMeter();
+  }
 
-    // Sort notes by order for rendering
-    const sortedNotes = [...this.notes].sort(
-      (a, b) => (a.order || 0) - (b.order || 0),
+  // Save debounced edits and revision snapshots right away
+  flushPendingEdits() {
+    if (this.pendingSaveSince) this.saveNotes();
+    [...this.revisionTimers.keys()].forEach((noteId) =>
+      this.flushRevision(noteId),
     );
-    container.innerHTML = sortedNotes
-      .map((note) => this.renderNote(note))
-      .join('');
+  }
 
-    // Add event listeners to the rendered notes
-    this.attachNoteEventListeners();
+  // Debounced save for high-frequency edits such as typing
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    const now = Date.now();
+    if (!this.pendingSaveSince) this.pendingSaveSince = now;
+    const delay = Math.max(
+      Math.min(
+        CONTENT_SAVE_DELAY,
+        this.pendingSaveSince + CONTENT_SAVE_MAX_DELAY - now,
+      ),
+      syncWriteDelay(),
+    );
+    this.saveTimer = /** @type {number} */ (
+      setTimeout(() => this.saveNotes(), delay)
+    );
   }
 
-  renderNote(note) {
-    const isEditing = note.isEditing;
-    const content = note.content || '';
+  /**
+   * Follow notes, boards and settings saved elsewhere. Notes are merged with
+   * this panel's unsaved edits and their elements patched in place, so the
+   * iframes of URL notes keep their pages.
+   */
+  setupLiveSync() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+        this.applySettings({
+          ...DEFAULT_SETTINGS,
+          ...(changes[SETTINGS_KEY].newValue || {}),
+        });
+      }
+      if (areaName === 'sync' && changes[BOARDS_KEY]) {
+        this.applyRemoteBoards(changes[BOARDS_KEY].newValue);
+      }
+
+      const prefix =
+        areaName === 'sync'
+          ? NOTE_KEY_PREFIX
+          : areaName === 'local'
+          ? NOTE_BODY_KEY_PREFIX
+          : null;
+      if (!prefix) return;
+      Object.keys(changes)
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => this.remoteNoteIds.add(key.slice(prefix.length)));
+      if (this.remoteNoteIds.size === 0) return;
+
+      clearTimeout(this.remoteChangeTimer);
+      this.remoteChangeTimer = /** @type {number} */ (
+        setTimeout(() => {
+          // One batch at a time, so a note isn't merged twice at once
+          this.remoteChanges = this.remoteChanges
+            .then(() => this.applyRemoteChanges())
+            .catch((error) =>
+              console.error('Error applying remote changes:', error),
+            );
+        }, REMOTE_CHANGE_DELAY)
+      );
+    });
+  }
+
+  async applyRemoteChanges() {
+    const noteIds = [...this.remoteNoteIds];
+    this.remoteNoteIds.clear();
+    if (noteIds.length === 0) return;
+
+    let changes;
+    try {
+      // Echoes of this panel's own saves are left out
+      changes = await readChangedNotes(noteIds);
+    } catch (error) {
+      console.error('Error reading changed notes:', error);
+      return;
+    }
+    if (changes.length === 0) return;
+
+    let needsSave = false;
+    const conflictCopyIds = [];
+    changes.forEach(({ noteId, stored, base }) => {
+      const local = this.findNote(noteId);
+      acceptStoredNote(noteId, stored);
+
+      if (!stored) {
+        if (local) this.dropNote(local);
+        return;
+      }
+      if (!local) {
+        this.placeNote(stored);
+        return;
+      }
+
+      const previous = { ...local };
+      const { note, conflictContent } = mergeNote(base, local, stored);
+      // Update in place; the lists and pending handlers hold this object
+      Object.keys(local).forEach((key) => delete local[key]);
+      Object.assign(local, note);
+      this.placeNote(local, previous);
+
+      if (hasUnsavedChanges(local)) needsSave = true;
+      if (conflictContent !== null) {
+        conflictCopyIds.push(this.addConflictCopy(local, conflictContent).id);
+        needsSave = true;
+      }
+    });
+
+    const emptyState = /** @type {HTMLDivElement} */ (
+      document.getElementById('empty-state')
+    );
+    emptyState.style.display = this.notes.length === 0 ? 'block' : 'none';
+    this.renderTagBar();
+    this.applySiteSections();
+    this.updateFilterEmptyState();
+    this.renderTrash();
+    if (needsSave) this.saveNotes();
+
+    if (conflictCopyIds.length > 0) {
+      showToast(
+        conflictCopyIds.length === 1
+          ? 'A note was changed in two places at once. The other text was kept in a conflict copy.'
+          : `${conflictCopyIds.length} notes were changed in two places at once. The other texts were kept in conflict copies.`,
+        {
+          actionLabel: 'Show',
+          onAction: () => this.focusNote(conflictCopyIds[0]),
+          duration: 10000,
+        },
+      );
+    }
+  }
+
+  /**
+   * @param {string} noteId
+   * @returns {object|undefined} the note, on any board or in the trash
+   */
+  findNote(noteId) {
+    return [...this.notes, ...this.otherBoardNotes, ...this.trashedNotes].find(
+      (note) => note.id === noteId,
+    );
+  }
+
+  /**
+   * Forget a note that was deleted elsewhere.
+   * @param {object} note
+   */
+  dropNote(note) {
+    [this.notes, this.otherBoardNotes, this.trashedNotes].forEach((list) => {
+      const index = list.indexOf(note);
+      if (index !== -1) list.splice(index, 1);
+    });
+    this.cleanupNoteResources(note.id);
+    this.removeNoteFromDOM(note.id);
+  }
+
+  /**
+   * Put a note changed elsewhere into the list it belongs to now (the
+   * active board, another board or the trash) and bring its element up to
+   * date.
+   * @param {object} note
+   * @param {object|null} [previous] the note before the change, null for a
+   *   note this panel didn't have
+   */
+  placeNote(note, previous = null) {
+    const target = note.deletedAt
+      ? this.trashedNotes
+      : noteBoardId(note, this.boards) === this.activeBoardId
+      ? this.notes
+      : this.otherBoardNotes;
+    if (!target.includes(note)) {
+      [this.notes, this.otherBoardNotes, this.trashedNotes].forEach((list) => {
+        const index = list.indexOf(note);
+        if (index !== -1) list.splice(index, 1);
+      });
+      target.push(note);
+    }
+
+    const noteElement = document.querySelector(
+      `.sticky-note[data-note-id="${note.id}"]`,
+    );
+    if (target !== this.notes) {
+      note.isEditing = false;
+      if (noteElement) {
+        this.cleanupNoteResources(note.id);
+        this.removeNoteFromDOM(note.id);
+      }
+    } else if (noteElement && previous) {
+      this.patchNoteElement(note, previous);
+    } else if (!noteElement) {
+      this.addNoteToDOM(note);
+    }
+  }
+
+  /**
+   * Bring a rendered note up to date without re-rendering it. The content of
+   * a URL note is left alone, so its iframe doesn't reload.
+   * @param {object} note
+   * @param {object} previous the note as it was rendered
+   */
+  patchNoteElement(note, previous) {
+    const noteElement = /** @type {HTMLElement | null} */ (
+      document.querySelector(`.sticky-note[data-note-id="${note.id}"]`)
+    );
+    if (!noteElement) return;
+
+    const isUrl = Boolean(note.url);
+    const wasUrl = Boolean(previous.url);
+    if (isUrl) note.isEditing = false;
+
+    const template = document.createElement('div');
+    template.innerHTML = this.renderNote(note);
+    const fresh = /** @type {HTMLElement} */ (template.firstElementChild);
+
+    noteElement.classList.remove(`note-theme-${previous.color}`);
+    ['site-match', 'pinned', 'collapsed', `note-theme-${note.color}`].forEach(
+      (cls) => noteElement.classList.toggle(cls, fresh.classList.contains(cls)),
+    );
+    noteElement.style.order = fresh.style.order;
+
+    const header = noteElement.querySelector('.note-header');
+    const freshHeader = fresh.querySelector('.note-header');
+    if (header && freshHeader) {
+      header.replaceWith(freshHeader);
+      this.attachNoteHeaderListeners(noteElement);
+    }
+
+    const contentElement = noteElement.querySelector('.note-content');
+    const freshContent = fresh.querySelector('.note-content');
+    if (contentElement && freshContent && isUrl !== wasUrl) {
+      if (wasUrl) this.cleanupNoteResources(note.id);
+      contentElement.innerHTML = freshContent.innerHTML;
+      const textarea = contentElement.querySelector('.note-textarea');
+      if (textarea) {
+        this.attachTextareaListenersFor(
+          note.id,
+          /** @type {HTMLTextAreaElement} */ (textarea),
+        );
+      }
+      if (isUrl) this.mountIframeForNote(note);
+    } else if (isUrl && note.url !== previous.url) {
+      this.mountIframeForNote(note);
+    } else if (!isUrl && note.content !== previous.content) {
+      this.refreshNoteContent(note.id);
+    }
+
+    if (isUrl) this.updateIframeInfo(note.id);
+    this.applyFilterToNote(note.id);
+  }
+
+  /**
+   * Keep text that lost a conflict in a new note right after the original.
+   * @param {object} original
+   * @param {string} content
+   * @returns {object} the copy
+   */
+  addConflictCopy(original, content) {
+    const boardId = noteBoardId(original, this.boards);
+    const boardNotes = sortByOrder(
+      [...this.notes, ...this.otherBoardNotes].filter(
+        (note) => noteBoardId(note, this.boards) === boardId,
+      ),
+    );
+    const index = boardNotes.indexOf(original);
+    const order =
+      index === -1
+        ? this.getTopOrder(boardNotes)
+        : orderBetween(original.order, boardNotes[index + 1]?.order) ??
+          original.order;
+
+    // Copies made in the same millisecond, here or in another window, must
+    // not share an id
+    const suffix = Math.random().toString(36).slice(2, 8);
+    const copy = {
+      id: `${Date.now()}-${suffix}-${original.id}`,
+      content,
+      color: original.color,
+      createdAt: new Date().toISOString(),
+      url: '',
+      tags: extractTags(content),
+      boardId,
+      order,
+      conflictOf: original.id,
+    };
+    this.placeNote(copy);
+    return copy;
+  }
+
+  /**
+   * @param {unknown} boards the boards as stored by another panel
+   */
+  applyRemoteBoards(boards) {
+    this.boards = normalizeBoards(boards);
+    if (this.boards.some((board) => board.id === this.activeBoardId)) {
+      this.renderBoardSelect();
+    } else {
+      // The board shown here was deleted elsewhere
+      this.switchBoard(DEFAULT_BOARD_ID);
+    }
+  }
+
+  async updateStorageMeter() {
+    const meter = document.getElementById('storage-meter');
+    if (!meter) return;
+
+    try {
+      const usage = await getStorageUsage();
+      const itemRatio = usage.syncItems / usage.syncMaxItems;
+      const ratio = Math.min(
+        1,
+        Math.max(usage.syncBytes / usage.syncQuota, itemRatio),
+      );
+      const fill = /** @type {HTMLElement} */ (
+        meter.querySelector('.storage-meter-fill')
+      );
+      const label = /** @type {HTMLElement} */ (
+        meter.querySelector('.storage-meter-label')
+      );
+
+      fill.style.width = `${Math.round(ratio * 100)}%`;
+      label.textContent = `${Math.round(ratio * 100)}%`;
+      meter.classList.toggle('warning', ratio >= QUOTA_WARNING_RATIO);
+      meter.title =
+        `Synced storage: ${this.formatBytes(usage.syncBytes)} of ${this.formatBytes(usage.syncQuota)}` +
+        `\nSynced items: ${usage.syncItems} of ${usage.syncMaxItems} (one per note, including the trash)` +
+        `\nLocal storage: ${this.formatBytes(usage.localBytes)} of ${this.formatBytes(usage.localQuota)}`;
+    } catch (error) {
+      console.error('Error reading storage usage:', error);
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * @param {string} [content] initial markdown; the note opens in edit mode
+   *   when empty
+   */
+  addNote(content = '') {
+    const newNote = {
+      id: Date.now().toString(),
+      content,
+      color: 'yellow', // Default to yellow
+      createdAt: new Date().toISOString(),
+      isEditing: !content,
+      url: '',
+      tags: extractTags(content),
+      iframeHeight: undefined,
+      boardId: this.activeBoardId,
+      order: this.getTopOrder(), // New notes go on top
+    };
+
+    this.notes.unshift(newNote);
+    this.saveNotes();
+
+    // Add new note DOM element
+    this.addNoteToDOM(newNote);
+
+    // Focus on the new note's textarea
+    setTimeout(() => {
+      const noteElement = document.querySelector(
+        `[data-note-id="${newNote.id}"]`,
+      );
+      const textarea = /** @type {HTMLTextAreaElement | null} */ (
+        noteElement?.querySelector('.note-textarea')
+      );
+      if (textarea) {
+        textarea.focus();
+      }
+    }, 100);
+  }
+
+  askForUrl(hint = '', defaultUrl = '') {
+    let urlInput = window.prompt(hint, defaultUrl);
+
+    if (urlInput === null) return null; // User cancelled
+
+    urlInput = urlInput.trim();
+
+    if (!urlInput.startsWith('http')) {
+      urlInput = `https://${urlInput}`;
+    }
+
+    return urlInput;
+  }
+
+  addNoteWithUrl(predefinedUrl = '') {
+    let urlInput = predefinedUrl;
+
+    // If no URL was provided, prompt for one
+    if (!urlInput) {
+      const promptResult = this.askForUrl(
+        'Enter a webpage URL to create a sticky note for:',
+        '',
+      );
+
+      if (promptResult === null) return; // User cancelled
+
+      if (promptResult === '') {
+        alert('Please enter a valid URL.');
+        return;
+      }
+
+      urlInput = promptResult;
+    }
+
+    // Validate URL
+    try {
+      const url = new URL(urlInput);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        alert('Only http/https URLs are supported.');
+        return;
+      }
+    } catch (error) {
+      alert('Please enter a valid URL.');
+      return;
+    }
+
+    const newNote = {
+      id: Date.now().toString(),
+      content: '',
+      color: 'blue', // Default to blue for URL notes
+      createdAt: new Date().toISOString(),
+      isEditing: false, // URL notes start in view mode
+      url: urlInput,
+      tags: [],
+      iframeHeight: 300, // Default height for iframe
+      boardId: this.activeBoardId,
+      order: this.getTopOrder(), // New notes go on top
+    };
+
+    this.notes.unshift(newNote);
+    this.saveNotes();
+
+    // Add new note DOM element
+    this.addNoteToDOM(newNote);
+  }
+
+  /**
+   * Move a note to the trash. Its order and iframe data are kept so it can be
+   * restored in place.
+   * @param {string} noteId
+   */
+  deleteNote(noteId) {
+    const index = this.notes.findIndex((note) => note.id === noteId);
+    if (index !== -1) {
+      // The pending revision would no longer find the note once it's trashed
+      this.flushRevision(noteId);
+      this.cleanupNoteResources(noteId);
+
+      // Move note from the active list to the trash
+      const [note] = this.notes.splice(index, 1);
+      note.deletedAt = new Date().toISOString();
+      note.isEditing = false;
+      this.trashedNotes.push(note);
+      // Also replaces a debounced save of the note's last edits
+      this.saveNotes();
+
+      // Remove note DOM element instead of re-rendering everything
+      this.removeNoteFromDOM(noteId);
+
+      // Show empty state if no notes left
+      if (this.notes.length === 0) {
+        const emptyState = /** @type {HTMLDivElement} */ (
+          document.getElementById('empty-state')
+        );
+        emptyState.style.display = 'block';
+      }
+      this.renderTagBar();
+      this.updateFilterEmptyState();
+      this.renderTrash();
+
+      showToast('Note moved to trash.', {
+        actionLabel: 'Undo',
+        onAction: () => this.restoreNote(noteId),
+        duration: 6000,
+      });
+    }
+  }
+
+  /**
+   * Bring a note back from the trash with its previous order.
+   * @param {string} noteId
+   */
+  restoreNote(noteId) {
+    const index = this.trashedNotes.findIndex((note) => note.id === noteId);
+    if (index === -1) return;
+
+    const [note] = this.trashedNotes.splice(index, 1);
+    delete note.deletedAt;
+    // Notes of a deleted board come back on the default board
+    note.boardId = noteBoardId(note, this.boards);
+
+    if (note.boardId === this.activeBoardId) {
+      this.notes.push(note);
+      this.addNoteToDOM(note);
+      this.renderTagBar();
+    } else {
+      this.otherBoardNotes.push(note);
+      showToast(`Note restored to "${this.boardName(note.boardId)}".`);
+    }
+    this.saveNotes();
+    this.renderTrash();
+  }
+
+  /**
+   * Permanently delete a trashed note and its iframe data.
+   * @param {string} noteId
+   */
+  purgeNote(noteId) {
+    const index = this.trashedNotes.findIndex((note) => note.id === noteId);
+    if (index === -1) return;
+
+    this.trashedNotes.splice(index, 1);
+    this.saveNotes();
+    this.forgetIframeData([noteId]);
+    this.cleanupAttachments();
+    this.renderTrash();
+  }
+
+  emptyTrash() {
+    if (this.trashedNotes.length === 0) return;
+    const count = this.trashedNotes.length;
+    if (
+      !window.confirm(
+        `Permanently delete ${count} note${
+          count === 1 ? '' : 's'
+        } in the trash? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+
+    const noteIds = this.trashedNotes.map((note) => note.id);
+    this.trashedNotes = [];
+    this.saveNotes();
+    this.forgetIframeData(noteIds);
+    this.cleanupAttachments();
+    this.renderTrash();
+  }
+
+  /**
+   * @param {string[]} noteIds
+   */
+  async forgetIframeData(noteIds) {
+    if (!noteIds.some((noteId) => this.iframeData[noteId])) return;
+    noteIds.forEach((noteId) => delete this.iframeData[noteId]);
+    try {
+      await writeIframeData(this.iframeData);
+    } catch (error) {
+      console.error('Error removing iframe data:', error);
+    }
+  }
+
+  setupTrashView() {
+    const backBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('trash-back-btn')
+    );
+    backBtn.addEventListener('click', () => this.closeTrash());
+
+    const emptyBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('empty-trash-btn')
+    );
+    emptyBtn.addEventListener('click', () => this.emptyTrash());
+
+    const retentionSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('trash-retention-select')
+    );
+    retentionSelect.value = String(this.settings.trashRetentionDays);
+    retentionSelect.addEventListener('change', () => {
+      this.updateSetting({
+        trashRetentionDays: Number(retentionSelect.value),
+      });
+    });
+
+    const list = /** @type {HTMLDivElement} */ (
+      document.getElementById('trash-list')
+    );
+    list.addEventListener('click', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const button = /** @type {HTMLElement | null} */ (
+        target.closest('[data-trash-action]')
+      );
+      if (!button || !button.dataset.noteId) return;
+      if (button.dataset.trashAction === 'restore') {
+        this.restoreNote(button.dataset.noteId);
+      } else if (button.dataset.trashAction === 'purge') {
+        this.purgeNote(button.dataset.noteId);
+      }
+    });
+
+    this.renderTrash();
+  }
+
+  openTrash() {
+    document.querySelector('.app')?.classList.add('showing-trash');
+    const trashView = /** @type {HTMLElement} */ (
+      document.getElementById('trash-view')
+    );
+    trashView.hidden = false;
+    this.renderTrash();
+  }
+
+  closeTrash() {
+    document.querySelector('.app')?.classList.remove('showing-trash');
+    const trashView = /** @type {HTMLElement} */ (
+      document.getElementById('trash-view')
+    );
+    trashView.hidden = true;
+  }
+
+  renderTrash() {
+    const menuItem = document.querySelector('[data-action="open-trash"]');
+    if (menuItem) {
+      menuItem.textContent =
+        this.trashedNotes.length > 0
+          ? `Trash (${this.trashedNotes.length})`
+          : 'Trash';
+    }
+
+    const list = document.getElementById('trash-list');
+    if (!list) return;
+
+    if (this.trashedNotes.length === 0) {
+      list.innerHTML = '<p class="trash-empty">The trash is empty.</p>';
+      return;
+    }
+
+    const sorted = [...this.trashedNotes].sort(
+      (a, b) =>
+        new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime(),
+    );
+    list.innerHTML = sorted
+      .map((note) => {
+        const title = this.noteTitle(note);
+        let deletedAt = new Date(note.deletedAt).toLocaleString();
+        if (this.boards.length > 1) {
+          deletedAt += ` · ${this.boardName(noteBoardId(note, this.boards))}`;
+        }
+        return `
+          <div class="trash-item note-theme-${note.color}">
+            <div class="trash-item-text">
+              <div class="trash-item-title">${this.escapeHtml(title)}</div>
+              <div class="trash-item-meta">Deleted ${this.escapeHtml(
+                deletedAt,
+              )}</div>
+            </div>
+            <button data-trash-action="restore" data-note-id="${
+              note.id
+            }" title="Restore note">Restore</button>
+            <button class="danger" data-trash-action="purge" data-note-id="${
+              note.id
+            }" title="Delete permanently">Delete</button>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Release the iframe, resize observer and timers held for a note.
+   * @param {string} noteId
+   */
+  cleanupNoteResources(noteId) {
+    // Clean up iframe if exists
+    const existing = this.iframeMap.get(noteId);
+    if (existing) {
+      try {
+        existing.remove();
+      } catch (_e) {}
+      this.iframeMap.delete(noteId);
+    }
+    const obs = this.iframeResizeObservers.get(noteId);
+    if (obs) {
+      try {
+        obs.disconnect();
+      } catch (_e) {}
+      this.iframeResizeObservers.delete(noteId);
+    }
+    const timer = this.iframeResizeTimers.get(noteId);
+    if (typeof timer === 'number') {
+      clearTimeout(timer);
+      this.iframeResizeTimers.delete(noteId);
+    }
+  }
+
+  updateNoteContent(noteId, content) {
+    const note = this.notes.find((note) => note.id === noteId);
+    if (note) {
+      const previousContent = note.content || '';
+      note.content = content;
+      this.trackRevision(noteId, previousContent);
+
+      // Re-derive #tags and refresh chips only when they actually changed
+      const tags = extractTags(content);
+      const tagsChanged =
+        tags.length !== (note.tags || []).length ||
+        tags.some((tag, index) => tag !== note.tags[index]);
+      if (tagsChanged) {
+        note.tags = tags;
+        this.updateNoteTagsDisplay(noteId);
+        this.renderTagBar();
+      }
+
+      this.updateTaskProgress(noteId);
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Check or uncheck a task list item from the preview.
+   * @param {string} noteId
+   * @param {number} index position of the task among the note's tasks
+   * @param {boolean} checked
+   */
+  toggleTask(noteId, index, checked) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note || index < 0) return;
+
+    const toggled = setTaskChecked(note.content || '', index, checked);
+    if (toggled === note.content) return;
+    const content =
+      checked && this.settings.moveCheckedTasksDown
+        ? moveCheckedToBottom(toggled)
+        : toggled;
+
+    this.updateNoteContent(noteId, content);
+    // The clicked box already shows the new state; re-render only on moves
+    if (content !== toggled) this.refreshNoteContent(noteId);
+  }
+
+  taskProgressLabel(note) {
+    const { done, total } = taskProgress(note.url ? '' : note.content);
+    return total > 0 ? `${done}/${total}` : '';
+  }
+
+  updateTaskProgress(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const progress = document.querySelector(
+      `.task-progress[data-note-id="${noteId}"]`,
+    );
+    if (!note || !progress) return;
+    const label = this.taskProgressLabel(note);
+    progress.textContent = label;
+    progress.classList.toggle('complete', this.isTaskListComplete(label));
+  }
+
+  isTaskListComplete(label) {
+    const [done, total] = label.split('/');
+    return Boolean(label) && done === total;
+  }
+
+  /**
+   * Coalesce edits into revisions: the text before the first keystroke of an
+   * editing burst is kept, and a snapshot is taken once typing goes idle.
+   * @param {string} noteId
+   * @param {string} previousContent
+   */
+  trackRevision(noteId, previousContent) {
+    const pending = this.revisionTimers.get(noteId);
+    if (pending === undefined) {
+      this.saveRevision(noteId, previousContent);
+    } else {
+      clearTimeout(pending);
+    }
+
+    this.revisionTimers.set(
+      noteId,
+      /** @type {number} */ (
+        setTimeout(() => this.flushRevision(noteId), REVISION_IDLE_DELAY)
+      ),
+    );
+  }
+
+  /**
+   * Take the pending snapshot for a note right away.
+   * @param {string} noteId
+   */
+  flushRevision(noteId) {
+    const pending = this.revisionTimers.get(noteId);
+    if (pending === undefined) return;
+    clearTimeout(pending);
+    this.revisionTimers.delete(noteId);
+
+    const note = this.notes.find((n) => n.id === noteId);
+    if (note) {
+      this.saveRevision(noteId, note.content || '');
+    }
+  }
+
+  /**
+   * @param {string} noteId
+   * @param {string} content
+   */
+  async saveRevision(noteId, content) {
+    try {
+      await appendNoteRevision(noteId, content);
+    } catch (error) {
+      console.error('Error saving note revision:', error);
+    }
+  }
+
+  setupHistoryDialog() {
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('history-dialog')
+    );
+    const list = /** @type {HTMLElement} */ (
+      document.getElementById('history-list')
+    );
+    const compareSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('history-compare-select')
+    );
+    const restoreBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('history-restore-btn')
+    );
+
+    const selectItem = (item) => {
+      list
+        .querySelectorAll('[data-revision]')
+        .forEach((el) => el.classList.toggle('selected', el === item));
+      this.renderHistoryDiff();
+    };
+
+    list.addEventListener('click', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const item = target.closest('[data-revision]');
+      if (item) selectItem(item);
+    });
+    list.addEventListener('keydown', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      if ((e.key === 'Enter' || e.key === ' ') && target.dataset.revision) {
+        e.preventDefault();
+        selectItem(target);
+      }
+    });
+
+    compareSelect.addEventListener('change', () => this.renderHistoryDiff());
+
+    restoreBtn.addEventListener('click', () => {
+      const selected = /** @type {HTMLElement | null} */ (
+        list.querySelector('[data-revision].selected')
+      );
+      if (this.historyNoteId && selected) {
+        this.restoreRevision(
+          this.historyNoteId,
+          Number(selected.dataset.revision),
+        );
+      }
+      dialog.close();
+    });
+
+    dialog.addEventListener('close', () => {
+      this.historyNoteId = null;
+    });
+  }
+
+  /**
+   * Show the revision history of a note.
+   * @param {string} noteId
+   */
+  async openHistory(noteId) {
+    // Make sure the latest edits are part of the history
+    this.flushRevision(noteId);
+
+    let revisions = [];
+    try {
+      revisions = await readNoteHistory(noteId);
+    } catch (error) {
+      console.error('Error loading note history:', error);
+    }
+
+    this.historyNoteId = noteId;
+    this.historyRevisions = revisions;
+
+    const list = /** @type {HTMLElement} */ (
+      document.getElementById('history-list')
+    );
+    if (revisions.length === 0) {
+      list.innerHTML = '<li class="history-empty">No history yet.</li>';
+    } else {
+      // Newest first, with the newest selected
+      list.innerHTML = revisions
+        .map((revision, index) => ({ revision, index }))
+        .reverse()
+        .map(
+          ({ revision, index }, position) =>
+            `<li class="history-item${
+              position === 0 ? ' selected' : ''
+            }" data-revision="${index}" tabindex="0">${this.escapeHtml(
+              new Date(revision.savedAt).toLocaleString(),
+            )}</li>`,
+        )
+        .join('');
+    }
+
+    this.renderHistoryDiff();
+
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('history-dialog')
+    );
+    if (!dialog.open) dialog.showModal();
+  }
+
+  renderHistoryDiff() {
+    const diffElement = /** @type {HTMLElement} */ (
+      document.getElementById('history-diff')
+    );
+    const restoreBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('history-restore-btn')
+    );
+    const compareSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('history-compare-select')
+    );
+    const selected = /** @type {HTMLElement | null} */ (
+      document.querySelector('#history-list [data-revision].selected')
+    );
+    const note = this.notes.find((n) => n.id === this.historyNoteId);
+
+    if (!selected || !note) {
+      diffElement.innerHTML = '';
+      restoreBtn.disabled = true;
+      return;
+    }
+
+    const index = Number(selected.dataset.revision);
+    const revisionContent = this.historyRevisions[index].content;
+
+    // Either what this revision changed, or what restoring it would change
+    const diff =
+      compareSelect.value === 'current'
+        ? diffLines(note.content || '', revisionContent)
+        : diffLines(
+            index > 0 ? this.historyRevisions[index - 1].content : '',
+            revisionContent,
+          );
+
+    diffElement.innerHTML = diff
+      .map(
+        (line) =>
+          `<div class="diff-line diff-${line.type}">${
+            line.type === 'add' ? '+' : line.type === 'remove' ? '−' : ' '
+          } ${this.escapeHtml(line.text) || '&nbsp;'}</div>`,
+      )
+      .join('');
+    restoreBtn.disabled = revisionContent === (note.content || '');
+  }
+
+  /**
+   * Replace a note's content with one of its revisions. The current text is
+   * saved as a revision first so the restore can itself be undone.
+   * @param {string} noteId
+   * @param {number} index
+   */
+  async restoreRevision(noteId, index) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const revision = this.historyRevisions[index];
+    if (!note || !revision) return;
+
+    this.flushRevision(noteId);
+    await this.saveRevision(noteId, note.content || '');
+
+    note.content = revision.content;
+    note.tags = extractTags(note.content);
+    this.saveNotes();
+    await this.saveRevision(noteId, note.content);
+
+    this.refreshNoteContent(noteId);
+    this.updateNoteTagsDisplay(noteId);
+    this.updateTaskProgress(noteId);
+    this.renderTagBar();
+    showToast('Revision restored.');
+  }
+
+  /**
+   * Re-render a text note's content area after its content changed.
+   * @param {string} noteId
+   */
+  refreshNoteContent(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note || (note.url && note.url.length > 0)) return;
+
+    const contentElement = document.querySelector(
+      `.note-content[data-note-id="${noteId}"]`,
+    );
+    if (!contentElement) return;
+
+    const textarea = /** @type {HTMLTextAreaElement | null} */ (
+      contentElement.querySelector('.note-textarea')
+    );
+    if (note.isEditing && textarea) {
+      const { selectionStart, selectionEnd } = textarea;
+      textarea.value = note.content || '';
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+      this.updateLivePreview(textarea);
+    } else {
+      contentElement.innerHTML = `<div class="note-preview">${this.renderMarkdown(
+        note.content || '',
+      )}</div>`;
+      this.applyFilterToNote(noteId);
+    }
+    this.updateCollapsedDisplay(note);
+  }
+
+  updateNoteColor(noteId, color) {
+    const note = this.notes.find((note) => note.id === noteId);
+    if (note) {
+      const previousColor = note.color;
+      note.color = color;
+      this.saveNotes();
+      // Update DOM in place to avoid re-rendering iframe notes
+      const noteElement = document.querySelector(`[data-note-id="${noteId}"]`);
+      if (noteElement) {
+        noteElement.classList.remove(`note-theme-${previousColor}`);
+        noteElement.classList.add(`note-theme-${color}`);
+      }
+      this.applyFilterToNote(noteId);
+      this.updateFilterEmptyState();
+    }
+  }
+
+  /**
+   * Order value that places a new note above every existing one.
+   * @param {Array<{order?:number}>} [notes] the board's notes (default: the
+   *   active board)
+   * @returns {number}
+   */
+  getTopOrder(notes = this.notes) {
+    const sorted = sortByOrder(notes);
+    let order = orderBetween(undefined, sorted[0]?.order);
+    if (order === null) {
+      // Reached the top of the section band: spread the notes out again,
+      // to be saved along with the new note
+      rebalanceOrders(sorted);
+      this.updateNotesOrder();
+      order = orderBetween(undefined, sorted[0].order);
+    }
+    return /** @type {number} */ (order);
+  }
+
+  moveNoteUp(noteId) {
+    const sorted = this.sortForDisplay(this.notes);
+    const index = sorted.findIndex((n) => n.id === noteId);
+    // Place it before the note that is visually above it, within its section
+    if (index > 0 && this.sameSection(sorted[index], sorted[index - 1])) {
+      this.dropNoteNextTo(noteId, sorted[index - 1].id, false);
+    }
+  }
+
+  moveNoteDown(noteId) {
+    const sorted = this.sortForDisplay(this.notes);
+    const index = sorted.findIndex((n) => n.id === noteId);
+    // Place it after the note that is visually below it, within its section
+    if (
+      index !== -1 &&
+      index < sorted.length - 1 &&
+      this.sameSection(sorted[index], sorted[index + 1])
+    ) {
+      this.dropNoteNextTo(noteId, sorted[index + 1].id, true);
+    }
+  }
+
+  /**
+   * Move a note so it ends up at the given position. Only the moved note gets
+   * a new order value, unless its new neighbours have no room left between
+   * them or it would pass ORDER_LIMIT at the top or bottom, in which case all
+   * notes are spread out again.
+   * @param {string} noteId
+   * @param {number} index position among the other notes, 0 = top
+   */
+  moveNoteToIndex(noteId, index) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
+
+    const others = sortByOrder(this.notes.filter((n) => n.id !== noteId));
+    const position = Math.max(0, Math.min(index, others.length));
+    const orderAround = () =>
+      orderBetween(others[position - 1]?.order, others[position]?.order);
+
+    let order = orderAround();
+    let movedIds = [noteId];
+    if (order === null) {
+      // Out of room: spread everything out (rare)
+      rebalanceOrders(others);
+      order = orderAround();
+      movedIds = this.notes.map((n) => n.id);
+    }
+
+    if (note.order === order) return;
+    note.order = /** @type {number} */ (order);
+    this.saveNotes();
+    this.updateNotesOrder(movedIds);
+  }
+
+  /**
+   * Update the flex order of existing DOM elements instead of re-rendering,
+   * so iframes stay mounted.
+   * @param {string[] | null} [noteIds] only update these notes (default all)
+   */
+  updateNotesOrder(noteIds = null) {
+    this.notes.forEach((note) => {
+      if (noteIds && !noteIds.includes(note.id)) return;
+      const noteElement = /** @type {HTMLElement | null} */ (
+        document.querySelector(`[data-note-id="${note.id}"]`)
+      );
+      if (noteElement) {
+        noteElement.style.order = this.getDisplayOrder(note).toString();
+      }
+    });
+  }
+
+  async loadBoards() {
+    // A board kept in this window or tab group comes in the panel's URL
+    const binding = panelBoardBinding(location.search);
+    if (binding) {
+      this.boardScope = binding.scope;
+      this.boardGroupId = binding.groupId;
+    }
+
+    try {
+      this.boards = await readBoards();
+      this.activeBoardId = noteBoardId(
+        { boardId: binding ? binding.boardId : await readActiveBoardId() },
+        this.boards,
+      );
+    } catch (error) {
+      console.error('Error loading boards:', error);
+    }
+  }
+
+  /**
+   * @param {Array<{id:string,name:string}>} boards
+   * @returns {Promise<boolean>} whether the boards were saved
+   */
+  async saveBoards(boards) {
+    try {
+      await writeBoards(boards);
+      this.boards = normalizeBoards(boards);
+      return true;
+    } catch (error) {
+      console.error('Error saving boards:', error);
+      showToast(`Boards could not be saved: ${error.message}`, {
+        type: 'error',
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Split the notes outside the trash into the active board's and the rest.
+   * @param {Array<object>} notes
+   */
+  setBoardNotes(notes) {
+    this.notes = notes.filter(
+      (note) => noteBoardId(note, this.boards) === this.activeBoardId,
+    );
+    this.otherBoardNotes = notes.filter(
+      (note) => noteBoardId(note, this.boards) !== this.activeBoardId,
+    );
+  }
+
+  boardName(boardId) {
+    const board = this.boards.find((b) => b.id === boardId);
+    return board ? board.name : '';
+  }
+
+  setupBoards() {
+    const select = /** @type {HTMLSelectElement} */ (
+      document.getElementById('board-select')
+    );
+    select.addEventListener('change', () => this.switchBoard(select.value));
+
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('board-dialog')
+    );
+    const moveSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('board-move-select')
+    );
+    dialog.addEventListener('close', () => {
+      const noteId = this.boardNoteId;
+      this.boardNoteId = null;
+      if (dialog.returnValue === 'move' && noteId) {
+        this.moveNoteToBoard(noteId, moveSelect.value);
+      }
+    });
+
+    this.renderBoardSelect();
+  }
+
+  renderBoardSelect() {
+    const select = /** @type {HTMLSelectElement} */ (
+      document.getElementById('board-select')
+    );
+    select.innerHTML = this.boards
+      .map(
+        (board) =>
+          `<option value="${this.escapeHtml(board.id)}">${this.escapeHtml(
+            board.name,
+          )}</option>`,
+      )
+      .join('');
+    select.value = this.activeBoardId;
+
+    // Moving notes only makes sense with somewhere to move them to
+    document
+      .querySelector('.app')
+      ?.classList.toggle('single-board', this.boards.length < 2);
+    const deleteItem = /** @type {HTMLButtonElement | null} */ (
+      document.querySelector('[data-action="delete-board"]')
+    );
+    if (deleteItem) {
+      deleteItem.disabled = this.activeBoardId === DEFAULT_BOARD_ID;
+    }
+  }
+
+  /**
+   * Show another board. Its notes are rendered from scratch; the iframes of
+   * the board being left are released.
+   * @param {string} boardId
+   */
+  switchBoard(boardId) {
+    if (
+      boardId === this.activeBoardId ||
+      !this.boards.some((board) => board.id === boardId)
+    ) {
+      this.renderBoardSelect();
+      return;
+    }
+
+    this.notes.forEach((note) => this.cleanupNoteResources(note.id));
+    const notes = [...this.notes, ...this.otherBoardNotes];
+    this.activeBoardId = boardId;
+    this.setBoardNotes(notes);
+    if (this.boardScope) {
+      // Switching in a bound panel changes what the window or group keeps
+      this.bindBoard(this.boardScope, boardId);
+    } else {
+      writeActiveBoardId(boardId).catch((error) =>
+        console.error('Error saving the active board:', error),
+      );
+    }
+
+    this.renderBoardSelect();
+    this.renderNotes();
+  }
+
+  /**
+   * Keep the active board in this panel's window or tab group, or stop
+   * keeping it there. The background then opens the panel of every tab in
+   * the window or group with that board.
+   * @param {'window'|'group'} scope
+   */
+  async toggleBoardBinding(scope) {
+    if (this.boardScope === scope) {
+      await this.bindBoard(scope, null);
+    } else {
+      await this.bindBoard(scope, this.activeBoardId);
+    }
+  }
+
+  /**
+   * @param {'window'|'group'} scope
+   * @param {string|null} boardId null to unbind
+   */
+  async bindBoard(scope, boardId) {
+    const id =
+      scope === 'window'
+        ? this.windowId
+        : this.boardScope === 'group'
+        ? this.boardGroupId
+        : this.activeTabGroupId;
+    if (id === null || id === -1) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'bind-board',
+        scope,
+        id,
+        boardId,
+      });
+      if (!response || !response.ok) {
+        throw new Error(response ? response.error : 'No response');
+      }
+      if (boardId) {
+        this.boardScope = scope;
+        this.boardGroupId = scope === 'group' ? id : null;
+      } else if (this.boardScope === scope) {
+        this.boardScope = null;
+        this.boardGroupId = null;
+      }
+    } catch (error) {
+      console.error('Error binding board:', error);
+      showToast(`Board could not be kept here: ${error.message}`, {
+        type: 'error',
+      });
+    }
+    this.updateMenuOptions();
+  }
+
+  async createBoard() {
+    const name = normalizeBoardName(
+      window.prompt('Name of the new board:', '') || '',
+    );
+    if (!name) return;
+
+    const board = { id: Date.now().toString(), name };
+    if (await this.saveBoards([...this.boards, board])) {
+      this.switchBoard(board.id);
+    }
+  }
+
+  async renameBoard() {
+    const current = this.boardName(this.activeBoardId);
+    const input = window.prompt('Rename board:', current);
+    if (input === null) return; // User cancelled
+
+    const name = normalizeBoardName(input);
+    if (!name || name === current) return;
+    const boards = this.boards.map((board) =>
+      board.id === this.activeBoardId ? { ...board, name } : board,
+    );
+    if (await this.saveBoards(boards)) {
+      this.renderBoardSelect();
+    }
+  }
+
+  /**
+   * Delete the active board and move its notes to the trash. The default
+   * board can't be deleted.
+   */
+  async deleteBoard() {
+    const boardId = this.activeBoardId;
+    if (boardId === DEFAULT_BOARD_ID) return;
+
+    const count = this.notes.length;
+    const question = `Delete the board "${this.boardName(boardId)}"?${
+      count > 0
+        ? ` Its ${count} note${count === 1 ? '' : 's'} will be moved to the trash.`
+        : ''
+    }`;
+    if (!window.confirm(question)) return;
+
+    if (
+      !(await this.saveBoards(
+        this.boards.filter((board) => board.id !== boardId),
+      ))
+    ) {
+      return;
+    }
+
+    const deletedAt = new Date().toISOString();
+    this.notes.forEach((note) => {
+      this.flushRevision(note.id);
+      this.cleanupNoteResources(note.id);
+      note.deletedAt = deletedAt;
+      note.isEditing = false;
+      this.trashedNotes.push(note);
+    });
+    this.notes = [];
+    this.saveNotes();
+
+    this.switchBoard(DEFAULT_BOARD_ID);
+    this.renderTrash();
+  }
+
+  openBoardDialog(noteId) {
+    if (!this.notes.some((n) => n.id === noteId)) return;
+    this.boardNoteId = noteId;
+
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('board-dialog')
+    );
+    const moveSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('board-move-select')
+    );
+    moveSelect.innerHTML = this.boards
+      .filter((board) => board.id !== this.activeBoardId)
+      .map(
+        (board) =>
+          `<option value="${this.escapeHtml(board.id)}">${this.escapeHtml(
+            board.name,
+          )}</option>`,
+      )
+      .join('');
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  }
+
+  /**
+   * Move a note from the active board to the top of another board.
+   * @param {string} noteId
+   * @param {string} boardId
+   */
+  moveNoteToBoard(noteId, boardId) {
+    const index = this.notes.findIndex((n) => n.id === noteId);
+    if (
+      index === -1 ||
+      boardId === this.activeBoardId ||
+      !this.boards.some((board) => board.id === boardId)
+    ) {
+      return;
+    }
+
+    this.cleanupNoteResources(noteId);
+    const [note] = this.notes.splice(index, 1);
+    note.order = this.getTopOrder(
+      this.otherBoardNotes.filter(
+        (n) => noteBoardId(n, this.boards) === boardId,
+      ),
+    );
+    note.boardId = boardId;
+    note.isEditing = false;
+    this.otherBoardNotes.push(note);
+    this.saveNotes();
+
+    this.removeNoteFromDOM(noteId);
+    if (this.notes.length === 0) {
+      const emptyState = /** @type {HTMLDivElement} */ (
+        document.getElementById('empty-state')
+      );
+      emptyState.style.display = 'block';
+    }
+    this.renderTagBar();
+    this.updateFilterEmptyState();
+
+    showToast(`Note moved to "${this.boardName(boardId)}".`, {
+      actionLabel: 'Show',
+      onAction: () => this.focusNote(noteId),
+    });
+  }
+
+  async loadActiveTab() {
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      if (tab) {
+        this.windowId = tab.windowId;
+        this.activeTabUrl = tab.url || '';
+        this.activeTabGroupId = tab.groupId ?? -1;
+      }
+    } catch (error) {
+      console.error('Error reading the active tab:', error);
+    }
+  }
+
+  setupSiteTracking() {
+    // Only the tab shown next to this panel (panels are per window)
+    chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+      if (windowId !== this.windowId) return;
+      chrome.tabs
+        .get(tabId)
+        .then((tab) => {
+          this.setActiveTabGroup(tab.groupId ?? -1);
+          this.setActiveTabUrl(tab.url || '');
+        })
+        .catch(() => {});
+    });
+
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (!tab.active || tab.windowId !== this.windowId) return;
+      if (changeInfo.url) {
+        this.setActiveTabUrl(changeInfo.url);
+      }
+      if (changeInfo.groupId !== undefined) {
+        this.setActiveTabGroup(changeInfo.groupId);
+      }
+    });
+  }
+
+  setActiveTabGroup(groupId) {
+    this.activeTabGroupId = groupId;
+    this.updateMenuOptions();
+  }
+
+  setActiveTabUrl(url) {
+    if (url === this.activeTabUrl) return;
+    this.activeTabUrl = url;
+    this.applySiteSections();
+  }
+
+  isSiteNote(note) {
+    return siteMatches(note.site, this.activeTabUrl);
+  }
+
+  /**
+   * @param {{pinned?:boolean, site?:object}} note
+   * @returns {'pinned'|'site'|'other'}
+   */
+  sectionOf(note) {
+    if (note.pinned) return 'pinned';
+    return this.isSiteNote(note) ? 'site' : 'other';
+  }
+
+  sameSection(a, b) {
+    return this.sectionOf(a) === this.sectionOf(b);
+  }
+
+  /**
+   * CSS order of a note: its stored order, lifted into the sections above
+   * when it is pinned or attached to the active tab's site.
+   * @param {{order?:number, pinned?:boolean, site?:object}} note
+   * @returns {number}
+   */
+  getDisplayOrder(note) {
+    const band = { pinned: -2, site: -1, other: 0 }[this.sectionOf(note)];
+    return band * SECTION_BAND + (note.order || 0);
+  }
+
+  sortForDisplay(notes) {
+    return [...notes].sort(
+      (a, b) => this.getDisplayOrder(a) - this.getDisplayOrder(b),
+    );
+  }
+
+  /**
+   * Re-split the notes into "for this site" and "other" after the active tab
+   * or a note's site changed. Only classes and CSS order change.
+   */
+  applySiteSections() {
+    this.notes.forEach((note) => {
+      const noteElement = /** @type {HTMLElement | null} */ (
+        document.querySelector(`.sticky-note[data-note-id="${note.id}"]`)
+      );
+      if (noteElement) {
+        noteElement.classList.toggle('site-match', this.isSiteNote(note));
+        noteElement.style.order = this.getDisplayOrder(note).toString();
+      }
+    });
+    this.updateSectionHeaders();
+  }
+
+  /**
+   * Headings shown above each section, only while some note is visible in
+   * the pinned or site section.
+   */
+  updateSectionHeaders() {
+    const container = /** @type {HTMLDivElement} */ (
+      document.getElementById('notes-container')
+    );
+    const sections = [
+      { id: 'pinned', label: 'Pinned', order: -2.5 * SECTION_BAND },
+      { id: 'site', label: 'Notes for this site', order: -1.5 * SECTION_BAND },
+      { id: 'other', label: 'Other notes', order: -0.5 * SECTION_BAND },
+    ];
+    const headers = sections.map(({ id, label, order }) => {
+      let header = /** @type {HTMLElement | null} */ (
+        container.querySelector(`.section-header[data-section="${id}"]`)
+      );
+      if (!header) {
+        header = document.createElement('div');
+        header.className = 'section-header';
+        header.dataset.section = id;
+        header.textContent = label;
+        header.style.order = order.toString();
+        container.appendChild(header);
+      }
+      return header;
+    });
+
+    const visible = Array.from(
+      container.querySelectorAll('.sticky-note:not(.filtered-out)'),
+    );
+    const pinnedCount = visible.filter((el) =>
+      el.classList.contains('pinned'),
+    ).length;
+    const siteCount = visible.filter(
+      (el) =>
+        el.classList.contains('site-match') && !el.classList.contains('pinned'),
+    ).length;
+    const otherCount = visible.length - pinnedCount - siteCount;
+    headers[0].hidden = pinnedCount === 0 || pinnedCount === visible.length;
+    headers[1].hidden = siteCount === 0;
+    headers[2].hidden = otherCount === 0 || otherCount === visible.length;
+  }
+
+  /**
+   * First line of a text note, shown in the header while it is collapsed.
+   * @param {{content?:string}} note
+   * @returns {string}
+   */
+  noteSummary(note) {
+    const firstLine = (note.content || '')
+      .split('\n')
+      .map((line) => line.replace(/^\s*(?:[#>*-]+|\d+\.)\s*/, '').trim())
+      .find((line) => line.length > 0);
+    return firstLine || '';
+  }
+
+  /**
+   * Name of a note in lists such as the trash and the command palette.
+   * @param {object} note
+   * @returns {string}
+   */
+  noteTitle(note) {
+    if (note.url) return this.iframeData[note.id]?.title || note.url;
+    return this.noteSummary(note) || 'Empty note';
+  }
+
+  /**
+   * Collapse a note to its header. A URL note's iframe is only hidden, so it
+   * keeps its page and scroll position.
+   * @param {string} noteId
+   * @param {boolean} collapsed
+   */
+  setNoteCollapsed(noteId, collapsed) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note || Boolean(note.collapsed) === collapsed) return;
+
+    if (collapsed) {
+      note.collapsed = true;
+    } else {
+      delete note.collapsed;
+    }
+    this.saveNotes();
+    this.updateCollapsedDisplay(note);
+  }
+
+  updateCollapsedDisplay(note) {
+    const noteElement = document.querySelector(
+      `.sticky-note[data-note-id="${note.id}"]`,
+    );
+    if (!noteElement) return;
+
+    noteElement.classList.toggle('collapsed', Boolean(note.collapsed));
+    const collapseBtn = noteElement.querySelector('.collapse-btn');
+    if (collapseBtn) {
+      collapseBtn.setAttribute('aria-expanded', String(!note.collapsed));
+      collapseBtn.setAttribute('title', note.collapsed ? 'Expand' : 'Collapse');
+    }
+    const summary = noteElement.querySelector('.note-summary');
+    if (summary) {
+      summary.textContent = this.noteSummary(note);
+    }
+  }
+
+  /**
+   * @param {boolean} collapsed
+   */
+  setAllCollapsed(collapsed) {
+    const changed = this.notes.filter(
+      (note) => Boolean(note.collapsed) !== collapsed,
+    );
+    if (changed.length === 0) return;
+
+    changed.forEach((note) => {
+      if (collapsed) {
+        note.collapsed = true;
+      } else {
+        delete note.collapsed;
+      }
+      this.updateCollapsedDisplay(note);
+    });
+    this.saveNotes();
+  }
+
+  /**
+   * Pinned notes stay above all others, keeping their order among themselves.
+   * @param {string} noteId
+   */
+  toggleNotePinned(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
+
+    if (note.pinned) {
+      delete note.pinned;
+    } else {
+      note.pinned = true;
+    }
+    this.saveNotes();
+
+    const noteElement = document.querySelector(
+      `.sticky-note[data-note-id="${noteId}"]`,
+    );
+    if (noteElement) {
+      noteElement.classList.toggle('pinned', Boolean(note.pinned));
+    }
+    const pinBtn = document.querySelector(`.pin-btn[data-note-id="${noteId}"]`);
+    if (pinBtn) {
+      pinBtn.classList.toggle('active', Boolean(note.pinned));
+      pinBtn.setAttribute('title', note.pinned ? 'Unpin' : 'Pin to top');
+    }
+    this.updateNotesOrder([noteId]);
+    this.updateSectionHeaders();
+  }
+
+  setupSiteDialog() {
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('site-dialog')
+    );
+    const patternInput = /** @type {HTMLInputElement} */ (
+      document.getElementById('site-pattern-input')
+    );
+
+    dialog.addEventListener('change', (e) => {
+      const target = /** @type {HTMLInputElement} */ (e.target);
+      if (target.name !== 'site-mode') return;
+      const note = this.notes.find((n) => n.id === this.siteNoteId);
+      patternInput.disabled = target.value === 'none';
+      if (target.value === 'none') {
+        patternInput.value = '';
+        return;
+      }
+      // Prefer the page next to the panel, else the pattern being edited
+      patternInput.value =
+        sitePatternFor(target.value, this.activeTabUrl) ||
+        sitePatternFor(target.value, note?.site?.pattern || '') ||
+        patternInput.value;
+      patternInput.focus();
+    });
+
+    // Enter would otherwise trigger the first button (Cancel)
+    patternInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        dialog.close('save');
+      }
+    });
+
+    dialog.addEventListener('close', () => {
+      const noteId = this.siteNoteId;
+      this.siteNoteId = null;
+      if (dialog.returnValue !== 'save' || !noteId) return;
+
+      const checked = /** @type {HTMLInputElement | null} */ (
+        dialog.querySelector('input[name="site-mode"]:checked')
+      );
+      this.updateNoteSite(
+        noteId,
+        checked ? checked.value : 'none',
+        patternInput.value.trim(),
+      );
+    });
+  }
+
+  openSiteDialog(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
+    this.siteNoteId = noteId;
+
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('site-dialog')
+    );
+    const patternInput = /** @type {HTMLInputElement} */ (
+      document.getElementById('site-pattern-input')
+    );
+
+    const mode = note.site ? note.site.mode : 'none';
+    dialog
+      .querySelectorAll('input[name="site-mode"]')
+      .forEach((input) => {
+        const radio = /** @type {HTMLInputElement} */ (input);
+        radio.checked = radio.value === mode;
+      });
+    patternInput.value = note.site ? note.site.pattern : '';
+    patternInput.disabled = mode === 'none';
+    patternInput.placeholder =
+      sitePatternFor('prefix', this.activeTabUrl) || 'example.com/docs/';
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  }
+
+  /**
+   * @param {string} noteId
+   * @param {string} mode 'exact' | 'prefix' | 'domain' | 'none'
+   * @param {string} pattern
+   */
+  updateNoteSite(noteId, mode, pattern) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
+
+    if (mode === 'none' || !pattern) {
+      if (!note.site) return;
+      delete note.site;
+    } else {
+      note.site = { mode, pattern };
+    }
+    this.saveNotes();
+
+    const siteBtn = document.querySelector(
+      `.site-btn[data-note-id="${noteId}"]`,
+    );
+    if (siteBtn) {
+      siteBtn.classList.toggle('active', Boolean(note.site));
+      siteBtn.setAttribute('title', this.siteButtonTitle(note));
+    }
+    this.applySiteSections();
+  }
+
+  setupReminderDialog() {
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('reminder-dialog')
+    );
+    const dueInput = /** @type {HTMLInputElement} */ (
+      document.getElementById('reminder-due-input')
+    );
+    const repeatSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('reminder-repeat-select')
+    );
+
+    dialog.addEventListener('close', () => {
+      const noteId = this.reminderNoteId;
+      this.reminderNoteId = null;
+      if (!noteId) return;
+
+      if (dialog.returnValue === 'remove') {
+        this.updateNoteReminder(noteId, undefined);
+      } else if (dialog.returnValue === 'save') {
+        // datetime-local values are parsed as local time
+        const dueAt = new Date(dueInput.value).getTime();
+        if (Number.isFinite(dueAt)) {
+          this.updateNoteReminder(noteId, {
+            dueAt,
+            repeat: repeatSelect.value,
+          });
+        }
+      }
+    });
+  }
+
+  openReminderDialog(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
+    this.reminderNoteId = noteId;
+
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('reminder-dialog')
+    );
+    const dueInput = /** @type {HTMLInputElement} */ (
+      document.getElementById('reminder-due-input')
+    );
+    const repeatSelect = /** @type {HTMLSelectElement} */ (
+      document.getElementById('reminder-repeat-select')
+    );
+    const removeBtn = /** @type {HTMLButtonElement} */ (
+      document.getElementById('reminder-remove-btn')
+    );
+
+    // Default to the next full hour
+    const nextHour = new Date();
+    nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+    dueInput.value = this.toDateTimeLocal(
+      note.reminder ? note.reminder.dueAt : nextHour.getTime(),
+    );
+    repeatSelect.value = note.reminder ? note.reminder.repeat : 'none';
+    removeBtn.hidden = !note.reminder;
+
+    dialog.returnValue = '';
+    dialog.showModal();
+  }
+
+  // Format a timestamp for <input type="datetime-local"> (local time)
+  toDateTimeLocal(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate(),
+    )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * @param {string} noteId
+   * @param {{dueAt:number, repeat:string} | undefined} reminder
+   */
+  updateNoteReminder(noteId, reminder) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
+    if (!reminder && !note.reminder) return;
+
+    // The background schedules the alarm when it sees the stored change
+    this.setNoteReminder(note, reminder);
+    this.saveNotes();
+  }
+
+  /**
+   * Reminder changed by the background (fired or snoozed).
+   * @param {string} noteId
+   * @param {object} reminder
+   */
+  handleReminderUpdate(noteId, reminder) {
+    // Notes on other boards are updated too, or the next save would undo it
+    const note = [...this.notes, ...this.otherBoardNotes].find(
+      (n) => n.id === noteId,
+    );
+    if (note) this.setNoteReminder(note, reminder);
+  }
+
+  setNoteReminder(note, reminder) {
+    if (reminder) {
+      note.reminder = reminder;
+    } else {
+      delete note.reminder;
+    }
+
+    const reminderBtn = document.querySelector(
+      `.reminder-btn[data-note-id="${note.id}"]`,
+    );
+    if (reminderBtn) {
+      reminderBtn.classList.toggle('active', Boolean(note.reminder));
+      reminderBtn.classList.toggle(
+        'due',
+        Boolean(note.reminder && note.reminder.notified),
+      );
+      reminderBtn.setAttribute('title', this.reminderButtonTitle(note));
+    }
+  }
+
+  reminderButtonTitle(note) {
+    return note.reminder ? describeReminder(note.reminder) : 'Set a reminder';
+  }
+
+  /**
+   * Scroll to a note and briefly highlight it (e.g. from a reminder).
+   * @param {string} noteId
+   */
+  focusNote(noteId) {
+    const otherNote = this.otherBoardNotes.find((n) => n.id === noteId);
+    if (otherNote) {
+      this.switchBoard(noteBoardId(otherNote, this.boards));
+    }
+
+    const noteElement = /** @type {HTMLElement | null} */ (
+      document.querySelector(`.sticky-note[data-note-id="${noteId}"]`)
+    );
+    if (!noteElement) return;
+
+    this.closeTrash();
+    noteElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    noteElement.classList.remove('note-flash');
+    // Restart the animation if it is still running
+    void noteElement.offsetWidth;
+    noteElement.classList.add('note-flash');
+    noteElement.addEventListener(
+      'animationend',
+      () => noteElement.classList.remove('note-flash'),
+      { once: true },
+    );
+  }
+
+  siteButtonTitle(note) {
+    return note.site
+      ? `Attached to ${describeSite(note.site)}`
+      : 'Attach to a site';
+  }
+
+  addNoteToDOM(note) {
+    const container = /** @type {HTMLDivElement} */ (
+      document.getElementById('notes-container')
+    );
+    const emptyState = /** @type {HTMLDivElement} */ (
+      document.getElementById('empty-state')
+    );
+
+    // Hide empty state if it was showing
+    if (emptyState.style.display !== 'none') {
+      emptyState.style.display = 'none';
+    }
+
+    // Create new note element
+    const noteElement = document.createElement('div');
+    noteElement.innerHTML = this.renderNote(note);
+    const actualNoteElement = noteElement.firstElementChild;
+
+    // Insert the note into the container
+    if (actualNoteElement) {
+      container.appendChild(actualNoteElement);
+    }
+
+    // Attach event listeners to the new note
+    if (actualNoteElement) {
+      this.attachNoteEventListenersToElement(actualNoteElement);
+
+      // If note has a URL, mount its iframe and update info
+      if (note.url && note.url.length > 0) {
+        this.mountIframeForNote(note);
+        this.updateIframeInfo(note.id);
+      }
+
+      this.applyFilterToNote(note.id);
+      this.updateFilterEmptyState();
+    }
+  }
+
+  removeNoteFromDOM(noteId) {
+    const noteElement = document.querySelector(`[data-note-id="${noteId}"]`);
+    if (noteElement) {
+      noteElement.remove();
+    }
+  }
+
+  toggleNoteEdit(noteId) {
+    const note = this.notes.find((note) => note.id === noteId);
+    if (note) {
+      // Do not toggle edit mode if showing iframe
+      if (note.url && note.url.length > 0) return;
+      note.isEditing = !note.isEditing;
+      const contentElement = document.querySelector(
+        `.note-content[data-note-id="${noteId}"]`,
+      );
+      if (!contentElement) return;
+      if (note.isEditing) {
+        contentElement.innerHTML = this.renderEditor(note);
+        const textarea = /** @type {HTMLTextAreaElement | null} */ (
+          contentElement.querySelector('.note-textarea')
+        );
+        if (textarea) {
+          this.attachTextareaListenersFor(noteId, textarea);
+          // focus after microtask
+          setTimeout(() => textarea.focus(), 0);
+        }
+      } else {
+        contentElement.innerHTML = `<div class="note-preview">${this.renderMarkdown(
+          note.content || '',
+        )}</div>`;
+        this.applyFilterToNote(noteId);
+      }
+    }
+  }
+
+  renderNotes() {
+    const container = /** @type {HTMLDivElement} */ (
+      document.getElementById('notes-container')
+    );
+    const emptyState = /** @type {HTMLDivElement} */ (
+      document.getElementById('empty-state')
+    );
+
+    if (this.notes.length === 0) {
+      container.innerHTML = '';
+      emptyState.style.display = 'block';
+      this.renderTagBar();
+      this.updateFilterEmptyState();
+      return;
+    }
+
+    emptyState.style.display = 'none';
+
+    // Sort notes by order for rendering
+    const sortedNotes = this.sortForDisplay(this.notes);
+    container.innerHTML = sortedNotes
+      .map((note) => this.renderNote(note))
+      .join('');
+
+    // Add event listeners to the rendered notes
+    this.attachNoteEventListeners();
+
+    this.renderTagBar();
+    this.applyFilter();
+  }
+
+  renderNote(note) {
+    const isEditing = note.isEditing;
+    const content = note.content || '';
+    const taskLabel = this.taskProgressLabel(note);
+
+    return `
+      <div class="sticky-note note-theme-${note.color}${
+      this.isSiteNote(note) ? ' site-match' : ''
+    }${note.pinned ? ' pinned' : ''}${
+      note.collapsed ? ' collapsed' : ''
+    }" data-note-id="${note.id}" tabindex="0" style="order: ${this.getDisplayOrder(
+      note,
+    )}">
+        <div class="note-header">
+          <div class="note-controls-left">
+            <button class="drag-handle" data-note-id="${
+              note.id
+            }" draggable="true" title="Drag to reorder (or focus and use arrow keys)" aria-label="Reorder note">${
+              HeroIcons.bars3
+            }</button>
+            <button class="collapse-btn" data-note-id="${
+              note.id
+            }" aria-expanded="${!note.collapsed}" title="${
+              note.collapsed ? 'Expand' : 'Collapse'
+            }">${HeroIcons.chevronRight}</button>
+            <div class="color-picker" data-color="${
+              note.color
+            }" title="Change color"></div>
+          </div>
+          <div class="note-title-area" data-note-id="${note.id}">
+            ${
+              note.url && note.url.length > 0
+                ? `<span class="note-page-title" title="Page title">📄</span>`
+                : `<span class="note-summary">${this.escapeHtml(
+                    this.noteSummary(note),
+                  )}</span>`
+            }
+          </div>
+          <span class="task-progress${
+            this.isTaskListComplete(taskLabel) ? ' complete' : ''
+          }" data-note-id="${note.id}" title="Completed tasks">${taskLabel}</span>
+          ${
+            note.conflictOf
+              ? `<button class="conflict-badge" data-note-id="${note.id}" title="Changed in two places at once; this copy keeps the other text. Click to show the original note.">Conflict copy</button>`
+              : ''
+          }
+          <div class="note-tags" data-note-id="${
+            note.id
+          }">${this.renderTagChips(note)}</div>
+          <div class="note-controls-right">
+            <button class="tag-btn" data-note-id="${
+              note.id
+            }" title="Edit tags">${HeroIcons.tag}</button>
+            <button class="history-btn" data-note-id="${
+              note.id
+            }" title="Revision history">${HeroIcons.clock}</button>
+            <button class="board-btn" data-note-id="${
+              note.id
+            }" title="Move to another board">${HeroIcons.squares2x2}</button>
+            <button class="reminder-btn${
+              note.reminder ? ' active' : ''
+            }${
+              note.reminder && note.reminder.notified ? ' due' : ''
+            }" data-note-id="${note.id}" title="${this.escapeHtml(
+              this.reminderButtonTitle(note),
+            )}">${HeroIcons.bell}</button>
+            <button class="site-btn${
+              note.site ? ' active' : ''
+            }" data-note-id="${note.id}" title="${this.escapeHtml(
+              this.siteButtonTitle(note),
+            )}">${HeroIcons.mapPin}</button>
+            <button class="pin-btn${
+              note.pinned ? ' active' : ''
+            }" data-note-id="${note.id}" title="${
+              note.pinned ? 'Unpin' : 'Pin to top'
+            }">${HeroIcons.star}</button>
+            <button class="move-btn move-up-btn" data-note-id="${
+              note.id
+            }" title="Move up">${HeroIcons.arrowUp}</button>
+            <button class="move-btn move-down-btn" data-note-id="${
+              note.id
+            }" title="Move down">${HeroIcons.arrowDown}</button>
+            <button class="link-btn" data-note-id="${
+              note.id
+            }" title="Set/clear webpage URL">${HeroIcons.link}</button>
+            <button class="delete-btn" data-note-id="${
+              note.id
+            }" title="Delete note">${HeroIcons.trash}</button>
+          </div>
+        </div>
+        <div class="note-content" data-note-id="${note.id}">
+          ${
+            note.url && note.url.length > 0
+              ? this.renderUrlContent(note)
+              : isEditing
+              ? this.renderEditor(note)
+              : `<div class="note-preview">${this.renderMarkdown(
+                  content,
+                )}</div>`
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Navigation toolbar and iframe wrapper of a URL note.
+   * @param {object} note
+   * @returns {string}
+   */
+  renderUrlContent(note) {
+    const lastUrl = this.iframeData[note.id]?.lastUrl;
+    const { canGoBack, canGoForward } = this.frameHistoryState(note.id);
+    const button = (
+      action,
+      icon,
+      title,
+      { hidden = false, disabled = false } = {},
+    ) => {
+      const label = this.escapeHtml(title);
+      return `<button class="url-nav-btn" data-nav="${action}" title="${label}" aria-label="${label}"${
+        hidden ? ' hidden' : ''
+      }${disabled ? ' disabled' : ''}>${icon}</button>`;
+    };
+
+    return `<div class="url-toolbar" data-note-id="${note.id}">${button(
+      'back',
+      HeroIcons.chevronLeft,
+      'Back',
+      { disabled: !canGoBack },
+    )}${button('forward', HeroIcons.chevronRight, 'Forward', {
+      disabled: !canGoForward,
+    })}${button(
+      'reload',
+      HeroIcons.arrowPath,
+      'Reload',
+    )}${button('home', HeroIcons.home, "Go to the note's page")}${button(
+      'open',
+      HeroIcons.arrowTopRightOnSquare,
+      'Open current page in a new tab',
+    )}${button(
+      'set-home',
+      HeroIcons.bookmark,
+      "Make current page the note's page",
+      { hidden: !lastUrl || lastUrl === note.url },
+    )}</div><div class="iframe-wrapper" data-resize-id="${note.id}" style="${
+      typeof note.iframeHeight === 'number'
+        ? `height: ${note.iframeHeight}px;`
+        : ''
+    }"><div class="iframe-container" data-iframe-container="${
+      note.id
+    }"></div></div>`;
+  }
+
+  /**
+   * @param {string} noteId
+   * @param {string} action back | forward | reload | home | open | set-home
+   */
+  handleUrlNavigation(noteId, action) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const iframe = this.iframeMap.get(noteId);
+    if (!note || !note.url) return;
+    const currentUrl = this.iframeData[noteId]?.lastUrl || note.url;
+
+    if (action === 'back' || action === 'forward') {
+      this.stepFrameHistory(noteId, action === 'back' ? -1 : 1);
+    } else if (action === 'reload') {
+      // The frame is cross-origin: ask the content script inside it
+      iframe?.contentWindow?.postMessage(
+        { type: 'sticky-bear-navigate', command: action },
+        '*',
+      );
+    } else if (action === 'home') {
+      if (iframe) this.loadIframeUrl(iframe, note.url);
+    } else if (action === 'open') {
+      chrome.tabs.create({ url: currentUrl });
+    } else if (action === 'set-home') {
+      if (currentUrl === note.url) return;
+      note.url = currentUrl;
+      this.saveNotes();
+      this.updateUrlToolbar(noteId);
+      showToast("This page is now the note's page.");
+    }
+  }
+
+  /**
+   * Load the previous or next page of a note's own frame history.
+   * @param {string} noteId
+   * @param {number} step -1 for back, 1 for forward
+   */
+  async stepFrameHistory(noteId, step) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'step-frame-history',
+        noteId,
+        step,
+      });
+      const iframe = this.iframeMap.get(noteId);
+      if (!response || !response.success || !response.url || !iframe) return;
+      this.iframeData[noteId] = response.data;
+      this.updateUrlToolbar(noteId);
+      this.loadIframeUrl(iframe, response.url);
+    } catch (error) {
+      console.error('Error moving through frame history:', error);
+    }
+  }
+
+  /**
+   * @param {string} noteId
+   * @returns {{canGoBack: boolean, canGoForward: boolean}}
+   */
+  frameHistoryState(noteId) {
+    const data = this.iframeData[noteId];
+    const length = Array.isArray(data?.history) ? data.history.length : 0;
+    const index = Number.isInteger(data?.historyIndex)
+      ? data.historyIndex
+      : length - 1;
+    return { canGoBack: index > 0, canGoForward: index < length - 1 };
+  }
+
+  // Offer "make current page the note's page" only after navigating away, and
+  // Back/Forward only when the note's history has pages that way
+  updateUrlToolbar(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const toolbar = document.querySelector(
+      `.url-toolbar[data-note-id="${noteId}"]`,
+    );
+    if (!note || !toolbar) return;
+    const navButton = (action) =>
+      /** @type {HTMLButtonElement | null} */ (
+        toolbar.querySelector(`[data-nav="${action}"]`)
+      );
+
+    const { canGoBack, canGoForward } = this.frameHistoryState(noteId);
+    const backBtn = navButton('back');
+    const forwardBtn = navButton('forward');
+    if (backBtn) backBtn.disabled = !canGoBack;
+    if (forwardBtn) forwardBtn.disabled = !canGoForward;
+
+    const setHomeBtn = navButton('set-home');
+    if (!setHomeBtn) return;
+    const lastUrl = this.iframeData[noteId]?.lastUrl;
+    setHomeBtn.hidden = !lastUrl || lastUrl === note.url;
+  }
+
+  renderMarkdown(content) {
+    if (!content.trim()) {
+      return '<p style="color: var(--text-secondary); font-style: italic;">Click to edit...</p>';
+    }
+
+    try {
+      // Use the marked library that's loaded globally
+      // @ts-ignore - BundledCode is loaded from external script
+      const html = window.BundledCode?.marked(content);
+      if (!html) return `<p>${this.escapeHtml(content)}</p>`;
+      // marked renders task list checkboxes disabled; make them clickable
+      return sanitizeHtml(
+        html.replace(
+          /<input (checked="" )?disabled="" type="checkbox">/g,
+          '<input $1type="checkbox" class="task-checkbox">',
+        ),
+        { attachmentImage: (img, id) => this.renderAttachmentImage(img, id) },
+      );
+    } catch (error) {
+      console.error('Error rendering markdown:', error);
+      return `<p>${this.escapeHtml(content)}</p>`;
+    }
+  }
+
+  /**
+   * Show an attached image's thumbnail, or load it if it isn't yet.
+   * @param {HTMLImageElement} img rendered from ![name](attachment:<id>)
+   * @param {string} id
+   */
+  renderAttachmentImage(img, id) {
+    const url = loadedThumbnailUrl(id);
+    if (url === undefined) this.showAttachment(id);
+    img.classList.add('note-attachment');
+    if (url === null) img.classList.add('missing');
+    img.dataset.attachment = id;
+    if (url) img.setAttribute('src', url);
+  }
+
+  /**
+   * Load an attachment's thumbnail into the images showing it.
+   * @param {string} id
+   */
+  async showAttachment(id) {
+    let url = null;
+    try {
+      url = await loadAttachmentUrl(id);
+    } catch (error) {
+      console.error('Error loading image:', error);
+    }
+    document
+      .querySelectorAll(`img[data-attachment="${id}"]`)
+      .forEach((img) => {
+        if (url) {
+          img.setAttribute('src', url);
+        } else {
+          img.classList.add('missing');
+        }
+      });
+  }
+
+  /**
+   * Open an attached image in full size in a new tab.
+   * @param {string} id
+   */
+  async openAttachment(id) {
+    try {
+      const url = await loadAttachmentUrl(id, 'blob');
+      if (url) {
+        chrome.tabs.create({ url });
+      } else {
+        showToast('This image is stored on another device.');
+      }
+    } catch (error) {
+      console.error('Error opening image:', error);
+    }
+  }
+
+  /**
+   * Store images and add them to a note: at the caret while it is edited,
+   * else at its end.
+   * @param {string} noteId
+   * @param {File[]} files
+   */
+  async attachImages(noteId, files) {
+    const references = [];
+    for (const file of files) {
+      try {
+        const id = await saveAttachment(file);
+        references.push(attachmentMarkdown(id, file.name));
+      } catch (error) {
+        console.error('Error saving image:', error);
+        showToast(`Image could not be attached: ${error.message}`, {
+          type: 'error',
+        });
+      }
+    }
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note || references.length === 0) return;
+    const markdown = references.join('\n');
+
+    const textarea = /** @type {HTMLTextAreaElement | null} */ (
+      document.querySelector(`.note-textarea[data-note-id="${noteId}"]`)
+    );
+    if (note.isEditing && textarea) {
+      const caret = textarea.selectionStart + markdown.length;
+      applyEdit(textarea, {
+        from: textarea.selectionStart,
+        to: textarea.selectionEnd,
+        text: markdown,
+        start: caret,
+        end: caret,
+      });
+      return;
+    }
+
+    const content = note.content || '';
+    const separator = !content || content.endsWith('\n') ? '' : '\n\n';
+    this.updateNoteContent(noteId, `${content}${separator}${markdown}`);
+    this.refreshNoteContent(noteId);
+  }
+
+  /**
+   * Delete the images that no note, trashed note or past revision refers to
+   * anymore.
+   */
+  async cleanupAttachments() {
+    try {
+      const notes = [
+        ...this.notes,
+        ...this.otherBoardNotes,
+        ...this.trashedNotes,
+      ];
+      const histories = await Promise.all(
+        notes.map((note) => readNoteHistory(note.id)),
+      );
+      await deleteOrphanedAttachments([
+        ...notes.map((note) => note.content || ''),
+        ...histories.flat().map((revision) => revision.content || ''),
+      ]);
+    } catch (error) {
+      console.error('Error cleaning up images:', error);
+    }
+  }
+
+  // Safe for both element content and quoted attribute values
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  attachNoteEventListeners() {
+    const container = /** @type {HTMLDivElement} */ (
+      document.getElementById('notes-container')
+    );
 
-    return `
-      <div class="sticky-note note-theme-${note.color}" data-note-id="${
-      note.id
-    }" style="order: ${note.order || 0}">
-        <div class="note-header">
-          <div class="note-controls-left">
-            <div class="color-picker" data-color="${
-              note.color
-            }" title="Change color"></div>
-          </div>
-          <div class="note-title-area" data-note-id="${note.id}">
-            ${
-              note.url && note.url.length > 0
-                ? `<span class="note-page-title" title="Page title">📄</span>`
-                : ''
-            }
-          </div>
-          <div class="note-controls-right">
-            <button class="move-btn move-up-btn" data-note-id="${
-              note.id
-            }" title="Move up">${HeroIcons.arrowUp}</button>
-            <button class="move-btn move-down-btn" data-note-id="${
-              note.id
-            }" title="Move down">${HeroIcons.arrowDown}</button>
-            <button class="link-btn" data-note-id="${
-              note.id
-            }" title="Set/clear webpage URL">${HeroIcons.link}</button>
-            <button class="delete-btn" data-note-id="${
-              note.id
-            }" title="Delete note">${HeroIcons.trash}</button>
-          </div>
-        </div>
-        <div class="note-content" data-note-id="${note.id}">
-          ${
-            note.url && note.url.length > 0
-              ? `<div class="iframe-wrapper" data-resize-id="${
-                  note.id
-                }" style="${
-                  typeof note.iframeHeight === 'number'
-                    ? `height: ${note.iframeHeight}px;`
-                    : ''
-                }"><div class="iframe-container" data-iframe-container="${
-                  note.id
-                }"></div></div>`
-              : isEditing
-              ? `<textarea class="note-textarea" placeholder="Write your note here... (supports Markdown)" data-note-id="${note.id}">${content}</textarea>`
-              : `<div class="note-preview">${this.renderMarkdown(
-                  content,
-                )}</div>`
+    // Attach listeners to all note elements
+    document.querySelectorAll('.sticky-note').forEach((noteElement) => {
+      this.attachNoteEventListenersToElement(noteElement);
+    });
+
+    // After wiring events, (re)mount iframes for notes with URLs
+    this.notes.forEach((note) => {
+      if (note.url && note.url.length > 0) {
+        this.mountIframeForNote(note);
+        this.updateIframeInfo(note.id);
+      }
+    });
+  }
+
+  attachNoteEventListenersToElement(noteElement) {
+    const noteId = noteElement.dataset.noteId;
+    this.attachNoteHeaderListeners(noteElement);
+
+    // Note content area (for toggling edit mode)
+    const contentElement = noteElement.querySelector('.note-content');
+    if (contentElement) {
+      contentElement.addEventListener('click', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        const navButton = /** @type {HTMLElement | null} */ (
+          target.closest('[data-nav]')
+        );
+        if (navButton) {
+          this.handleUrlNavigation(noteId, navButton.dataset.nav || '');
+          return;
+        }
+
+        const note = this.notes.find((n) => n.id === noteId);
+        if (note && note.url && note.url.length > 0) {
+          // If showing webpage, do not toggle edit on click inside content
+          return;
+        }
+
+        // Don't trigger edit mode if clicking on textarea
+        if (target && target.classList.contains('note-textarea')) {
+          return;
+        }
+
+        // The toolbar and live preview around the textarea
+        if (target.closest('.note-editor')) {
+          // Tasks are checked in the text while editing
+          if (target.classList.contains('task-checkbox')) e.preventDefault();
+          return;
+        }
+
+        // Task checkboxes update the markdown source instead
+        if (target && target.classList.contains('task-checkbox')) {
+          const checkboxes = Array.from(
+            contentElement.querySelectorAll('.task-checkbox'),
+          );
+          this.toggleTask(
+            noteId,
+            checkboxes.indexOf(target),
+            /** @type {HTMLInputElement} */ (target).checked,
+          );
+          return;
+        }
+
+        // Attached images open in full size
+        const attachment = /** @type {HTMLElement | null} */ (
+          target.closest('img[data-attachment]')
+        );
+        if (attachment) {
+          this.openAttachment(attachment.dataset.attachment || '');
+          return;
+        }
+
+        // Check if we clicked on the preview area, any child of it, or the content area itself
+        if (
+          target &&
+          (target.classList.contains('note-preview') ||
+            target.closest('.note-preview') ||
+            target === contentElement)
+        ) {
+          this.toggleNoteEdit(noteId);
+        }
+      });
+    }
+
+    // Textarea (if exists)
+    const textarea = noteElement.querySelector('.note-textarea');
+    if (textarea) {
+      const textareaElement = /** @type {HTMLTextAreaElement} */ (textarea);
+      this.attachTextareaListenersFor(noteId, textareaElement);
+    }
+  }
+
+  /**
+   * Listeners of the header buttons, also used when a header is re-rendered.
+   * @param {HTMLElement} noteElement
+   */
+  attachNoteHeaderListeners(noteElement) {
+    const noteId = noteElement.dataset.noteId;
+
+    // Delete button
+    const deleteBtn = noteElement.querySelector('.delete-btn');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.deleteNote(noteId);
+      });
+    }
+
+    // Color picker
+    const colorPicker = noteElement.querySelector('.color-picker');
+    if (colorPicker) {
+      colorPicker.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showColorPicker(colorPicker);
+      });
+    }
+
+    // Tag button and tag chips
+    const tagBtn = noteElement.querySelector('.tag-btn');
+    if (tagBtn) {
+      tagBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.editManualTags(noteId);
+      });
+    }
+
+    // History button
+    const historyBtn = noteElement.querySelector('.history-btn');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openHistory(noteId);
+      });
+    }
+
+    const collapseBtn = noteElement.querySelector('.collapse-btn');
+    if (collapseBtn) {
+      collapseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const note = this.notes.find((n) => n.id === noteId);
+        if (note) this.setNoteCollapsed(noteId, !note.collapsed);
+      });
+    }
+
+    const pinBtn = noteElement.querySelector('.pin-btn');
+    if (pinBtn) {
+      pinBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleNotePinned(noteId);
+      });
+    }
+
+    const boardBtn = noteElement.querySelector('.board-btn');
+    if (boardBtn) {
+      boardBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openBoardDialog(noteId);
+      });
+    }
+
+    const siteBtn = noteElement.querySelector('.site-btn');
+    if (siteBtn) {
+      siteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openSiteDialog(noteId);
+      });
+    }
+
+    const reminderBtn = noteElement.querySelector('.reminder-btn');
+    if (reminderBtn) {
+      reminderBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openReminderDialog(noteId);
+      });
+    }
+
+    const tagsElement = noteElement.querySelector('.note-tags');
+    if (tagsElement) {
+      tagsElement.addEventListener('click', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        const chip = /** @type {HTMLElement | null} */ (
+          target.closest('[data-tag]')
+        );
+        if (chip && chip.dataset.tag) {
+          e.stopPropagation();
+          this.toggleTagFilter(chip.dataset.tag);
+        }
+      });
+    }
+
+    // Drag handle: arrow keys are the keyboard equivalent of dragging
+    const dragHandle = noteElement.querySelector('.drag-handle');
+    if (dragHandle) {
+      dragHandle.addEventListener('click', (e) => e.stopPropagation());
+      dragHandle.addEventListener('keydown', (e) => {
+        const keyboardEvent = /** @type {KeyboardEvent} */ (e);
+        const moves = {
+          ArrowUp: () => this.moveNoteUp(noteId),
+          ArrowDown: () => this.moveNoteDown(noteId),
+          Home: () => this.moveNoteToIndex(noteId, 0),
+          End: () => this.moveNoteToIndex(noteId, this.notes.length),
+        };
+        const move = moves[keyboardEvent.key];
+        if (!move) return;
+        keyboardEvent.preventDefault();
+        move();
+        noteElement.scrollIntoView({ block: 'nearest' });
+      });
+    }
+
+    // Move buttons
+    const moveUpBtn = noteElement.querySelector('.move-up-btn');
+    if (moveUpBtn) {
+      moveUpBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.moveNoteUp(noteId);
+      });
+    }
+
+    const moveDownBtn = noteElement.querySelector('.move-down-btn');
+    if (moveDownBtn) {
+      moveDownBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.moveNoteDown(noteId);
+      });
+    }
+
+    // Link button
+    const linkBtn = noteElement.querySelector('.link-btn');
+    if (linkBtn) {
+      linkBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.editNoteUrl(noteId);
+      });
+    }
+
+    const conflictBadge = noteElement.querySelector('.conflict-badge');
+    if (conflictBadge) {
+      conflictBadge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const note = this.notes.find((n) => n.id === noteId);
+        if (note && note.conflictOf) this.focusNote(note.conflictOf);
+      });
+    }
+  }
+
+  /**
+   * Prompt for the webpage shown in a note; a blank URL turns it back into a
+   * text note.
+   * @param {string} noteId
+   */
+  editNoteUrl(noteId) {
+    const note = this.notes.find((n) => n.id === noteId);
+    const noteElement = document.querySelector(
+      `.sticky-note[data-note-id="${noteId}"]`,
+    );
+    if (!note || !noteElement) return;
+
+    const current = note.url || '';
+    const input = this.askForUrl(
+      'Enter webpage URL (leave blank to clear):',
+      current,
+    );
+    if (input === null) return; // cancelled
+    if (input === '') {
+      note.url = '';
+      note.iframeHeight = undefined;
+      const obs = this.iframeResizeObservers.get(note.id);
+      if (obs) {
+        try {
+          obs.disconnect();
+        } catch (_e) {}
+        this.iframeResizeObservers.delete(note.id);
+      }
+      const timer = this.iframeResizeTimers.get(note.id);
+      if (typeof timer === 'number') {
+        clearTimeout(timer);
+        this.iframeResizeTimers.delete(note.id);
+      }
+      // Update content display to show text editing instead of iframe
+      const contentElement = noteElement.querySelector('.note-content');
+      if (contentElement) {
+        contentElement.innerHTML = note.isEditing
+          ? this.renderEditor(note)
+          : `<div class="note-preview">${this.renderMarkdown(
+              note.content || '',
+            )}</div>`;
+
+        // Re-attach listeners for new textarea if in editing mode
+        if (note.isEditing) {
+          const textarea = contentElement.querySelector('.note-textarea');
+          if (textarea) {
+            this.attachTextareaListenersFor(note.id, textarea);
           }
-        </div>
-      </div>
-    `;
+        }
+      }
+      this.saveNotes();
+
+      // Update the header to hide title area for non-URL notes
+      const headerElement = noteElement.querySelector('.note-header');
+      const titleArea = headerElement?.querySelector('.note-title-area');
+      if (titleArea) {
+        titleArea.innerHTML = `<span class="note-summary">${this.escapeHtml(
+          this.noteSummary(note),
+        )}</span>`;
+      }
+      this.applyFilterToNote(note.id);
+      this.updateFilterEmptyState();
+      return;
+    }
+    try {
+      const u = new URL(input);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        alert('Only http/https URLs are supported.');
+        return;
+      }
+    } catch (_e) {
+      alert('Please enter a valid URL.');
+      return;
+    }
+    note.url = input;
+    note.isEditing = false;
+    // Set default iframe height if not already set
+    if (typeof note.iframeHeight !== 'number') {
+      note.iframeHeight = 300; // Default height for new iframe notes
+    }
+    this.saveNotes();
+
+    // Update content display to show iframe instead of text
+    const contentElement = noteElement.querySelector('.note-content');
+    if (contentElement) {
+      contentElement.innerHTML = this.renderUrlContent(note);
+
+      // Mount the iframe and update info
+      this.mountIframeForNote(note);
+      this.updateIframeInfo(note.id);
+    }
+
+    // Update the header to show title area for URL notes
+    const headerElement = noteElement.querySelector('.note-header');
+    const titleArea = headerElement?.querySelector('.note-title-area');
+    if (titleArea) {
+      titleArea.innerHTML = `<span class="note-page-title" title="Page title">📄</span>`;
+    }
+    this.applyFilterToNote(note.id);
+    this.updateFilterEmptyState();
+  }
+
+  /**
+   * Keys that work while no text field has focus: j/k move between notes,
+   * single keys act on the focused note, Ctrl+K opens the command palette.
+   */
+  setupKeyboardNavigation() {
+    document.addEventListener('keydown', (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+
+      if (
+        (e.ctrlKey || e.metaKey) &&
+        !e.altKey &&
+        e.key.toLowerCase() === 'k'
+      ) {
+        e.preventDefault();
+        this.openCommandPalette();
+        return;
+      }
+
+      const target = /** @type {HTMLElement} */ (e.target);
+      const trashView = document.getElementById('trash-view');
+      if (
+        e.ctrlKey ||
+        e.metaKey ||
+        e.altKey ||
+        target.closest('input, textarea, select, dialog, [contenteditable]') ||
+        (trashView && !trashView.hidden)
+      ) {
+        return;
+      }
+
+      const noteElement = /** @type {HTMLElement | null} */ (
+        target.closest('.sticky-note')
+      );
+      if (noteElement) {
+        const action = NOTE_KEYS[e.key];
+        if (!action) return;
+        if (NOTE_CARD_ACTIONS.has(action) && target !== noteElement) return;
+        e.preventDefault();
+        this.handleNoteKey(noteElement.dataset.noteId || '', action);
+        return;
+      }
+
+      if (e.key === 'j' || e.key === 'k') {
+        e.preventDefault();
+        this.moveNoteFocus(e.key === 'j' ? 1 : -1);
+      } else if (e.key === 'n') {
+        e.preventDefault();
+        this.addNote();
+      } else if (e.key === '/') {
+        e.preventDefault();
+        document.getElementById('search-input')?.focus();
+      }
+    });
   }
 
-  renderMarkdown(content) {
-    if (!content.trim()) {
-      return '<p style="color: var(--text-secondary); font-style: italic;">Click to edit...</p>';
-    }
+  /**
+   * @param {string} noteId the focused note
+   * @param {string} action one of the NOTE_KEYS values
+   */
+  handleNoteKey(noteId, action) {
+    const note = this.notes.find((n) => n.id === noteId);
+    if (!note) return;
 
-    try {
-      // Use the marked library that's loaded globally
-      return (
-        // @ts-ignore - BundledCode is loaded from external script
-        window.BundledCode?.marked(content) ||
-        `<p>${this.escapeHtml(content)}</p>`
+    if (action === 'next' || action === 'previous') {
+      this.moveNoteFocus(action === 'next' ? 1 : -1);
+    } else if (action === 'edit') {
+      if (!note.url) this.toggleNoteEdit(noteId);
+    } else if (action === 'color') {
+      const index = this.colors.indexOf(note.color);
+      this.updateNoteColor(
+        noteId,
+        this.colors[(index + 1) % this.colors.length],
       );
-    } catch (error) {
-      console.error('Error rendering markdown:', error);
-      return `<p>${this.escapeHtml(content)}</p>`;
+    } else if (action === 'move-up' || action === 'move-down') {
+      if (action === 'move-up') {
+        this.moveNoteUp(noteId);
+      } else {
+        this.moveNoteDown(noteId);
+      }
+      document
+        .querySelector(`.sticky-note[data-note-id="${noteId}"]`)
+        ?.scrollIntoView({ block: 'nearest' });
+    } else if (action === 'link') {
+      this.editNoteUrl(noteId);
+    } else if (action === 'delete') {
+      // Focus stays in the list: on the next note, or the previous at the end
+      const elements = this.visibleNoteElements();
+      const index = elements.findIndex((el) => el.dataset.noteId === noteId);
+      const neighbour = elements[index + 1] || elements[index - 1];
+      this.deleteNote(noteId);
+      if (neighbour) this.focusNoteCard(neighbour.dataset.noteId || '');
     }
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  /**
+   * @returns {HTMLElement[]} the cards of the notes shown, in display order
+   */
+  visibleNoteElements() {
+    return this.sortForDisplay(this.notes)
+      .map(
+        (note) =>
+          /** @type {HTMLElement | null} */ (
+            document.querySelector(`.sticky-note[data-note-id="${note.id}"]`)
+          ),
+      )
+      .filter(
+        (el) => el !== null && !el.classList.contains('filtered-out'),
+      );
   }
 
-  attachNoteEventListeners() {
-    const container = /** @type {HTMLDivElement} */ (
-      document.getElementById('notes-container')
+  /**
+   * Focus the next (1) or previous (-1) note card, or the first or last one
+   * when no note has focus.
+   * @param {number} step
+   */
+  moveNoteFocus(step) {
+    const elements = this.visibleNoteElements();
+    if (elements.length === 0) return;
+
+    const current = document.activeElement?.closest('.sticky-note');
+    const index = elements.findIndex((el) => el === current);
+    const next =
+      index === -1
+        ? elements[step > 0 ? 0 : elements.length - 1]
+        : elements[Math.min(Math.max(index + step, 0), elements.length - 1)];
+    this.focusNoteCard(next.dataset.noteId || '');
+  }
+
+  /**
+   * @param {string} noteId
+   */
+  focusNoteCard(noteId) {
+    const noteElement = /** @type {HTMLElement | null} */ (
+      document.querySelector(`.sticky-note[data-note-id="${noteId}"]`)
     );
+    if (!noteElement) return;
+    noteElement.focus({ preventScroll: true });
+    noteElement.scrollIntoView({ block: 'nearest' });
+  }
 
-    // Attach listeners to all note elements
-    document.querySelectorAll('.sticky-note').forEach((noteElement) => {
-      this.attachNoteEventListenersToElement(noteElement);
-    });
+  setupCommandPalette() {
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('command-palette')
+    );
+    const input = /** @type {HTMLInputElement} */ (
+      document.getElementById('command-palette-input')
+    );
+    const list = /** @type {HTMLElement} */ (
+      document.getElementById('command-palette-list')
+    );
 
-    // After wiring events, (re)mount iframes for notes with URLs
-    this.notes.forEach((note) => {
-      if (note.url && note.url.length > 0) {
-        this.mountIframeForNote(note);
-        this.updateIframeInfo(note.id);
+    const run = (index) => {
+      const command = this.paletteCommands[index];
+      dialog.close();
+      if (command) command.run();
+    };
+
+    input.addEventListener('input', () => this.renderCommandPalette());
+    input.addEventListener('keydown', (e) => {
+      const items = Array.from(list.querySelectorAll('[data-command]'));
+      const selected = items.findIndex((item) =>
+        item.classList.contains('selected'),
+      );
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (items.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.selectPaletteItem(
+          (selected + step + items.length) % items.length,
+        );
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const item = /** @type {HTMLElement | undefined} */ (items[selected]);
+        if (item) run(Number(item.dataset.command));
       }
     });
+
+    list.addEventListener('click', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const item = /** @type {HTMLElement | null} */ (
+        target.closest('[data-command]')
+      );
+      if (item) run(Number(item.dataset.command));
+    });
+
+    dialog.addEventListener('close', () => {
+      this.paletteNoteId = null;
+      this.paletteCommands = [];
+    });
   }
 
-  attachNoteEventListenersToElement(noteElement) {
-    const noteId = noteElement.dataset.noteId;
+  openCommandPalette() {
+    const dialog = /** @type {HTMLDialogElement} */ (
+      document.getElementById('command-palette')
+    );
+    const input = /** @type {HTMLInputElement} */ (
+      document.getElementById('command-palette-input')
+    );
+    if (dialog.open) return;
 
-    // Delete button
-    const deleteBtn = noteElement.querySelector('.delete-btn');
-    if (deleteBtn) {
-      deleteBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.deleteNote(noteId);
+    // Note actions apply to the note that had focus
+    const focused = /** @type {HTMLElement | null} */ (
+      document.activeElement?.closest('.sticky-note') || null
+    );
+    this.paletteNoteId = focused ? focused.dataset.noteId || null : null;
+    this.paletteCommands = this.buildPaletteCommands();
+
+    input.value = '';
+    this.renderCommandPalette();
+    dialog.showModal();
+    input.focus();
+  }
+
+  /**
+   * Everything the palette offers: actions on the focused note, panel
+   * actions (including the toolbar menu's), boards and notes.
+   * @returns {Array<{label:string, hint?:string, run:() => void}>}
+   */
+  buildPaletteCommands() {
+    const commands = [];
+    const note = this.notes.find((n) => n.id === this.paletteNoteId);
+    if (note) {
+      const noteId = note.id;
+      const andRefocus = (action) => () => {
+        action();
+        this.focusNoteCard(noteId);
+      };
+      if (!note.url) {
+        commands.push({
+          label: 'Edit note',
+          hint: 'Enter',
+          run: () => this.toggleNoteEdit(noteId),
+        });
+      }
+      commands.push(
+        {
+          label: 'Change color',
+          hint: 'C',
+          run: andRefocus(() => this.handleNoteKey(noteId, 'color')),
+        },
+        {
+          label: 'Move note up',
+          hint: 'Shift+K',
+          run: andRefocus(() => this.handleNoteKey(noteId, 'move-up')),
+        },
+        {
+          label: 'Move note down',
+          hint: 'Shift+J',
+          run: andRefocus(() => this.handleNoteKey(noteId, 'move-down')),
+        },
+        {
+          label: note.url ? 'Change or clear URL' : 'Show a webpage',
+          hint: 'L',
+          run: andRefocus(() => this.editNoteUrl(noteId)),
+        },
+        {
+          label: note.pinned ? 'Unpin note' : 'Pin note to top',
+          run: andRefocus(() => this.toggleNotePinned(noteId)),
+        },
+        {
+          label: note.collapsed ? 'Expand note' : 'Collapse note',
+          run: andRefocus(() => this.setNoteCollapsed(noteId, !note.collapsed)),
+        },
+        { label: 'Edit tags', run: andRefocus(() => this.editManualTags(noteId)) },
+        { label: 'Set a reminder', run: () => this.openReminderDialog(noteId) },
+        { label: 'Attach to a site', run: () => this.openSiteDialog(noteId) },
+        { label: 'Revision history', run: () => this.openHistory(noteId) },
+      );
+      if (this.boards.length > 1) {
+        commands.push({
+          label: 'Move to another board',
+          run: () => this.openBoardDialog(noteId),
+        });
+      }
+      commands.push({
+        label: 'Delete note',
+        hint: 'X',
+        run: () => this.handleNoteKey(noteId, 'delete'),
       });
     }
 
-    // Color picker
-    const colorPicker = noteElement.querySelector('.color-picker');
-    if (colorPicker) {
-      colorPicker.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.showColorPicker(colorPicker);
+    commands.push(
+      { label: 'New note', hint: 'N', run: () => this.addNote() },
+      { label: 'New note with URL', run: () => this.addNoteWithUrl() },
+      {
+        label: 'Search notes',
+        hint: '/',
+        run: () => document.getElementById('search-input')?.focus(),
+      },
+    );
+
+    // The toolbar menu's actions, as currently available
+    document
+      .querySelectorAll('#app-menu [data-action]')
+      .forEach((element) => {
+        const item = /** @type {HTMLButtonElement} */ (element);
+        if (item.disabled || item.hidden) return;
+        const checked = item.getAttribute('aria-checked');
+        commands.push({
+          label: (item.textContent || '').replace(/…$/, '').trim(),
+          hint: checked === null ? '' : checked === 'true' ? 'On' : 'Off',
+          run: () => this.handleMenuAction(item.dataset.action || ''),
+        });
       });
-    }
 
-    // Move buttons
-    const moveUpBtn = noteElement.querySelector('.move-up-btn');
-    if (moveUpBtn) {
-      moveUpBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.moveNoteUp(noteId);
+    this.boards
+      .filter((board) => board.id !== this.activeBoardId)
+      .forEach((board) => {
+        commands.push({
+          label: `Switch to board "${board.name}"`,
+          run: () => this.switchBoard(board.id),
+        });
       });
-    }
 
-    const moveDownBtn = noteElement.querySelector('.move-down-btn');
-    if (moveDownBtn) {
-      moveDownBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.moveNoteDown(noteId);
+    [...this.sortForDisplay(this.notes), ...sortByOrder(this.otherBoardNotes)]
+      .forEach((n) => {
+        commands.push({
+          label: this.noteTitle(n),
+          hint:
+            noteBoardId(n, this.boards) === this.activeBoardId
+              ? 'Note'
+              : this.boardName(noteBoardId(n, this.boards)),
+          run: () => {
+            this.focusNote(n.id);
+            this.focusNoteCard(n.id);
+          },
+        });
       });
+
+    return commands;
+  }
+
+  renderCommandPalette() {
+    const input = /** @type {HTMLInputElement} */ (
+      document.getElementById('command-palette-input')
+    );
+    const list = /** @type {HTMLElement} */ (
+      document.getElementById('command-palette-list')
+    );
+
+    const terms = parseQuery(input.value);
+    const items = this.paletteCommands
+      .map((command, index) => ({ command, index }))
+      .filter(({ command }) =>
+        terms.every((term) => command.label.toLowerCase().includes(term)),
+      );
+
+    list.innerHTML =
+      items.length > 0
+        ? items
+            .map(
+              ({ command, index }) =>
+                `<li class="command-item" role="option" id="command-${index}" data-command="${index}">
+                  <span class="command-label">${this.escapeHtml(
+                    command.label,
+                  )}</span>${
+                  command.hint
+                    ? `<kbd class="command-hint">${this.escapeHtml(
+                        command.hint,
+                      )}</kbd>`
+                    : ''
+                }</li>`,
+            )
+            .join('')
+        : '<li class="command-empty">Nothing found</li>';
+    this.selectPaletteItem(0);
+  }
+
+  /**
+   * @param {number} position index among the items shown
+   */
+  selectPaletteItem(position) {
+    const input = /** @type {HTMLInputElement} */ (
+      document.getElementById('command-palette-input')
+    );
+    const items = Array.from(
+      document.querySelectorAll('#command-palette-list [data-command]'),
+    );
+    items.forEach((item, index) => {
+      item.classList.toggle('selected', index === position);
+      item.setAttribute('aria-selected', String(index === position));
+    });
+    const selected = items[position];
+    if (selected) {
+      input.setAttribute('aria-activedescendant', selected.id);
+      selected.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
     }
+  }
 
-    // Link button
-    const linkBtn = noteElement.querySelector('.link-btn');
-    if (linkBtn) {
-      linkBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const note = this.notes.find((n) => n.id === noteId);
-        if (!note) return;
-        const current = note.url || '';
-        const input = this.askForUrl(
-          'Enter webpage URL (leave blank to clear):',
-          current,
-        );
-        if (input === null) return; // cancelled
-        if (input === '') {
-          note.url = '';
-          note.iframeHeight = undefined;
-          const obs = this.iframeResizeObservers.get(note.id);
-          if (obs) {
-            try {
-              obs.disconnect();
-            } catch (_e) {}
-            this.iframeResizeObservers.delete(note.id);
-          }
-          const timer = this.iframeResizeTimers.get(note.id);
-          if (typeof timer === 'number') {
-            clearTimeout(timer);
-            this.iframeResizeTimers.delete(note.id);
-          }
-          // Update content display to show text editing instead of iframe
-          const contentElement = noteElement.querySelector('.note-content');
-          if (contentElement) {
-            contentElement.innerHTML = note.isEditing
-              ? `<textarea class="note-textarea" placeholder="Write your note here... (supports Markdown)" data-note-id="${
-                  note.id
-                }">${note.content || ''}</textarea>`
-              : `<div class="note-preview">${this.renderMarkdown(
-                  note.content || '',
-                )}</div>`;
-
-            // Re-attach listeners for new textarea if in editing mode
-            if (note.isEditing) {
-              const textarea = contentElement.querySelector('.note-textarea');
-              if (textarea) {
-                this.attachTextareaListenersFor(note.id, textarea);
-              }
-            }
-          }
-          this.saveNotes();
+  /**
+   * Textarea of a note in edit mode, with the formatting toolbar and the live
+   * preview when they are turned on.
+   * @param {object} note
+   * @returns {string}
+   */
+  renderEditor(note) {
+    const content = note.content || '';
+    return `<div class="note-editor">${this.renderFormatToolbar()}<textarea class="note-textarea" placeholder="${this.escapeHtml(
+      EDITOR_PLACEHOLDER,
+    )}" data-note-id="${note.id}">${this.escapeHtml(content)}</textarea>${
+      this.settings.livePreview
+        ? `<div class="note-preview live-preview">${this.renderMarkdown(
+            content,
+          )}</div>`
+        : ''
+    }</div>`;
+  }
 
-          // Update the header to hide title area for non-URL notes
-          const headerElement = noteElement.querySelector('.note-header');
-          const titleArea = headerElement?.querySelector('.note-title-area');
-          if (titleArea) {
-            titleArea.innerHTML = '';
-          }
-          return;
-        }
-        try {
-          const u = new URL(input);
-          if (u.protocol !== 'http:' && u.protocol !== 'https:') {
-            alert('Only http/https URLs are supported.');
-            return;
-          }
-        } catch (_e) {
-          alert('Please enter a valid URL.');
-          return;
-        }
-        note.url = input;
-        note.isEditing = false;
-        // Set default iframe height if not already set
-        if (typeof note.iframeHeight !== 'number') {
-          note.iframeHeight = 300; // Default height for new iframe notes
-        }
-        this.saveNotes();
+  /**
+   * @returns {string} the formatting toolbar, or nothing when it's turned off
+   */
+  renderFormatToolbar() {
+    if (!this.settings.formattingToolbar) return '';
+    return `<div class="format-toolbar" role="toolbar" aria-label="Formatting">${FORMAT_BUTTONS.map(
+      ({ format, label, title }) =>
+        `<button type="button" class="format-btn" data-format="${format}" title="${title}" aria-label="${title}">${label}</button>`,
+    ).join(
+      '',
+    )}<button type="button" class="format-btn preview-toggle" data-format="preview" title="Live preview" aria-label="Live preview" aria-pressed="${
+      this.settings.livePreview
+    }">${HeroIcons.eye}</button></div>`;
+  }
 
-        // Update content display to show iframe instead of text
-        const contentElement = noteElement.querySelector('.note-content');
-        if (contentElement) {
-          contentElement.innerHTML = `<div class="iframe-wrapper" data-resize-id="${
-            note.id
-          }" style="${
-            typeof note.iframeHeight === 'number'
-              ? `height: ${note.iframeHeight}px;`
-              : ''
-          }"><div class="iframe-container" data-iframe-container="${
-            note.id
-          }"></div></div>`;
+  /**
+   * Show or hide the toolbar and live preview of the editors already open,
+   * leaving their textareas (and the text, selection and undo history in
+   * them) as they are.
+   */
+  refreshEditors() {
+    document.querySelectorAll('.note-editor').forEach((editor) => {
+      const textarea = /** @type {HTMLTextAreaElement | null} */ (
+        editor.querySelector('.note-textarea')
+      );
+      if (!textarea) return;
 
-          // Mount the iframe and update info
-          this.mountIframeForNote(note);
-          this.updateIframeInfo(note.id);
-        }
+      editor.querySelector('.format-toolbar')?.remove();
+      textarea.insertAdjacentHTML('beforebegin', this.renderFormatToolbar());
+      const toolbar = /** @type {HTMLElement | null} */ (
+        editor.querySelector('.format-toolbar')
+      );
+      if (toolbar) this.attachFormatToolbar(toolbar, textarea);
 
-        // Update the header to show title area for URL notes
-        const headerElement = noteElement.querySelector('.note-header');
-        const titleArea = headerElement?.querySelector('.note-title-area');
-        if (titleArea) {
-          titleArea.innerHTML = `<span class="note-page-title" title="Page title">📄</span>`;
-        }
-      });
+      editor.querySelector('.live-preview')?.remove();
+      if (this.settings.livePreview) {
+        const preview = document.createElement('div');
+        preview.className = 'note-preview live-preview';
+        editor.appendChild(preview);
+        this.updateLivePreview(textarea);
+      }
+    });
+  }
+
+  /**
+   * Render the live preview of an editor again, through the same pipeline
+   * as the note's preview.
+   * @param {HTMLTextAreaElement} textarea
+   */
+  updateLivePreview(textarea) {
+    const preview = textarea
+      .closest('.note-editor')
+      ?.querySelector('.live-preview');
+    if (preview) preview.innerHTML = this.renderMarkdown(textarea.value);
+  }
+
+  /**
+   * @param {HTMLTextAreaElement} textarea
+   * @param {string} [format] one of the FORMAT_BUTTONS formats, or 'preview'
+   */
+  applyFormat(textarea, format) {
+    if (format === 'preview') {
+      // Shows or hides the live preview in every open editor
+      this.updateSetting({ livePreview: !this.settings.livePreview });
+      return;
     }
 
-    // Note content area (for toggling edit mode)
-    const contentElement = noteElement.querySelector('.note-content');
-    if (contentElement) {
-      contentElement.addEventListener('click', (e) => {
-        const target = /** @type {HTMLElement} */ (e.target);
-        const note = this.notes.find((n) => n.id === noteId);
-        if (note && note.url && note.url.length > 0) {
-          // If showing webpage, do not toggle edit on click inside content
-          return;
-        }
+    const state = {
+      value: textarea.value,
+      start: textarea.selectionStart,
+      end: textarea.selectionEnd,
+    };
+    const edits = {
+      bold: () => toggleWrap(state, '**', 'bold text'),
+      italic: () => toggleWrap(state, '_', 'italic text'),
+      strike: () => toggleWrap(state, '~~', 'struck text'),
+      code: () => toggleWrap(state, '`', 'code'),
+      link: () => insertLink(state),
+      bullet: () => toggleLinePrefix(state, 'bullet'),
+      number: () => toggleLinePrefix(state, 'number'),
+      task: () => toggleLinePrefix(state, 'task'),
+      quote: () => toggleLinePrefix(state, 'quote'),
+    };
+    const edit = format && edits[format];
+    if (edit) applyEdit(textarea, edit());
+  }
 
-        // Don't trigger edit mode if clicking on textarea
-        if (target && target.classList.contains('note-textarea')) {
-          return;
-        }
+  /**
+   * Formatting shortcuts, list continuation and list indentation.
+   * @param {KeyboardEvent} e
+   * @param {HTMLTextAreaElement} textarea
+   * @returns {boolean} whether the key was handled
+   */
+  handleEditorKey(e, textarea) {
+    if (e.isComposing || e.altKey) return false;
 
-        // Check if we clicked on the preview area, any child of it, or the content area itself
-        if (
-          target &&
-          (target.classList.contains('note-preview') ||
-            target.closest('.note-preview') ||
-            target === contentElement)
-        ) {
-          this.toggleNoteEdit(noteId);
-        }
-      });
+    if (e.ctrlKey || e.metaKey) {
+      const formats = { b: 'bold', i: 'italic', k: 'link' };
+      const format = !e.shiftKey && formats[e.key.toLowerCase()];
+      if (!format) return false;
+      this.applyFormat(textarea, format);
+      return true;
     }
 
-    // Textarea (if exists)
-    const textarea = noteElement.querySelector('.note-textarea');
-    if (textarea) {
-      const textareaElement = /** @type {HTMLTextAreaElement} */ (textarea);
-      this.attachTextareaListenersFor(noteId, textareaElement);
+    const state = {
+      value: textarea.value,
+      start: textarea.selectionStart,
+      end: textarea.selectionEnd,
+    };
+    let edit = null;
+    if (e.key === 'Enter' && !e.shiftKey) {
+      edit = continueList(state);
+    } else if (e.key === 'Tab') {
+      // Outside lists Tab keeps moving the focus
+      edit = indentListItems(state, e.shiftKey);
     }
+    if (!edit) return false;
+    applyEdit(textarea, edit);
+    return true;
+  }
+
+  /**
+   * @param {HTMLElement} toolbar
+   * @param {HTMLTextAreaElement} textarea the toolbar formats
+   */
+  attachFormatToolbar(toolbar, textarea) {
+    // Keep the focus, and with it edit mode, in the textarea
+    toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+    toolbar.addEventListener('click', (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      const button = /** @type {HTMLElement | null} */ (
+        target.closest('[data-format]')
+      );
+      if (button) this.applyFormat(textarea, button.dataset.format);
+    });
   }
 
   /**
@@ -741,10 +4502,50 @@ class StickyNotesApp {
     // Auto-save on input
     textareaElement.addEventListener('input', () => {
       this.updateNoteContent(noteId, textareaElement.value);
+      this.updateLivePreview(textareaElement);
+    });
+
+    // Images are attached; formatted text pastes as markdown, unless
+    // Ctrl+Shift+V asks for plain text
+    let pastePlainText = false;
+    textareaElement.addEventListener('paste', (e) => {
+      const clipboardEvent = /** @type {ClipboardEvent} */ (e);
+      // Only the paste the shortcut started is plain; a later one from the
+      // context menu isn't
+      const plainText = pastePlainText;
+      pastePlainText = false;
+      const images = attachableImages(clipboardEvent.clipboardData);
+      if (images.length > 0) {
+        clipboardEvent.preventDefault();
+        this.attachImages(noteId, images);
+        return;
+      }
+
+      const html = clipboardEvent.clipboardData?.getData('text/html');
+      if (plainText || !html || !this.settings.pasteAsMarkdown) return;
+      const markdown = htmlToMarkdown(html);
+      if (!markdown) return;
+
+      clipboardEvent.preventDefault();
+      const start = textareaElement.selectionStart;
+      const caret = start + markdown.length;
+      applyEdit(textareaElement, {
+        from: start,
+        to: textareaElement.selectionEnd,
+        text: markdown,
+        start: caret,
+        end: caret,
+      });
     });
 
+    const toolbar = /** @type {HTMLElement | null | undefined} */ (
+      textareaElement.closest('.note-editor')?.querySelector('.format-toolbar')
+    );
+    if (toolbar) this.attachFormatToolbar(toolbar, textareaElement);
+
     // Exit edit mode on blur (with delay to allow for other interactions)
     textareaElement.addEventListener('blur', () => {
+      this.flushRevision(noteId);
       setTimeout(() => {
         const note = this.notes.find((n) => n.id === noteId);
         if (note && note.isEditing) {
@@ -757,6 +4558,8 @@ class StickyNotesApp {
               note.content || '',
             )}</div>`;
           }
+          this.applyFilterToNote(noteId);
+          this.updateFilterEmptyState();
         }
       }, 150);
     });
@@ -764,6 +4567,14 @@ class StickyNotesApp {
     // Handle keyboard shortcuts
     textareaElement.addEventListener('keydown', (e) => {
       const keyboardEvent = /** @type {KeyboardEvent} */ (e);
+      pastePlainText =
+        (keyboardEvent.ctrlKey || keyboardEvent.metaKey) &&
+        keyboardEvent.shiftKey &&
+        keyboardEvent.key.toLowerCase() === 'v';
+      if (this.handleEditorKey(keyboardEvent, textareaElement)) {
+        keyboardEvent.preventDefault();
+        return;
+      }
       if (keyboardEvent.key === 'Escape') {
         const note = this.notes.find((n) => n.id === noteId);
         if (note) {
@@ -776,6 +4587,10 @@ class StickyNotesApp {
               note.content || '',
             )}</div>`;
           }
+          this.applyFilterToNote(noteId);
+          this.updateFilterEmptyState();
+          // Keyboard navigation goes on from the note
+          this.focusNoteCard(noteId);
         }
       }
     });
@@ -789,6 +4604,11 @@ class StickyNotesApp {
   handleIframeDataUpdate(noteId, data) {
     this.iframeData[noteId] = data;
     this.updateIframeInfo(noteId);
+    // Page title may have changed what the search matches
+    if (this.isFilterActive()) {
+      this.applyFilterToNote(noteId);
+      this.updateFilterEmptyState();
+    }
   }
 
   /**
@@ -805,6 +4625,8 @@ class StickyNotesApp {
     const data = this.iframeData[noteId];
     if (!data) return;
 
+    this.updateUrlToolbar(noteId);
+
     const pageTitleElement = /** @type {HTMLElement | null} */ (
       titleAreaElement.querySelector('.note-page-title')
     );
@@ -819,6 +4641,9 @@ class StickyNotesApp {
       if (data.scrollY && data.scrollY > 0) {
         tooltipText += `\nScroll: ${Math.round(data.scrollY)}px`;
       }
+      if (data.media && data.media.url === data.lastUrl) {
+        tooltipText += `\n${this.describeMediaPosition(data.media)}`;
+      }
       if (data.lastUpdated) {
         const lastUpdated = new Date(data.lastUpdated);
         const now = new Date();
@@ -840,45 +4665,104 @@ class StickyNotesApp {
   }
 
   /**
-   * Restore iframe state after loading
+   * @param {{kind:string,currentTime:number,duration:number|null,
+   *   playbackRate:number,paused:boolean}} media
+   * @returns {string} e.g. "Video: 12:34 / 45:00 (paused, 1.5×)"
+   */
+  describeMediaPosition(media) {
+    const kind = media.kind === 'audio' ? 'Audio' : 'Video';
+    let text = `${kind}: ${formatMediaTime(media.currentTime)}`;
+    if (media.duration) text += ` / ${formatMediaTime(media.duration)}`;
+
+    const details = [];
+    if (media.paused) details.push('paused');
+    if (media.playbackRate && media.playbackRate !== 1) {
+      details.push(`${media.playbackRate}×`);
+    }
+    return details.length ? `${text} (${details.join(', ')})` : text;
+  }
+
+  /**
+   * Listen for note frames announcing that their content script is ready.
+   * Replies go straight to that frame with postMessage, since runtime
+   * messages from the panel never reach content scripts.
+   */
+  setupFrameChannel() {
+    window.addEventListener('message', (event) => {
+      const message = event.data;
+      if (!message || message.type !== 'sticky-bear-frame-ready') return;
+
+      // Trust the frame the message came from, not ids inside the message
+      const entry = [...this.iframeMap].find(
+        ([, iframe]) => iframe.contentWindow === event.source,
+      );
+      if (entry && event.source) {
+        this.restoreIframeState(
+          entry[0],
+          /** @type {Window} */ (event.source),
+          event.origin,
+          String(message.url || ''),
+        );
+      }
+    });
+  }
+
+  /**
+   * Send a ready frame its saved reading and playback position. The frame
+   * always gets an answer, so it knows when to start reporting playback.
    * @param {string} noteId
+   * @param {Window} frameWindow
+   * @param {string} frameOrigin
+   * @param {string} frameUrl page the frame has loaded
    */
-  async restoreIframeState(noteId) {
+  async restoreIframeState(noteId, frameWindow, frameOrigin, frameUrl) {
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'get-iframe-state',
         noteId: noteId,
       });
+      if (!response || !response.success || !response.data) return;
+
+      const data = response.data;
+      this.iframeData[noteId] = data;
+      this.updateIframeInfo(noteId);
 
-      if (response && response.success && response.data) {
-        const iframe = this.iframeMap.get(noteId);
-        if (iframe && iframe.contentWindow) {
-          // Wait a bit for the iframe to load before trying to restore state
-          setTimeout(() => {
-            try {
-              chrome.runtime.sendMessage({
-                action: 'restore-iframe-state',
-                noteId: noteId,
-                scrollData: {
-                  scrollX: response.data.scrollX || 0,
-                  scrollY: response.data.scrollY || 0,
-                },
-              });
-            } catch (e) {
-              console.debug('Could not restore iframe state:', e);
+      // The saved position only applies to the page it was saved on
+      const position =
+        data.lastUrl === frameUrl
+          ? {
+              anchor: data.anchor || null,
+              scrollX: data.scrollX || 0,
+              scrollY: data.scrollY || 0,
+              media:
+                data.media && data.media.url === frameUrl ? data.media : null,
             }
-          }, 1000);
-        }
+          : null;
 
-        // Update local data and UI
-        this.iframeData[noteId] = response.data;
-        this.updateIframeInfo(noteId);
-      }
+      frameWindow.postMessage(
+        { type: 'sticky-bear-restore', position },
+        frameOrigin,
+      );
     } catch (error) {
       console.debug('Error restoring iframe state:', error);
     }
   }
 
+  /**
+   * Navigate a note's iframe once the background has allowed the URL's domain
+   * to be framed (headers are only relaxed for domains of URL notes).
+   * @param {HTMLIFrameElement} iframe
+   * @param {string} url
+   */
+  async loadIframeUrl(iframe, url) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'allow-frame-url', url });
+    } catch (error) {
+      console.error('Error allowing the page to be framed:', error);
+    }
+    iframe.src = url;
+  }
+
   /**
    * Ensure iframe for a note is created once and mounted into the container without reloading.
    * @param {{id:string,url:string}} note
@@ -908,24 +4792,12 @@ class StickyNotesApp {
       iframe.style.border = '0';
       this.iframeMap.set(note.id, iframe);
 
-      // Set up iframe load event to restore state
-      iframe.addEventListener('load', () => {
-        this.restoreIframeState(note.id);
-      });
-
-      // Set src only when creating or if different
-      iframe.src = note.url;
+      // Set src only when creating or if different. The saved position is
+      // restored once the frame's content script reports it is ready.
+      this.loadIframeUrl(iframe, note.url);
     } else {
       if (iframe.src !== note.url) {
-        iframe.src = note.url;
-        // Restore state after navigation
-        iframe.addEventListener(
-          'load',
-          () => {
-            this.restoreIframeState(note.id);
-          },
-          { once: true },
-        );
+        this.loadIframeUrl(iframe, note.url);
       }
     }
     if (iframe.parentElement !== container) {
@@ -965,7 +4837,8 @@ class StickyNotesApp {
           const rect = currentWrapper.getBoundingClientRect();
           const height = Math.max(0, Math.round(rect.height));
           const n = this.notes.find((m) => m.id === note.id);
-          if (n && n.iframeHeight !== height) {
+          // Hidden wrappers (collapsed or filtered-out notes) measure 0
+          if (n && height > 0 && n.iframeHeight !== height) {
             n.iframeHeight = height;
             this.saveNotes();
           }
@@ -0,0 +1,238 @@
+// Sticky Bear Panel - Markdown editing commands for the note textarea
+//
+// Commands take the textarea's text and selection and return the edit to
+// make: the range to replace, the new text for it and the selection after.
+// Edits are applied as replacements rather than by setting the whole value,
+// which keeps the browser's undo history working.
+
+/**
+ * @typedef {{value:string, start:number, end:number}} EditorState
+ * @typedef {{from:number, to:number, text:string, start:number, end:number}} Edit
+ */
+
+// Indent, marker ("-", "*", "+", "1." or "1)"), spacing and task box
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])(\s+)(\[[ xX]\]\s+)?/;
+
+const LINE_PREFIXES = {
+  bullet: { pattern: /^(\s*)[-*+]\s+(?!\[[ xX]\])/, text: () => '- ' },
+  number: { pattern: /^(\s*)\d+[.)]\s+/, text: (index) => `${index + 1}. ` },
+  task: { pattern: /^(\s*)[-*+]\s+\[[ xX]\]\s+/, text: () => '- [ ] ' },
+  quote: { pattern: /^(\s*)>\s?/, text: () => '> ' },
+};
+
+function lineStartAt(value, index) {
+  return value.lastIndexOf('\n', index - 1) + 1;
+}
+
+function lineEndAt(value, index) {
+  const end = value.indexOf('\n', index);
+  return end === -1 ? value.length : end;
+}
+
+/**
+ * The whole lines touched by the selection. A selection ending right at the
+ * start of a line doesn't include that line.
+ * @param {EditorState} state
+ * @returns {{from:number, to:number, lines:string[]}}
+ */
+function selectedLines({ value, start, end }) {
+  const lastIndex = end > start && value[end - 1] === '\n' ? end - 1 : end;
+  const from = lineStartAt(value, start);
+  const to = lineEndAt(value, lastIndex);
+  return { from, to, lines: value.slice(from, to).split('\n') };
+}
+
+/**
+ * Wrap the selection in an inline marker such as ** or `, or unwrap it when
+ * it is wrapped already. Without a selection the placeholder is inserted.
+ * @param {EditorState} state
+ * @param {string} marker
+ * @param {string} placeholder
+ * @returns {Edit}
+ */
+export function toggleWrap({ value, start, end }, marker, placeholder) {
+  const size = marker.length;
+  if (
+    value.slice(start - size, start) === marker &&
+    value.slice(end, end + size) === marker
+  ) {
+    return {
+      from: start - size,
+      to: end + size,
+      text: value.slice(start, end),
+      start: start - size,
+      end: end - size,
+    };
+  }
+
+  const inner = value.slice(start, end) || placeholder;
+  return {
+    from: start,
+    to: end,
+    text: `${marker}${inner}${marker}`,
+    start: start + size,
+    end: start + size + inner.length,
+  };
+}
+
+/**
+ * Turn the selection into a link. A selected URL becomes the target,
+ * other text the label; the part still to fill in is selected.
+ * @param {EditorState} state
+ * @returns {Edit}
+ */
+export function insertLink({ value, start, end }) {
+  const selected = value.slice(start, end);
+  if (/^https?:\/\/\S+$/.test(selected)) {
+    return {
+      from: start,
+      to: end,
+      text: `[text](${selected})`,
+      start: start + 1,
+      end: start + 5,
+    };
+  }
+
+  const label = selected || 'text';
+  const urlStart = start + label.length + 3;
+  return {
+    from: start,
+    to: end,
+    text: `[${label}](url)`,
+    start: selected ? urlStart : start + 1,
+    end: selected ? urlStart + 3 : start + 1 + label.length,
+  };
+}
+
+/**
+ * Continue a list when Enter is pressed in one of its items: the new line
+ * gets the same marker (the next number, an unchecked box). Enter on an
+ * empty item ends the list instead.
+ * @param {EditorState} state
+ * @returns {Edit|null} null when the caret is not in a list item
+ */
+export function continueList({ value, start, end }) {
+  if (start !== end) return null;
+
+  const lineStart = lineStartAt(value, start);
+  const lineEnd = lineEndAt(value, start);
+  const line = value.slice(lineStart, lineEnd);
+  const match = line.match(LIST_ITEM);
+  if (!match || start < lineStart + match[0].length) return null;
+
+  if (!line.slice(match[0].length).trim()) {
+    return {
+      from: lineStart,
+      to: lineEnd,
+      text: '',
+      start: lineStart,
+      end: lineStart,
+    };
+  }
+
+  const [, indent, marker, spacing, task] = match;
+  const ordered = marker.match(/^(\d+)([.)])$/);
+  const nextMarker = ordered
+    ? `${Number(ordered[1]) + 1}${ordered[2]}`
+    : marker;
+  const text = `\n${indent}${nextMarker}${spacing}${task ? '[ ] ' : ''}`;
+  return {
+    from: start,
+    to: end,
+    text,
+    start: start + text.length,
+    end: start + text.length,
+  };
+}
+
+/**
+ * Indent (Tab) or outdent (Shift+Tab) the selected list items, nesting them
+ * under the item above.
+ * @param {EditorState} state
+ * @param {boolean} outdent
+ * @returns {Edit|null} null when the selection doesn't start in a list item
+ */
+export function indentListItems(state, outdent) {
+  const { from, to, lines } = selectedLines(state);
+  if (!LIST_ITEM.test(lines[0])) return null;
+
+  let firstDelta = 0;
+  const changed = lines.map((line, index) => {
+    const match = line.match(LIST_ITEM);
+    // Nested items start where the text of an item starts
+    const width = match ? match[2].length + match[3].length : 2;
+    let delta;
+    let result;
+    if (outdent) {
+      const removed = line.match(new RegExp(`^(?:\\t| {0,${width}})`))[0];
+      delta = -removed.length;
+      result = line.slice(removed.length);
+    } else {
+      delta = width;
+      result = `${' '.repeat(width)}${line}`;
+    }
+    if (index === 0) firstDelta = delta;
+    return result;
+  });
+
+  const text = changed.join('\n');
+  return {
+    from,
+    to,
+    text,
+    start: Math.max(from, state.start + firstDelta),
+    end: Math.max(from, state.end + text.length - (to - from)),
+  };
+}
+
+/**
+ * Add a line prefix (list marker or quote) to the selected lines, or remove
+ * it when every line has it already.
+ * @param {EditorState} state
+ * @param {'bullet'|'number'|'task'|'quote'} kind
+ * @returns {Edit}
+ */
+export function toggleLinePrefix(state, kind) {
+  const { pattern, text: prefixFor } = LINE_PREFIXES[kind];
+  const { from, to, lines } = selectedLines(state);
+  const remove = lines.every((line) => pattern.test(line));
+
+  const changed = lines.map((line, index) => {
+    if (remove) return line.replace(pattern, '$1');
+    // Replace another kind of list marker rather than stacking them
+    const bare = kind === 'quote' ? line : line.replace(LIST_ITEM, '$1');
+    const [indent] = bare.match(/^\s*/);
+    return `${indent}${prefixFor(index)}${bare.slice(indent.length)}`;
+  });
+
+  const text = changed.join('\n');
+  return {
+    from,
+    to,
+    text,
+    start: from,
+    end: from + text.length,
+  };
+}
+
+/**
+ * Apply an edit to a textarea through the editing commands, so it can be
+ * undone, and fire an input event like typing would.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {Edit} edit
+ */
+export function applyEdit(textarea, edit) {
+  if (textarea.value.slice(edit.from, edit.to) !== edit.text) {
+    textarea.focus();
+    textarea.setSelectionRange(edit.from, edit.to);
+    // execCommand is deprecated but still the only way to keep undo working
+    const inserted = edit.text
+      ? document.execCommand('insertText', false, edit.text)
+      : document.execCommand('delete');
+    if (!inserted) {
+      textarea.setRangeText(edit.text, edit.from, edit.to);
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+  textarea.setSelectionRange(edit.start, edit.end);
+}
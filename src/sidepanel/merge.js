@@ -0,0 +1,56 @@
+// Sticky Bear Panel - Merging a note changed in two places
+//
+// Every panel keeps the notes in memory and saves them as a whole, so a note
+// can change in another window (or on another device) while this panel has
+// edits of its own. The stored note is combined with the local one field by
+// field against `base`, the version this panel last read or saved.
+import { extractTags } from './tags.js';
+
+// Edit mode belongs to each panel; rev and updatedAt are set when saving
+const UNMERGED_FIELDS = new Set(['id', 'isEditing', 'rev', 'updatedAt']);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * @param {object|null} base the note as this panel last read or saved it
+ * @param {object} local the note in this panel, possibly with unsaved edits
+ * @param {object} stored the note as stored now
+ * @returns {{note:object, conflictContent:string|null}} the merged note, and
+ *   the text that lost when both sides changed it differently
+ */
+export function mergeNote(base, local, stored) {
+  // A stored revision that isn't newer than ours overwrote our last save
+  // (both panels saved at the same time); the stored note wins then
+  const storedIsNewer = base !== null && (stored.rev || 0) > (base.rev || 0);
+
+  const note = { id: stored.id };
+  const fields = new Set([...Object.keys(local), ...Object.keys(stored)]);
+  fields.forEach((field) => {
+    if (UNMERGED_FIELDS.has(field)) return;
+    // Local changes win, also over a different change of the same field
+    const value =
+      storedIsNewer && !same(local[field], base[field])
+        ? local[field]
+        : stored[field];
+    if (value !== undefined) note[field] = value;
+  });
+
+  // The text that lost is kept, so diverged edits can be merged by hand
+  let conflictContent = null;
+  if ((local.content || '') !== (stored.content || '')) {
+    if (!storedIsNewer) {
+      conflictContent = local.content || '';
+    } else if (
+      !same(local.content, base.content) &&
+      !same(stored.content, base.content)
+    ) {
+      conflictContent = stored.content || '';
+    }
+  }
+
+  note.tags = extractTags(note.content || '');
+  note.rev = stored.rev;
+  note.updatedAt = stored.updatedAt;
+  if (local.isEditing) note.isEditing = true;
+  return { note, conflictContent };
+}
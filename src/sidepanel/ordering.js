@@ -0,0 +1,58 @@
+// Sticky Bear Panel - Sparse note ordering
+//
+// Notes are ordered by spaced-out integers so a note can be moved by giving
+// it a value between its new neighbours, without renumbering any other note.
+// Integers (rather than arbitrary fractions) are used because the values also
+// drive the CSS `order` property, which only accepts integers.
+
+export const ORDER_GAP = 1024;
+
+// Added to the CSS order of notes attached to the active tab's site so they
+// are shown above the rest without touching their stored order
+export const SECTION_BAND = 1 << 26;
+
+// Stored orders stay within ±ORDER_LIMIT, well inside a section's band, so
+// notes moved to the top or bottom again and again can't drift into the
+// next section
+export const ORDER_LIMIT = SECTION_BAND / 4;
+
+/**
+ * @template {{order?:number}} T
+ * @param {T[]} notes
+ * @returns {T[]} a new array sorted by order
+ */
+export function sortByOrder(notes) {
+  return [...notes].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Pick an order value strictly between two neighbours. Either neighbour may
+ * be undefined (top or bottom of the list).
+ * @param {number|undefined} before
+ * @param {number|undefined} after
+ * @returns {number|null} null when there is no room left between them, or
+ *   a gap beyond the first or last note would pass ORDER_LIMIT
+ */
+export function orderBetween(before, after) {
+  if (before === undefined && after === undefined) return 0;
+  if (before === undefined) {
+    const order = /** @type {number} */ (after) - ORDER_GAP;
+    return order < -ORDER_LIMIT ? null : order;
+  }
+  if (after === undefined) {
+    const order = before + ORDER_GAP;
+    return order > ORDER_LIMIT ? null : order;
+  }
+  if (after - before < 2) return null;
+  return Math.floor((before + after) / 2);
+}
+
+/**
+ * Spread the notes out evenly again, keeping their current sequence.
+ * @param {Array<{order?:number}>} sortedNotes
+ */
+export function rebalanceOrders(sortedNotes) {
+  sortedNotes.forEach((note, index) => {
+    note.order = index * ORDER_GAP;
+  });
+}
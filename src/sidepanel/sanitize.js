@@ -0,0 +1,198 @@
+// Sticky Bear Panel - HTML sanitizer for rendered markdown
+//
+// Markdown allows raw HTML, and notes can come from pasted text or imported
+// backups. The panel is an extension page with storage and scripting access,
+// so rendered HTML is reduced to an allowlist before it reaches innerHTML.
+
+const ALLOWED_TAGS = new Set([
+  'a',
+  'b',
+  'blockquote',
+  'br',
+  'code',
+  'del',
+  'em',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'i',
+  'img',
+  'input',
+  'kbd',
+  'li',
+  'mark',
+  'ol',
+  'p',
+  'pre',
+  's',
+  'span',
+  'strong',
+  'sub',
+  'sup',
+  'table',
+  'tbody',
+  'td',
+  'th',
+  'thead',
+  'tr',
+  'ul',
+]);
+
+// Removed together with everything inside them; other unknown elements are
+// replaced by their children
+const DROPPED_TAGS = new Set([
+  'embed',
+  'frame',
+  'frameset',
+  'iframe',
+  'link',
+  'math',
+  'meta',
+  'noscript',
+  'object',
+  'script',
+  'select',
+  'style',
+  'svg',
+  'template',
+  'textarea',
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(['title']);
+
+const ALLOWED_ATTRIBUTES = {
+  a: new Set(['href']),
+  img: new Set(['src', 'alt', 'width', 'height']),
+  input: new Set(['type', 'checked', 'class']),
+  ol: new Set(['start']),
+  td: new Set(['align']),
+  th: new Set(['align']),
+  code: new Set(['class']),
+};
+
+// Classes that markup may carry: task checkboxes and code languages
+const ALLOWED_CLASSES = /^(task-checkbox|language-[\w-]+)$/;
+
+// attachment: images are stored on this device (see attachments.js) and
+// resolved through the attachmentImage option of sanitizeHtml()
+const URL_ATTRIBUTES = {
+  href: ['http:', 'https:', 'mailto:'],
+  src: ['http:', 'https:', 'data:', 'attachment:'],
+};
+
+// Only raster images are allowed as data: URLs (SVG can carry script)
+const SAFE_DATA_URL = /^data:image\/(png|gif|jpe?g|webp|avif);base64,/i;
+
+const ATTACHMENT_SRC = /^attachment:([\w-]+)$/;
+
+/**
+ * @typedef {object} SanitizeOptions
+ * @property {(img: HTMLImageElement, id: string) => void} [attachmentImage]
+ *   shows the attachment an <img src="attachment:<id>"> refers to
+ */
+
+/**
+ * @param {string} name attribute name
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSafeUrl(name, value) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const url = value.replace(/[\u0000-\u0020\u007f]/g, '');
+  const scheme = url.match(/^([a-z][a-z\d+.-]*):/i);
+  if (!scheme) {
+    // Relative URLs and #anchors resolve inside the extension
+    return true;
+  }
+  const protocol = `${scheme[1].toLowerCase()}:`;
+  if (!URL_ATTRIBUTES[name].includes(protocol)) return false;
+  return protocol !== 'data:' || SAFE_DATA_URL.test(url);
+}
+
+/**
+ * @param {Element} element
+ * @param {SanitizeOptions} options
+ */
+function sanitizeAttributes(element, options) {
+  const tag = element.localName;
+  const allowed = ALLOWED_ATTRIBUTES[tag];
+
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    const keep =
+      (GLOBAL_ATTRIBUTES.has(name) || (allowed && allowed.has(name))) &&
+      (!URL_ATTRIBUTES[name] || isSafeUrl(name, value)) &&
+      (name !== 'class' ||
+        value.split(/\s+/).every((cls) => ALLOWED_CLASSES.test(cls)));
+    if (!keep) element.removeAttribute(name);
+  });
+
+  if (tag === 'input' && element.getAttribute('type') !== 'checkbox') {
+    element.remove();
+  } else if (tag === 'a' && element.hasAttribute('href')) {
+    // Links must not navigate the panel itself
+    element.setAttribute('target', '_blank');
+    element.setAttribute('rel', 'noopener noreferrer');
+  } else if (tag === 'img') {
+    resolveAttachment(/** @type {HTMLImageElement} */ (element), options);
+  }
+}
+
+/**
+ * Hand an attachment: image to options.attachmentImage; the src itself never
+ * stays, since it can't load.
+ * @param {HTMLImageElement} img
+ * @param {SanitizeOptions} options
+ */
+function resolveAttachment(img, options) {
+  const src = img.getAttribute('src') || '';
+  if (!/^attachment:/i.test(src)) return;
+  img.removeAttribute('src');
+  const match = src.match(ATTACHMENT_SRC);
+  if (match && options.attachmentImage) options.attachmentImage(img, match[1]);
+}
+
+/**
+ * @param {Node} parent
+ * @param {SanitizeOptions} options
+ */
+function sanitizeChildren(parent, options) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const element = /** @type {Element} */ (node);
+    const tag = element.localName;
+    if (DROPPED_TAGS.has(tag)) {
+      element.remove();
+      return;
+    }
+
+    sanitizeChildren(element, options);
+    if (ALLOWED_TAGS.has(tag)) {
+      sanitizeAttributes(element, options);
+    } else {
+      element.replaceWith(...Array.from(element.childNodes));
+    }
+  });
+}
+
+/**
+ * Reduce an HTML string to the allowlisted tags, attributes and URL schemes.
+ * @param {string} html
+ * @param {SanitizeOptions} [options]
+ * @returns {string}
+ */
+export function sanitizeHtml(html, options = {}) {
+  // Content of a <template> is inert: no scripts run and nothing loads
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeChildren(template.content, options);
+  return template.innerHTML;
+}
@@ -0,0 +1,112 @@
+// Sticky Bear Panel - Note search and filtering helpers
+import { getNoteTags } from './tags.js';
+
+const HIGHLIGHT_CLASS = 'search-highlight';
+
+/**
+ * Split a search query into lower-cased terms.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function parseQuery(query) {
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((term) => term.length > 0);
+}
+
+/**
+ * Check whether a note passes the current filter. Every query term must
+ * appear in the note's content, URL or stored page title, and the note must
+ * carry every selected tag.
+ * @param {{content?:string,url?:string,color?:string,tags?:string[],manualTags?:string[]}} note
+ * @param {{terms:string[],colors:Set<string>,type:string,tags:Set<string>}} filter
+ * @param {string} [pageTitle]
+ * @returns {boolean}
+ */
+export function noteMatchesFilter(note, filter, pageTitle = '') {
+  const isUrlNote = Boolean(note.url && note.url.length > 0);
+  if (filter.type === 'text' && isUrlNote) return false;
+  if (filter.type === 'url' && !isUrlNote) return false;
+
+  if (filter.colors.size > 0 && !filter.colors.has(note.color || 'yellow')) {
+    return false;
+  }
+
+  if (filter.tags.size > 0) {
+    const noteTags = getNoteTags(note);
+    if (![...filter.tags].every((tag) => noteTags.includes(tag))) {
+      return false;
+    }
+  }
+
+  if (filter.terms.length === 0) return true;
+
+  const haystack = [note.content || '', note.url || '', pageTitle]
+    .join('\n')
+    .toLowerCase();
+  return filter.terms.every((term) => haystack.includes(term));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove highlight marks previously added by highlightMatches.
+ * @param {Element} root
+ */
+export function clearHighlights(root) {
+  const marks = root.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`);
+  if (marks.length === 0) return;
+  marks.forEach((mark) => {
+    mark.replaceWith(document.createTextNode(mark.textContent || ''));
+  });
+  root.normalize();
+}
+
+/**
+ * Wrap occurrences of the terms in text nodes under root with <mark>.
+ * @param {Element} root
+ * @param {string[]} terms
+ */
+export function highlightMatches(root, terms) {
+  clearHighlights(root);
+  if (terms.length === 0) return;
+
+  const pattern = new RegExp(
+    `(${terms
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|')})`,
+    'gi',
+  );
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(/** @type {Text} */ (walker.currentNode));
+  }
+
+  textNodes.forEach((textNode) => {
+    const text = textNode.nodeValue || '';
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return;
+
+    const fragment = document.createDocumentFragment();
+    text.split(pattern).forEach((part, index) => {
+      if (!part) return;
+      // split() with a capture group puts matches at odd indexes
+      if (index % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.className = HIGHLIGHT_CLASS;
+        mark.textContent = part;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(part));
+      }
+    });
+    textNode.replaceWith(fragment);
+  });
+}
@@ -0,0 +1,47 @@
+// Sticky Bear Panel - #hashtag helpers
+
+// A tag starts with a letter and may contain letters, digits, _, - and /
+const TAG_PATTERN = /(^|[^\p{L}\p{N}_&#/])#(\p{L}[\p{L}\p{N}_/-]*)/gu;
+
+/**
+ * Normalize a tag typed by the user ("#Work Stuff" -> "work-stuff").
+ * Returns '' for input that can't form a tag.
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeTag(tag) {
+  const normalized = tag
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_/-]/gu, '');
+  return /^\p{L}/u.test(normalized) ? normalized : '';
+}
+
+/**
+ * Extract unique, lower-cased #tags from markdown content. Code spans and
+ * fenced code blocks are ignored so `#include` and the like don't count.
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function extractTags(content) {
+  const text = (content || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`[^`\n]*`/g, ' ');
+
+  const tags = new Set();
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    tags.add(match[2].toLowerCase());
+  }
+  return [...tags];
+}
+
+/**
+ * All tags of a note: those parsed from its content plus manual tags.
+ * @param {{tags?:string[],manualTags?:string[]}} note
+ * @returns {string[]}
+ */
+export function getNoteTags(note) {
+  return [...new Set([...(note.tags || []), ...(note.manualTags || [])])];
+}
@@ -0,0 +1,119 @@
+// Sticky Bear Panel - Markdown task list helpers
+//
+// Task items are counted in document order, which is also the order marked
+// renders their checkboxes in, so the n-th checkbox in a preview maps to the
+// n-th task line of the source.
+
+// "- [ ] item", "1. [x] item", also inside blockquotes ("> - [ ] item").
+// Like marked, an item needs some text after the box to count as a task.
+const TASK_PATTERN = /^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+)\[([ xX])\](?= +\S)/;
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Line numbers of all task items, skipping fenced code blocks.
+ * @param {string[]} lines
+ * @returns {number[]}
+ */
+function taskLineNumbers(lines) {
+  const result = [];
+  let fence = null;
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+      return;
+    }
+    if (!fence && TASK_PATTERN.test(line)) result.push(index);
+  });
+  return result;
+}
+
+/**
+ * @param {string} content
+ * @returns {{done:number,total:number}}
+ */
+export function taskProgress(content) {
+  const lines = (content || '').split('\n');
+  const taskLines = taskLineNumbers(lines);
+  const done = taskLines.filter(
+    (index) => lines[index].match(TASK_PATTERN)[2] !== ' ',
+  ).length;
+  return { done, total: taskLines.length };
+}
+
+/**
+ * Check or uncheck the index-th task item.
+ * @param {string} content
+ * @param {number} index
+ * @param {boolean} checked
+ * @returns {string} the updated content (unchanged if there is no such task)
+ */
+export function setTaskChecked(content, index, checked) {
+  const lines = content.split('\n');
+  const lineNumber = taskLineNumbers(lines)[index];
+  if (lineNumber === undefined) return content;
+
+  lines[lineNumber] = lines[lineNumber].replace(
+    TASK_PATTERN,
+    (_match, prefix) => `${prefix}[${checked ? 'x' : ' '}]`,
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Move checked items below the unchecked ones within each list, keeping
+ * nested lines with their item and the relative order otherwise.
+ * @param {string} content
+ * @returns {string}
+ */
+export function moveCheckedToBottom(content) {
+  const lines = content.split('\n');
+  const taskLines = new Set(taskLineNumbers(lines));
+  const result = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    if (!taskLines.has(i)) {
+      result.push(lines[i]);
+      i++;
+      continue;
+    }
+
+    // Collect the sibling items of this list, each with its nested lines
+    const indent = indentOf(lines[i]);
+    const items = [];
+    while (
+      i < lines.length &&
+      taskLines.has(i) &&
+      indentOf(lines[i]) === indent
+    ) {
+      const item = {
+        checked: lines[i].match(TASK_PATTERN)[2] !== ' ',
+        lines: [lines[i]],
+      };
+      i++;
+      while (
+        i < lines.length &&
+        lines[i].trim() &&
+        indentOf(lines[i]) > indent
+      ) {
+        item.lines.push(lines[i]);
+        i++;
+      }
+      items.push(item);
+    }
+
+    items
+      .filter((item) => !item.checked)
+      .concat(items.filter((item) => item.checked))
+      .forEach((item) => result.push(...item.lines));
+  }
+
+  return result.join('\n');
+}
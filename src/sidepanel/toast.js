@@ -0,0 +1,58 @@
+// Sticky Bear Panel - Toast notifications
+
+const DEFAULT_DURATION = 4000;
+
+/**
+ * Show a transient message at the bottom of the panel.
+ * @param {string} message
+ * @param {{type?: 'info'|'error', actionLabel?: string, onAction?: () => void, duration?: number}} [options]
+ * @returns {() => void} function that dismisses the toast
+ */
+export function showToast(message, options = {}) {
+  const {
+    type = 'info',
+    actionLabel = '',
+    onAction = null,
+    duration = DEFAULT_DURATION,
+  } = options;
+
+  let region = document.getElementById('toast-region');
+  if (!region) {
+    region = document.createElement('div');
+    region.id = 'toast-region';
+    region.className = 'toast-region';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    document.body.appendChild(region);
+  }
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+
+  const text = document.createElement('span');
+  text.className = 'toast-message';
+  text.textContent = message;
+  toast.appendChild(text);
+
+  let timer = 0;
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
+  };
+
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'toast-action';
+    actionBtn.textContent = actionLabel;
+    actionBtn.addEventListener('click', () => {
+      dismiss();
+      onAction();
+    });
+    toast.appendChild(actionBtn);
+  }
+
+  region.appendChild(toast);
+  timer = /** @type {number} */ (setTimeout(dismiss, duration));
+
+  return dismiss;
+}
@@ -0,0 +1,81 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  attachmentMarkdown,
+  deleteOrphanedAttachments,
+  referencedAttachmentIds,
+} from '../src/sidepanel/attachments.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Opens the database the way attachments.js does
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('sticky-bear', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('attachments', { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withAttachments(mode, run) {
+  const database = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction('attachments', mode);
+      const request = run(transaction.objectStore('attachments'));
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+const storedIds = async () =>
+  (await withAttachments('readonly', (store) => store.getAllKeys())).sort();
+
+test('referencedAttachmentIds finds every attachment a note shows', () => {
+  assert.deepEqual(
+    referencedAttachmentIds(
+      '![cat](attachment:1700000000000-ab12)\ntext ![](attachment:9_x)',
+    ),
+    ['1700000000000-ab12', '9_x'],
+  );
+  assert.deepEqual(referencedAttachmentIds('![a](https://example.com/a)'), []);
+});
+
+test('attachmentMarkdown names the image after its file', () => {
+  assert.equal(
+    attachmentMarkdown('1-a', 'Screen [shot].png'),
+    '![Screen shot](attachment:1-a)',
+  );
+  assert.equal(attachmentMarkdown('1-a', '.png'), '![image](attachment:1-a)');
+});
+
+test('deleteOrphanedAttachments deletes old attachments no text refers to', async () => {
+  const old = Date.now() - 2 * HOUR;
+  await withAttachments('readwrite', (store) => {
+    store.put({ id: 'in-note', createdAt: old });
+    store.put({ id: 'in-revision', createdAt: old });
+    store.put({ id: 'orphan', createdAt: old });
+    // Pasted moments ago; the note may not have been saved yet
+    store.put({ id: 'unsaved', createdAt: Date.now() - HOUR / 2 });
+  });
+
+  const deleted = await deleteOrphanedAttachments([
+    'Now ![a](attachment:in-note)',
+    'Before ![b](attachment:in-revision)',
+  ]);
+
+  assert.deepEqual(deleted, ['orphan']);
+  assert.deepEqual(await storedIds(), ['in-note', 'in-revision', 'unsaved']);
+  assert.deepEqual(await deleteOrphanedAttachments([]), [
+    'in-note',
+    'in-revision',
+  ]);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyBackup,
+  createBackup,
+  parseBackup,
+} from '../src/sidepanel/backup.js';
+
+const boards = [
+  { id: 'default', name: 'Notes' },
+  { id: 'work', name: 'Work' },
+];
+
+const exported = [
+  {
+    id: 'a',
+    content: 'Plan #trip',
+    color: 'green',
+    order: 0,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    boardId: 'work',
+    isEditing: true,
+  },
+  {
+    id: 'b',
+    content: '',
+    url: 'https://example.com/article',
+    order: 1024,
+    createdAt: '2024-01-02T00:00:00.000Z',
+  },
+  {
+    id: 'c',
+    content: 'Old idea',
+    order: 2048,
+    createdAt: '2024-01-03T00:00:00.000Z',
+    deletedAt: '2024-02-01T00:00:00.000Z',
+  },
+];
+
+const exportedIframeData = {
+  b: {
+    title: 'An article',
+    lastUrl: 'https://example.com/article#part-2',
+    scrollY: 800,
+    history: ['https://example.com/article'],
+    historyIndex: 0,
+  },
+  gone: { title: 'Data of a note that is not in the backup' },
+};
+
+const roundTrip = () =>
+  parseBackup(
+    JSON.stringify(createBackup(exported, exportedIframeData, boards)),
+  );
+
+test('a backup round trip keeps trashed notes in the trash', () => {
+  const backup = roundTrip();
+  const result = applyBackup([], {}, [], backup, 'replace');
+
+  assert.deepEqual(
+    result.notes.map((note) => [note.id, note.deletedAt]),
+    [
+      ['a', undefined],
+      ['b', undefined],
+      ['c', '2024-02-01T00:00:00.000Z'],
+    ],
+  );
+  assert.deepEqual(result.notes[0].tags, ['trip']);
+  assert.equal(result.notes[0].isEditing, false);
+  assert.equal(result.notes[0].boardId, 'work');
+  assert.deepEqual(result.boards, boards);
+  assert.deepEqual(result.iframeData, { b: exportedIframeData.b });
+  assert.equal(result.remapped, 0);
+});
+
+test('a backup merged into existing notes gets fresh ids where they collide', () => {
+  const current = [{ id: 'b', content: 'Already here', order: 5000 }];
+  const currentIframeData = { b: { title: 'Current page' } };
+  const result = applyBackup(
+    current,
+    currentIframeData,
+    [boards[0]],
+    roundTrip(),
+    'merge',
+  );
+
+  assert.equal(result.remapped, 1);
+  const imported = result.notes.slice(1);
+  const newId = imported[1].id;
+  assert.notEqual(newId, 'b');
+  assert.deepEqual(imported.map((note) => note.id), ['a', newId, 'c']);
+  assert.equal(imported[1].url, 'https://example.com/article');
+  assert.ok(imported.every((note) => note.order > 5000));
+  assert.equal(imported[2].deletedAt, '2024-02-01T00:00:00.000Z');
+  assert.deepEqual(result.iframeData, {
+    b: { title: 'Current page' },
+    [newId]: exportedIframeData.b,
+  });
+});
+
+test('parseBackup drops deletion times that are not dates', () => {
+  const { notes } = parseBackup(
+    JSON.stringify({
+      stickyNotes: [
+        { id: 'x', deletedAt: 'yesterday' },
+        { id: 'y', deletedAt: 1706745600000 },
+      ],
+    }),
+  );
+  assert.deepEqual(notes.map((note) => note.deletedAt), [undefined, undefined]);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_BOARD_ID,
+  MAX_BOARD_NAME_LENGTH,
+  boardPanelQuery,
+  normalizeBoardName,
+  normalizeBoards,
+  noteBoardId,
+  panelBoardBinding,
+  tabBoardBinding,
+} from '../src/shared/boards.js';
+
+const boards = [
+  { id: DEFAULT_BOARD_ID, name: 'Notes' },
+  { id: 'work', name: 'Work' },
+];
+
+test('noteBoardId puts notes without a board on the default board', () => {
+  assert.equal(noteBoardId({}), DEFAULT_BOARD_ID);
+  assert.equal(noteBoardId({ boardId: 'work' }, boards), 'work');
+});
+
+test('noteBoardId moves notes of unknown boards to the default board', () => {
+  assert.equal(noteBoardId({ boardId: 'gone' }), 'gone');
+  assert.equal(noteBoardId({ boardId: 'gone' }, boards), DEFAULT_BOARD_ID);
+});
+
+test('normalizeBoardName keeps a single trimmed line', () => {
+  assert.equal(normalizeBoardName('  Side\n  projects '), 'Side projects');
+  assert.equal(normalizeBoardName(undefined), '');
+  assert.equal(
+    normalizeBoardName('x'.repeat(100)).length,
+    MAX_BOARD_NAME_LENGTH,
+  );
+});
+
+test('normalizeBoards drops malformed boards and puts the default first', () => {
+  assert.deepEqual(
+    normalizeBoards([
+      { id: 'work', name: ' Work ' },
+      { id: 'work', name: 'Duplicate' },
+      { id: 'blank', name: '   ' },
+      { name: 'No id' },
+      null,
+      { id: DEFAULT_BOARD_ID, name: 'Inbox' },
+    ]),
+    [
+      { id: DEFAULT_BOARD_ID, name: 'Inbox' },
+      { id: 'work', name: 'Work' },
+    ],
+  );
+});
+
+test('normalizeBoards always has a default board', () => {
+  assert.deepEqual(normalizeBoards(undefined), [
+    { id: DEFAULT_BOARD_ID, name: 'Notes' },
+  ]);
+});
+
+const bindings = { windows: { 1: 'work' }, groups: { 7: 'travel' } };
+
+test('tabBoardBinding prefers the tab group over the window', () => {
+  assert.deepEqual(tabBoardBinding(bindings, { windowId: 1, groupId: 7 }), {
+    boardId: 'travel',
+    scope: 'group',
+    id: 7,
+  });
+  assert.deepEqual(tabBoardBinding(bindings, { windowId: 1, groupId: -1 }), {
+    boardId: 'work',
+    scope: 'window',
+    id: 1,
+  });
+  assert.equal(tabBoardBinding(bindings, { windowId: 2, groupId: 8 }), null);
+});
+
+test('the panel reads back the board its URL was given', () => {
+  const groupBinding = tabBoardBinding(bindings, { windowId: 1, groupId: 7 });
+  assert.equal(
+    boardPanelQuery(groupBinding),
+    'board=travel&scope=group&group=7',
+  );
+  assert.deepEqual(panelBoardBinding(`?${boardPanelQuery(groupBinding)}`), {
+    boardId: 'travel',
+    scope: 'group',
+    groupId: 7,
+  });
+
+  const windowBinding = tabBoardBinding(bindings, { windowId: 1 });
+  assert.deepEqual(panelBoardBinding(`?${boardPanelQuery(windowBinding)}`), {
+    boardId: 'work',
+    scope: 'window',
+    groupId: null,
+  });
+});
+
+test('panelBoardBinding is null for panels without a board', () => {
+  assert.equal(panelBoardBinding(''), null);
+  assert.equal(panelBoardBinding('?scope=group&group=7'), null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffLines } from '../src/sidepanel/diff.js';
+
+test('diffLines marks unchanged text as same', () => {
+  assert.deepEqual(diffLines('a\nb', 'a\nb'), [
+    { type: 'same', text: 'a' },
+    { type: 'same', text: 'b' },
+  ]);
+});
+
+test('diffLines finds added and removed lines between common ones', () => {
+  assert.deepEqual(diffLines('a\nb\nc\nd', 'a\nc\nx\nd'), [
+    { type: 'same', text: 'a' },
+    { type: 'remove', text: 'b' },
+    { type: 'same', text: 'c' },
+    { type: 'add', text: 'x' },
+    { type: 'same', text: 'd' },
+  ]);
+});
+
+test('diffLines shows a changed line as removed, then added', () => {
+  assert.deepEqual(diffLines('one\ntwo', 'one\n2'), [
+    { type: 'same', text: 'one' },
+    { type: 'remove', text: 'two' },
+    { type: 'add', text: '2' },
+  ]);
+});
+
+test('diffLines handles empty texts', () => {
+  assert.deepEqual(diffLines('', 'new'), [
+    { type: 'remove', text: '' },
+    { type: 'add', text: 'new' },
+  ]);
+  assert.deepEqual(diffLines('', ''), [{ type: 'same', text: '' }]);
+});
+
+test('diffLines replaces texts too large to compare line by line', () => {
+  const lines = (prefix) =>
+    Array.from({ length: 2100 }, (_, i) => `${prefix} ${i}`).join('\n');
+  const diff = diffLines(lines('old'), lines('new'));
+  assert.equal(diff.length, 4200);
+  assert.ok(diff.slice(0, 2100).every((line) => line.type === 'remove'));
+  assert.ok(diff.slice(2100).every((line) => line.type === 'add'));
+});
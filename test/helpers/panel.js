@@ -0,0 +1,136 @@
+// Loads the side panel into jsdom with an in-memory chrome API, for tests
+// that go through the panel's UI. Modules are cached, so a test file loads
+// the panel once.
+import 'fake-indexeddb/auto';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const PANEL_HTML = new URL('../../src/sidepanel/index.html', import.meta.url);
+
+function storageArea(name, onChanged) {
+  const data = {};
+  return {
+    data,
+    async get(keys) {
+      if (keys === null) return structuredClone(data);
+      const result = {};
+      [].concat(keys).forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      Object.keys(items).forEach((key) => {
+        changes[key] = {
+          oldValue: data[key],
+          newValue: structuredClone(items[key]),
+        };
+        data[key] = structuredClone(items[key]);
+      });
+      onChanged(changes, name);
+    },
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).forEach((key) => {
+        if (!(key in data)) return;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      if (Object.keys(changes).length > 0) onChanged(changes, name);
+    },
+    async getBytesInUse() {
+      return JSON.stringify(data).length;
+    },
+  };
+}
+
+function fakeChrome() {
+  const changeListeners = [];
+  const onChanged = (changes, areaName) =>
+    changeListeners.forEach((listener) => listener(changes, areaName));
+  const event = () => ({ addListener() {} });
+  return {
+    storage: {
+      sync: storageArea('sync', onChanged),
+      local: storageArea('local', onChanged),
+      session: storageArea('session', onChanged),
+      onChanged: { addListener: (listener) => changeListeners.push(listener) },
+    },
+    runtime: { sendMessage: async () => {}, onMessage: event() },
+    tabs: {
+      query: async () => [{ id: 1, windowId: 1, groupId: -1, url: '' }],
+      onActivated: event(),
+      onUpdated: event(),
+    },
+    windows: { getCurrent: async () => ({ id: 1 }) },
+    tabGroups: { TAB_GROUP_ID_NONE: -1 },
+  };
+}
+
+/**
+ * @param {{sync?:Record<string, unknown>, local?:Record<string, unknown>}}
+ *   [items] what chrome.storage holds when the panel opens
+ * @returns {Promise<{window: Window, document: Document, chrome: any}>}
+ */
+export async function loadPanel(items = {}) {
+  // Scripts are left out: the panel module is imported below, and the panel
+  // falls back to plain text without the bundled markdown renderer
+  const html = (await readFile(PANEL_HTML, 'utf8')).replace(
+    /<script[\s\S]*?<\/script>/g,
+    '',
+  );
+  const { window } = new JSDOM(html, {
+    url: 'chrome-extension://sticky-bear/src/sidepanel/index.html',
+    pretendToBeVisual: true,
+  });
+  window.ResizeObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+
+  const chrome = fakeChrome();
+  Object.assign(chrome.storage.sync.data, structuredClone(items.sync || {}));
+  Object.assign(chrome.storage.local.data, structuredClone(items.local || {}));
+  window.chrome = chrome;
+  globalThis.chrome = chrome;
+  // Node 20 has no Web Locks; a single panel has no one to wait for
+  if (!globalThis.navigator?.locks) {
+    Object.defineProperty(globalThis, 'navigator', {
+      configurable: true,
+      value: { locks: { request: (_name, callback) => callback() } },
+    });
+  }
+  [
+    'window',
+    'document',
+    'location',
+    'Node',
+    'HTMLElement',
+    'Event',
+    'KeyboardEvent',
+    'ResizeObserver',
+    'getComputedStyle',
+    'requestAnimationFrame',
+  ].forEach((name) => {
+    const value = window[name];
+    globalThis[name] =
+      typeof value === 'function' && !/^[A-Z]/.test(name)
+        ? value.bind(window)
+        : value;
+  });
+
+  await import('../../src/sidepanel/index.js');
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await settle();
+  return { window, document: window.document, chrome };
+}
+
+/**
+ * Wait for the panel's pending storage reads and writes.
+ * @param {number} [ms]
+ */
+export function settle(ms = 50) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
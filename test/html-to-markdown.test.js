@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { htmlToMarkdown } from '../src/sidepanel/html-to-markdown.js';
+
+const { window } = new JSDOM('');
+globalThis.document = window.document;
+globalThis.Node = window.Node;
+
+test('htmlToMarkdown returns null for HTML without formatting', () => {
+  assert.equal(
+    htmlToMarkdown('<div><span style="color:red">code</span></div>'),
+    null,
+  );
+  assert.equal(htmlToMarkdown('plain text'), null);
+});
+
+test('htmlToMarkdown converts headings, emphasis and links', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<h2>Title</h2><p><strong>bold</strong>, <em>italic</em> and <a href="https://example.com">a link</a></p>',
+    ),
+    '## Title\n\n**bold**, _italic_ and [a link](<https://example.com>)',
+  );
+});
+
+test('htmlToMarkdown keeps spaces outside of emphasis markers', () => {
+  assert.equal(htmlToMarkdown('<p>a<b> bold </b>word</p>'), 'a **bold** word');
+});
+
+test('htmlToMarkdown ignores Google Docs bold wrappers', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<b style="font-weight:normal"><p>first</p><p><i>second</i></p></b>',
+    ),
+    'first\n\n_second_',
+  );
+});
+
+test('htmlToMarkdown converts nested and ordered lists', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<ul><li>one<ul><li>nested</li></ul></li><li>two</li></ul><ol start="3"><li>three</li></ol>',
+    ),
+    '- one\n  - nested\n- two\n\n3. three',
+  );
+});
+
+test('htmlToMarkdown fences code blocks with their language', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<pre class="language-js"><code>const a = 1;<br>```</code></pre>',
+    ),
+    '````js\nconst a = 1;\n```\n````',
+  );
+  assert.equal(
+    htmlToMarkdown('<p>run <code>npm test</code></p>'),
+    'run `npm test`',
+  );
+});
+
+test('htmlToMarkdown converts tables, adding an empty header when needed', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<table><tr><td>a</td><td>b|c</td></tr><tr><td>d</td></tr></table>',
+    ),
+    '|  |  |\n| --- | --- |\n| a | b\\|c |\n| d |  |',
+  );
+});
+
+test('htmlToMarkdown escapes text that would read as markdown', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<p># not a heading</p><p>1. not a list *or bold*</p><hr>',
+    ),
+    '\\# not a heading\n\n1\\. not a list \\*or bold\\*\n\n---',
+  );
+});
+
+test('htmlToMarkdown drops scripts and unsafe or relative URLs', () => {
+  assert.equal(
+    htmlToMarkdown(
+      '<p><a href="javascript:alert(1)">click</a> <a href="/local">here</a><script>x()</script></p><img src="data:image/png;base64,AA" alt="pic">',
+    ),
+    'click here\n\npic',
+  );
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadPanel, settle } from './helpers/panel.js';
+
+test('note keys act on the focused card, not on buttons inside it', async () => {
+  const { window, document } = await loadPanel({
+    sync: {
+      'note:1': { id: '1', content: 'First', color: 'yellow', order: 0 },
+    },
+  });
+  const card = () => document.querySelector('.sticky-note[data-note-id="1"]');
+  const press = (element, key) =>
+    element.dispatchEvent(
+      new window.KeyboardEvent('keydown', { key, bubbles: true }),
+    );
+
+  const button = card().querySelector('button');
+  press(button, 'c');
+  press(button, 'x');
+  press(button, 'Delete');
+  await settle();
+  assert.ok(card());
+  assert.ok(card().classList.contains('note-theme-yellow'));
+
+  press(card(), 'x');
+  await settle();
+  assert.equal(card(), null);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  continueList,
+  indentListItems,
+  insertLink,
+  toggleLinePrefix,
+  toggleWrap,
+} from '../src/sidepanel/markdown-editing.js';
+
+/**
+ * Editor state from text marking the selection with [ and ], or the caret
+ * with a single |.
+ * @param {string} marked
+ */
+function stateOf(marked) {
+  if (marked.includes('|')) {
+    const start = marked.indexOf('|');
+    return { value: marked.replace('|', ''), start, end: start };
+  }
+  const start = marked.indexOf('[');
+  const end = marked.indexOf(']') - 1;
+  return { value: marked.replace('[', '').replace(']', ''), start, end };
+}
+
+// The text after an edit, with its selection marked the same way
+function applied(state, edit) {
+  const value =
+    state.value.slice(0, edit.from) + edit.text + state.value.slice(edit.to);
+  if (edit.start === edit.end) {
+    return `${value.slice(0, edit.start)}|${value.slice(edit.start)}`;
+  }
+  return `${value.slice(0, edit.start)}[${value.slice(
+    edit.start,
+    edit.end,
+  )}]${value.slice(edit.end)}`;
+}
+
+const run = (command, marked, ...args) => {
+  const state = stateOf(marked);
+  const edit = command(state, ...args);
+  return edit && applied(state, edit);
+};
+
+test('toggleWrap wraps and unwraps the selection', () => {
+  assert.equal(run(toggleWrap, 'a [word] b', '**', 'bold'), 'a **[word]** b');
+  assert.equal(run(toggleWrap, 'a **[word]** b', '**', 'bold'), 'a [word] b');
+});
+
+test('toggleWrap inserts a selected placeholder without a selection', () => {
+  assert.equal(run(toggleWrap, 'a | b', '_', 'italic'), 'a _[italic]_ b');
+});
+
+test('insertLink uses selected text as label and a selected URL as target', () => {
+  assert.equal(run(insertLink, 'see [docs]'), 'see [docs]([url])');
+  assert.equal(
+    run(insertLink, '[https://example.com]'),
+    '[[text]](https://example.com)',
+  );
+  assert.equal(run(insertLink, '|'), '[[text]](url)');
+});
+
+test('continueList repeats the marker of the current item', () => {
+  assert.equal(run(continueList, '- one|'), '- one\n- |');
+  assert.equal(run(continueList, '  * one|'), '  * one\n  * |');
+  assert.equal(run(continueList, '9) one|'), '9) one\n10) |');
+  assert.equal(run(continueList, '- [x] done|'), '- [x] done\n- [ ] |');
+});
+
+test('continueList ends the list on an empty item', () => {
+  assert.equal(run(continueList, 'text\n- |'), 'text\n|');
+});
+
+test('continueList leaves other lines and selections alone', () => {
+  assert.equal(run(continueList, 'plain|'), null);
+  assert.equal(run(continueList, '-| one'), null);
+  assert.equal(run(continueList, '- [one]'), null);
+});
+
+test('indentListItems nests items under the one above and back', () => {
+  assert.equal(run(indentListItems, '- one\n- t|wo', false), '- one\n  - t|wo');
+  assert.equal(
+    run(indentListItems, '1. one\n2. t|wo', false),
+    '1. one\n   2. t|wo',
+  );
+  assert.equal(run(indentListItems, '- one\n  - t|wo', true), '- one\n- t|wo');
+  assert.equal(run(indentListItems, 'plain|', false), null);
+});
+
+test('toggleLinePrefix adds and removes prefixes on every selected line', () => {
+  assert.equal(
+    run(toggleLinePrefix, '[one\ntwo]', 'number'),
+    '[1. one\n2. two]',
+  );
+  assert.equal(run(toggleLinePrefix, '[- one\n- two]', 'bullet'), '[one\ntwo]');
+  assert.equal(run(toggleLinePrefix, '[- one]', 'task'), '[- [ ] one]');
+});
+
+test('toggleLinePrefix quotes lines as they are', () => {
+  assert.equal(run(toggleLinePrefix, '[- one]', 'quote'), '[> - one]');
+  assert.equal(run(toggleLinePrefix, '[> - one]', 'quote'), '[- one]');
+});
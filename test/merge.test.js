@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeNote } from '../src/sidepanel/merge.js';
+
+const base = {
+  id: '1',
+  content: 'shopping #list',
+  color: 'yellow',
+  order: 0,
+  tags: ['list'],
+  rev: 3,
+  updatedAt: '2024-01-01T00:00:00.000Z',
+};
+
+const stored = (changes) => ({
+  ...base,
+  rev: 4,
+  updatedAt: '2024-01-02T00:00:00.000Z',
+  ...changes,
+});
+
+test('mergeNote takes a newer stored note when nothing changed locally', () => {
+  const { note, conflictContent } = mergeNote(
+    base,
+    { ...base },
+    stored({ content: 'shopping #list #food', color: 'blue' }),
+  );
+  assert.equal(note.content, 'shopping #list #food');
+  assert.equal(note.color, 'blue');
+  assert.deepEqual(note.tags, ['list', 'food']);
+  assert.equal(note.rev, 4);
+  assert.equal(note.updatedAt, '2024-01-02T00:00:00.000Z');
+  assert.equal(conflictContent, null);
+});
+
+test('mergeNote combines changes to different fields', () => {
+  const { note, conflictContent } = mergeNote(
+    base,
+    { ...base, color: 'green' },
+    stored({ content: 'shopping #list\n- milk' }),
+  );
+  assert.equal(note.color, 'green');
+  assert.equal(note.content, 'shopping #list\n- milk');
+  assert.equal(conflictContent, null);
+});
+
+test('mergeNote keeps local text and returns the other when both edit it', () => {
+  const { note, conflictContent } = mergeNote(
+    base,
+    { ...base, content: 'local text' },
+    stored({ content: 'stored text' }),
+  );
+  assert.equal(note.content, 'local text');
+  assert.equal(conflictContent, 'stored text');
+});
+
+test('mergeNote lets a stored note that is not newer win', () => {
+  const { note, conflictContent } = mergeNote(
+    base,
+    { ...base, content: 'local text' },
+    { ...base, content: 'stored text' },
+  );
+  assert.equal(note.content, 'stored text');
+  assert.equal(conflictContent, 'local text');
+});
+
+test('mergeNote takes the stored note for a note it did not know', () => {
+  const { note, conflictContent } = mergeNote(
+    null,
+    { id: '1', content: 'local' },
+    stored({ content: 'stored' }),
+  );
+  assert.equal(note.content, 'stored');
+  assert.equal(conflictContent, 'local');
+});
+
+test('mergeNote drops fields removed on either side', () => {
+  const withReminder = { ...base, reminder: { dueAt: 1 } };
+  const { note } = mergeNote(withReminder, { ...withReminder }, stored({}));
+  assert.equal('reminder' in note, false);
+});
+
+test('mergeNote keeps this panel in edit mode', () => {
+  const { note } = mergeNote(
+    base,
+    { ...base, isEditing: true },
+    stored({ color: 'red' }),
+  );
+  assert.equal(note.isEditing, true);
+  assert.equal(note.color, 'red');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ORDER_LIMIT } from '../src/sidepanel/ordering.js';
+import { loadPanel, settle } from './helpers/panel.js';
+
+test('notes moved to the top at the edge of the section band are spread out', async () => {
+  const { window, document, chrome } = await loadPanel({
+    sync: {
+      'note:a': { id: 'a', content: 'A', order: 100 - ORDER_LIMIT },
+      'note:b': { id: 'b', content: 'B', order: 0 },
+    },
+  });
+  const storedOrders = () =>
+    ['a', 'b'].map((id) => chrome.storage.sync.data[`note:${id}`].order);
+  const displayed = () =>
+    [...document.querySelectorAll('.sticky-note')]
+      .sort((x, y) => Number(x.style.order) - Number(y.style.order))
+      .map((note) => note.dataset.noteId);
+
+  document
+    .querySelector('.sticky-note[data-note-id="b"] .drag-handle')
+    .dispatchEvent(
+      new window.KeyboardEvent('keydown', { key: 'Home', bubbles: true }),
+    );
+  await settle();
+  assert.deepEqual(displayed(), ['b', 'a']);
+  assert.deepEqual(storedOrders(), [0, -1024]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { purgeExpiredTrash } from '../src/shared/note-store.js';
+
+// Just enough of a chrome.storage area for the note store
+function storageArea(items = {}) {
+  const data = structuredClone(items);
+  return {
+    data,
+    async get(keys) {
+      if (keys === null) return structuredClone(data);
+      const result = {};
+      [].concat(keys).forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      return result;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete data[key]);
+    },
+  };
+}
+
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function setUpStorage() {
+  globalThis.chrome = {
+    storage: {
+      sync: storageArea({
+        'note:old': { id: 'old', content: 'a', deletedAt: daysAgo(40) },
+        'note:recent': { id: 'recent', content: 'b', deletedAt: daysAgo(2) },
+        'note:live': { id: 'live', content: 'c' },
+        settings: { trashRetentionDays: 30 },
+      }),
+      local: storageArea({
+        'note-body:old': 'large body',
+        iframeData: { old: { title: 'Old' }, live: { title: 'Live' } },
+      }),
+    },
+  };
+  return globalThis.chrome.storage;
+}
+
+test('purgeExpiredTrash deletes notes trashed before the retention period', async () => {
+  const storage = setUpStorage();
+
+  assert.deepEqual(await purgeExpiredTrash(30), ['old']);
+  assert.deepEqual(Object.keys(storage.sync.data).sort(), [
+    'note:live',
+    'note:recent',
+    'settings',
+  ]);
+  assert.equal('note-body:old' in storage.local.data, false);
+  assert.deepEqual(storage.local.data.iframeData, { live: { title: 'Live' } });
+});
+
+test('purgeExpiredTrash keeps everything when trash is kept forever', async () => {
+  const storage = setUpStorage();
+
+  assert.deepEqual(await purgeExpiredTrash(0), []);
+  assert.equal(Object.keys(storage.sync.data).length, 4);
+  assert.ok('note-body:old' in storage.local.data);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_SUGGESTIONS,
+  markMatches,
+  matchNotes,
+  noteSuggestionContent,
+  suggestedNoteId,
+} from '../src/shared/omnibox.js';
+
+const notes = [
+  {
+    id: '1',
+    content: 'Buy milk',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+  },
+  {
+    id: '2',
+    content: '',
+    url: 'https://example.com/recipes',
+    createdAt: '2024-03-01T00:00:00.000Z',
+  },
+  {
+    id: '3',
+    content: 'Milk and bread',
+    updatedAt: '2024-02-01T00:00:00.000Z',
+  },
+];
+const iframeData = { 2: { title: 'Pancake Recipes' } };
+
+const ids = (matches) => matches.map((note) => note.id);
+
+test('matchNotes finds every typed word, newest first', () => {
+  assert.deepEqual(ids(matchNotes(notes, iframeData, 'MILK')), ['3', '1']);
+  assert.deepEqual(ids(matchNotes(notes, iframeData, 'milk bread')), ['3']);
+});
+
+test('matchNotes searches URLs and page titles', () => {
+  assert.deepEqual(ids(matchNotes(notes, iframeData, 'pancake')), ['2']);
+  assert.deepEqual(ids(matchNotes(notes, iframeData, 'example.com')), ['2']);
+});
+
+test('matchNotes limits the number of suggestions', () => {
+  const many = Array.from({ length: 8 }, (_, i) => ({
+    id: String(i),
+    content: 'note',
+  }));
+  assert.equal(matchNotes(many, {}, 'note').length, MAX_SUGGESTIONS);
+});
+
+test('markMatches wraps typed words and escapes the rest', () => {
+  assert.equal(
+    markMatches('Tom & Jerry <notes>', 'notes tom'),
+    '<match>Tom</match> &amp; Jerry &lt;<match>notes</match>&gt;',
+  );
+});
+
+test('markMatches prefers the longest word and escapes regex syntax', () => {
+  assert.equal(
+    markMatches('notes about note', 'note notes'),
+    '<match>notes</match> about <match>note</match>',
+  );
+  assert.equal(markMatches('a (b) c', '(b)'), 'a <match>(b)</match> c');
+});
+
+test('markMatches only escapes when nothing was typed', () => {
+  assert.equal(markMatches('"quoted"', ' '), '&quot;quoted&quot;');
+});
+
+test('suggestion contents round-trip to note ids', () => {
+  assert.equal(suggestedNoteId(noteSuggestionContent('42')), '42');
+  assert.equal(suggestedNoteId('a new note'), null);
+});
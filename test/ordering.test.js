@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ORDER_GAP,
+  ORDER_LIMIT,
+  SECTION_BAND,
+  orderBetween,
+  rebalanceOrders,
+  sortByOrder,
+} from '../src/sidepanel/ordering.js';
+
+test('sortByOrder returns a sorted copy, treating a missing order as 0', () => {
+  const notes = [{ id: 'a', order: 5 }, { id: 'b' }, { id: 'c', order: -3 }];
+  assert.deepEqual(
+    sortByOrder(notes).map((note) => note.id),
+    ['c', 'b', 'a'],
+  );
+  assert.deepEqual(notes.map((note) => note.id), ['a', 'b', 'c']);
+});
+
+test('orderBetween picks the middle of two neighbours', () => {
+  assert.equal(orderBetween(0, 1024), 512);
+  assert.equal(orderBetween(-5, 0), -3);
+});
+
+test('orderBetween goes a gap beyond the first or last note', () => {
+  assert.equal(orderBetween(undefined, 100), 100 - ORDER_GAP);
+  assert.equal(orderBetween(100, undefined), 100 + ORDER_GAP);
+  assert.equal(orderBetween(undefined, undefined), 0);
+});
+
+test('orderBetween reports when there is no room left', () => {
+  assert.equal(orderBetween(7, 8), null);
+  assert.equal(orderBetween(7, 7), null);
+  assert.equal(orderBetween(7, 9), 8);
+});
+
+test('orderBetween keeps notes inside their section band', () => {
+  assert.ok(ORDER_LIMIT + ORDER_GAP < SECTION_BAND / 2);
+  assert.equal(orderBetween(undefined, ORDER_GAP - ORDER_LIMIT), -ORDER_LIMIT);
+  assert.equal(orderBetween(undefined, 1 - ORDER_LIMIT), null);
+  assert.equal(orderBetween(ORDER_LIMIT - 1, undefined), null);
+});
+
+test('rebalanceOrders spreads notes out in their current sequence', () => {
+  const notes = [{ order: 7 }, { order: 8 }, { order: 9 }];
+  rebalanceOrders(notes);
+  assert.deepEqual(
+    notes.map((note) => note.order),
+    [0, ORDER_GAP, 2 * ORDER_GAP],
+  );
+});
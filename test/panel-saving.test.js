@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadPanel, settle } from './helpers/panel.js';
+
+test('edits typed just before the panel closes are saved when it hides', async () => {
+  const { window, document, chrome } = await loadPanel({
+    sync: {
+      'note:1': { id: '1', content: 'Draft', color: 'yellow', order: 0 },
+    },
+  });
+
+  document.querySelector('[data-note-id="1"] .note-content').click();
+  const textarea = document.querySelector('.note-textarea');
+  textarea.value = 'Draft, finished';
+  textarea.dispatchEvent(new window.Event('input', { bubbles: true }));
+  await settle();
+  // Still waiting for typing to pause
+  assert.equal(chrome.storage.sync.data['note:1'].content, 'Draft');
+
+  // Closing the panel hides it first; the save can't wait for the debounce
+  Object.defineProperty(document, 'visibilityState', { value: 'hidden' });
+  document.dispatchEvent(new window.Event('visibilitychange'));
+  await settle(0);
+  assert.equal(chrome.storage.sync.data['note:1'].content, 'Draft, finished');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildQuoteNote, textFragmentUrl } from '../src/shared/quote-note.js';
+
+test('textFragmentUrl links to the whole text of short selections', () => {
+  assert.equal(
+    textFragmentUrl('https://example.com/a', '  Hello,\n  world  '),
+    'https://example.com/a#:~:text=Hello%2C%20world',
+  );
+});
+
+test('textFragmentUrl escapes dashes, the prefix and suffix marker', () => {
+  assert.equal(
+    textFragmentUrl('https://example.com/', 'well-known & co'),
+    'https://example.com/#:~:text=well%2Dknown%20%26%20co',
+  );
+});
+
+test('textFragmentUrl links long selections by their first and last words', () => {
+  const text = 'one two three four five six seven eight nine ten eleven';
+  assert.equal(
+    textFragmentUrl('https://example.com/', text),
+    'https://example.com/#:~:text=one%20two%20three%20four,' +
+      'eight%20nine%20ten%20eleven',
+  );
+});
+
+test('textFragmentUrl keeps the page hash but replaces a text directive', () => {
+  assert.equal(
+    textFragmentUrl('https://example.com/#intro:~:text=old', 'new'),
+    'https://example.com/#intro:~:text=new',
+  );
+  assert.equal(
+    textFragmentUrl('https://example.com/', '   '),
+    'https://example.com/',
+  );
+});
+
+test('buildQuoteNote quotes every line and links back to the page', () => {
+  assert.equal(
+    buildQuoteNote({
+      text: 'First line\n\nSecond (line)',
+      title: 'A [draft]',
+      url: 'https://example.com/page_(1)',
+    }),
+    '> First line\n>\n> Second (line)\n\n' +
+      '— [A \\[draft\\]](https://example.com/page_%281%29' +
+      '#:~:text=First%20line%20Second%20%28line%29)',
+  );
+});
+
+test('buildQuoteNote uses the URL as label and leaves out missing links', () => {
+  assert.equal(buildQuoteNote({ text: 'Quote' }), '> Quote');
+  assert.equal(
+    buildQuoteNote({ text: 'Quote', url: 'https://example.com/' }),
+    '> Quote\n\n— [https://example.com/](https://example.com/#:~:text=Quote)',
+  );
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  describeReminder,
+  nextOccurrence,
+  reminderAlarmName,
+  reminderNoteId,
+  reminderTime,
+} from '../src/shared/reminders.js';
+
+// Local times, so the tests don't depend on the time zone
+const at = (month, day, hour = 9) =>
+  new Date(2024, month - 1, day, hour).getTime();
+
+test('nextOccurrence skips to the first occurrence after now', () => {
+  assert.equal(nextOccurrence(at(1, 1), 'daily', at(1, 3, 12)), at(1, 4));
+  assert.equal(nextOccurrence(at(1, 1), 'weekly', at(1, 1)), at(1, 8));
+  assert.equal(nextOccurrence(at(1, 10), 'daily', at(1, 3)), at(1, 10));
+});
+
+test('nextOccurrence moves weekday reminders past the weekend', () => {
+  // 5 January 2024 is a Friday
+  assert.equal(nextOccurrence(at(1, 5), 'weekdays', at(1, 5, 10)), at(1, 8));
+  assert.equal(nextOccurrence(at(1, 6), 'weekdays', at(1, 1)), at(1, 8));
+});
+
+test('nextOccurrence keeps the day of month, clamped to shorter months', () => {
+  assert.equal(nextOccurrence(at(1, 31), 'monthly', at(2, 1)), at(2, 29));
+  assert.equal(nextOccurrence(at(1, 31), 'monthly', at(3, 1)), at(3, 31));
+});
+
+test('nextOccurrence is null for reminders that do not repeat', () => {
+  assert.equal(nextOccurrence(at(1, 1), 'none', at(2, 1)), null);
+  assert.equal(nextOccurrence(at(1, 1), 'hourly', at(2, 1)), null);
+});
+
+test('reminderTime prefers the snooze and ignores fired one-off reminders', () => {
+  assert.equal(reminderTime({ dueAt: at(1, 1) }), at(1, 1));
+  assert.equal(
+    reminderTime({ dueAt: at(1, 1), snoozedUntil: at(1, 1, 10) }),
+    at(1, 1, 10),
+  );
+  assert.equal(reminderTime({ dueAt: at(1, 1), notified: true }), null);
+  assert.equal(reminderTime(undefined), null);
+});
+
+test('describeReminder mentions the snooze and the repeat rule', () => {
+  const text = describeReminder({
+    dueAt: at(1, 5),
+    repeat: 'weekdays',
+    snoozedUntil: at(1, 5, 10),
+  });
+  assert.match(text, /^Snoozed until .+, repeats every weekday$/);
+  assert.match(describeReminder({ dueAt: at(1, 5), repeat: 'none' }), /^Due /);
+});
+
+test('reminder alarm names map back to their note', () => {
+  assert.equal(reminderNoteId(reminderAlarmName('123-abc')), '123-abc');
+  assert.equal(reminderNoteId('badge-refresh'), null);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { sanitizeHtml } from '../src/sidepanel/sanitize.js';
+
+const { window } = new JSDOM('');
+globalThis.document = window.document;
+globalThis.Node = window.Node;
+
+test('sanitizeHtml keeps allowlisted markup', () => {
+  const html =
+    '<h2>Title</h2><p><strong>bold</strong> <a href="https://example.com">link</a></p>';
+  assert.equal(
+    sanitizeHtml(html),
+    '<h2>Title</h2><p><strong>bold</strong> <a href="https://example.com" target="_blank" rel="noopener noreferrer">link</a></p>',
+  );
+});
+
+test('sanitizeHtml drops scripts and event handlers', () => {
+  assert.equal(
+    sanitizeHtml('<p onclick="alert(1)">hi<script>alert(1)</script></p>'),
+    '<p>hi</p>',
+  );
+  assert.equal(
+    sanitizeHtml('<img src="x.png" onerror="alert(1)">'),
+    '<img src="x.png">',
+  );
+});
+
+test('sanitizeHtml replaces unknown elements by their content', () => {
+  assert.equal(
+    sanitizeHtml('<div><font color="red">text</font></div>'),
+    'text',
+  );
+});
+
+test('sanitizeHtml removes unsafe URLs', () => {
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(
+    sanitizeHtml('<a href="java\tscript:alert(1)">x</a>'),
+    '<a>x</a>',
+  );
+  assert.equal(
+    sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=">'),
+    '<img>',
+  );
+  assert.equal(
+    sanitizeHtml('<img src="data:image/png;base64,iVBO">'),
+    '<img src="data:image/png;base64,iVBO">',
+  );
+});
+
+test('sanitizeHtml allows only task and code language classes', () => {
+  assert.equal(
+    sanitizeHtml('<input type="checkbox" class="task-checkbox" checked="">'),
+    '<input type="checkbox" class="task-checkbox" checked="">',
+  );
+  assert.equal(sanitizeHtml('<input type="text">'), '');
+  assert.equal(
+    sanitizeHtml('<code class="language-js">x</code><code class="evil">y</code>'),
+    '<code class="language-js">x</code><code>y</code>',
+  );
+});
+
+test('sanitizeHtml hands attachment images to attachmentImage', () => {
+  const seen = [];
+  const html = sanitizeHtml(
+    '<img alt="a" src="attachment:123-abc"><code>&lt;img src="attachment:456"&gt;</code>',
+    {
+      attachmentImage: (img, id) => {
+        seen.push(id);
+        img.setAttribute('src', `blob:${id}`);
+      },
+    },
+  );
+  assert.deepEqual(seen, ['123-abc']);
+  assert.equal(
+    html,
+    '<img alt="a" src="blob:123-abc"><code>&lt;img src="attachment:456"&gt;</code>',
+  );
+});
+
+test('sanitizeHtml drops attachment sources it cannot resolve', () => {
+  assert.equal(sanitizeHtml('<img src="attachment:1">'), '<img>');
+  assert.equal(
+    sanitizeHtml('<img src="attachment:../x">', { attachmentImage() {} }),
+    '<img>',
+  );
+});
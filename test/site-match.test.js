@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  describeSite,
+  siteMatches,
+  sitePatternFor,
+} from '../src/shared/site-match.js';
+
+const page = 'https://www.example.com/docs/guide/intro?lang=en#setup';
+
+test('sitePatternFor builds the default pattern of each mode', () => {
+  assert.equal(
+    sitePatternFor('exact', page),
+    'https://www.example.com/docs/guide/intro?lang=en',
+  );
+  assert.equal(sitePatternFor('prefix', page), 'example.com/docs/guide/');
+  assert.equal(sitePatternFor('domain', page), 'example.com');
+  assert.equal(
+    sitePatternFor('prefix', 'http://localhost:8080/app'),
+    'localhost:8080/',
+  );
+});
+
+test('sitePatternFor ignores pages that are not http or https', () => {
+  assert.equal(sitePatternFor('domain', 'chrome://extensions/'), '');
+  assert.equal(sitePatternFor('exact', 'not a url'), '');
+});
+
+test('exact sites ignore the scheme, www, hash and a trailing slash', () => {
+  const site = { mode: 'exact', pattern: 'https://example.com/docs/' };
+  assert.ok(siteMatches(site, 'http://www.example.com/docs#top'));
+  assert.equal(siteMatches(site, 'https://example.com/docs?page=2'), false);
+  assert.equal(siteMatches(site, 'https://example.com/docs/more'), false);
+});
+
+test('prefix sites match on path segment boundaries', () => {
+  const site = { mode: 'prefix', pattern: 'example.com/doc' };
+  assert.ok(siteMatches(site, 'https://example.com/doc'));
+  assert.ok(siteMatches(site, 'https://www.example.com/doc/page'));
+  assert.equal(siteMatches(site, 'https://example.com/docs'), false);
+  assert.equal(siteMatches(site, 'https://example.org/doc'), false);
+
+  const directory = { mode: 'prefix', pattern: 'https://Example.com/docs/' };
+  assert.ok(siteMatches(directory, 'https://example.com/docs/intro'));
+  assert.equal(siteMatches(directory, 'https://example.com/docs'), false);
+});
+
+test('domain sites match the host and its subdomains', () => {
+  const site = { mode: 'domain', pattern: 'www.example.com' };
+  assert.ok(siteMatches(site, 'https://example.com/'));
+  assert.ok(siteMatches(site, 'https://blog.example.com/post'));
+  assert.equal(siteMatches(site, 'https://notexample.com/'), false);
+});
+
+test('siteMatches is false without a site or for other schemes', () => {
+  assert.equal(siteMatches(null, page), false);
+  assert.equal(siteMatches({ mode: 'domain', pattern: '' }, page), false);
+  assert.equal(
+    siteMatches({ mode: 'domain', pattern: 'example.com' }, 'file:///a'),
+    false,
+  );
+});
+
+test('describeSite names the mode', () => {
+  assert.equal(
+    describeSite({ mode: 'domain', pattern: 'example.com' }),
+    'Site: example.com',
+  );
+  assert.equal(
+    describeSite({ mode: 'prefix', pattern: 'example.com/docs/' }),
+    'Pages under: example.com/docs/',
+  );
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadPanel } from './helpers/panel.js';
+
+test('tags no note has together show that nothing matches', async () => {
+  const { document } = await loadPanel({
+    sync: {
+      'note:1': { id: '1', content: 'Plan #work', order: 0 },
+      'note:2': { id: '2', content: 'Groceries #home', order: 1024 },
+    },
+  });
+  const noResults = document.getElementById('no-results');
+  const visibleIds = () =>
+    [...document.querySelectorAll('.sticky-note:not(.filtered-out)')].map(
+      (note) => note.dataset.noteId,
+    );
+
+  document.querySelector('#tag-bar [data-tag="work"]').click();
+  assert.deepEqual(visibleIds(), ['1']);
+  assert.equal(noResults.hidden, true);
+
+  // Selected tags must all be on a note
+  document.querySelector('#tag-bar [data-tag="home"]').click();
+  assert.deepEqual(visibleIds(), []);
+  assert.equal(noResults.hidden, false);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  moveCheckedToBottom,
+  setTaskChecked,
+  taskProgress,
+} from '../src/sidepanel/tasks.js';
+
+const list = [
+  '- [ ] milk',
+  '```',
+  '- [ ] not a task',
+  '```',
+  '> 1. [x] quoted',
+  '- [ ]',
+  '  * [X] nested',
+].join('\n');
+
+test('taskProgress counts task items outside code blocks', () => {
+  assert.deepEqual(taskProgress(list), { done: 2, total: 3 });
+  assert.deepEqual(taskProgress(''), { done: 0, total: 0 });
+});
+
+test('setTaskChecked toggles the n-th task the preview shows', () => {
+  assert.equal(setTaskChecked(list, 0, true).split('\n')[0], '- [x] milk');
+  assert.equal(
+    setTaskChecked(list, 1, false).split('\n')[4],
+    '> 1. [ ] quoted',
+  );
+  assert.equal(setTaskChecked(list, 2, false).split('\n')[6], '  * [ ] nested');
+});
+
+test('setTaskChecked leaves the content alone without such a task', () => {
+  assert.equal(setTaskChecked(list, 3, true), list);
+});
+
+test('moveCheckedToBottom keeps nested lines with their item', () => {
+  const content = [
+    'Shopping',
+    '- [x] eggs',
+    '  - extra large',
+    '- [ ] milk',
+    '- [x] bread',
+    '- [ ] tea',
+    '',
+    '- [x] other list',
+  ].join('\n');
+  assert.equal(
+    moveCheckedToBottom(content),
+    [
+      'Shopping',
+      '- [ ] milk',
+      '- [ ] tea',
+      '- [x] eggs',
+      '  - extra large',
+      '- [x] bread',
+      '',
+      '- [x] other list',
+    ].join('\n'),
+  );
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadPanel, settle } from './helpers/panel.js';
+
+test('a note trashed right after typing keeps its last edits', async () => {
+  const { window, document, chrome } = await loadPanel({
+    sync: {
+      'note:1': { id: '1', content: 'Draft', color: 'yellow', order: 0 },
+    },
+  });
+  const card = document.querySelector('.sticky-note[data-note-id="1"]');
+
+  card.querySelector('.note-content').click();
+  const textarea = document.querySelector('.note-textarea');
+  textarea.value = 'Final text';
+  textarea.dispatchEvent(new window.Event('input', { bubbles: true }));
+  textarea.dispatchEvent(
+    new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }),
+  );
+  card.dispatchEvent(
+    new window.KeyboardEvent('keydown', { key: 'x', bubbles: true }),
+  );
+  await settle();
+
+  const stored = chrome.storage.sync.data['note:1'];
+  assert.equal(stored.content, 'Final text');
+  assert.ok(stored.deletedAt);
+  assert.deepEqual(
+    chrome.storage.local.data['note-history:1'].map(
+      (revision) => revision.content,
+    ),
+    ['Draft', 'Final text'],
+  );
+});